@@ -0,0 +1,493 @@
+// controllers/adminController.js
+const jobQueue = require('../services/jobQueue');
+const tenantService = require('../services/tenantService');
+const webhookService = require('../services/webhookService');
+const reconciliationService = require('../services/reconciliationService');
+const fulfillmentService = require('../services/fulfillmentService');
+const checkoutRecoveryService = require('../services/checkoutRecoveryService');
+const orderRepository = require('../repositories/orderRepository');
+const webhookEventRepository = require('../repositories/webhookEventRepository');
+const { parseDateRange } = require('../utils/helpers');
+const money = require('../utils/money');
+
+// Reason codes accepted by PayMongo's refunds API
+const REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer', 'others'];
+
+const DEFAULT_ORDER_PAGE_SIZE = 50;
+const MAX_ORDER_PAGE_SIZE = 200;
+
+// Opaque pagination cursor: the createdAt and reference of the last order on a page
+function encodeOrderCursor(order) {
+    return Buffer.from(JSON.stringify([order.createdAt, order.reference])).toString('base64url');
+}
+
+function decodeOrderCursor(cursor) {
+    try {
+        const [createdAt, reference] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof createdAt !== 'string' || typeof reference !== 'string') return null;
+        return { createdAt, reference };
+    } catch (error) {
+        return null;
+    }
+}
+
+// An order of the request's tenant, or null. Other tenants' orders look missing.
+function findTenantOrder(req, reference) {
+    const order = orderRepository.findByReference(reference);
+    return tenantService.owns(req.tenant, order) ? order : null;
+}
+
+// List row for the orders dashboard
+function toOrderSummary(order) {
+    return {
+        reference: order.reference,
+        status: order.status,
+        customer: order.customer,
+        product: order.product,
+        sku: order.sku,
+        itemCount: order.items?.length || 1,
+        currency: order.currency,
+        totalAmount: order.amounts?.totalAmount ?? null,
+        refundedAmount: order.amounts?.refundedAmount || 0,
+        promoCode: order.promoCode,
+        paymentMethod: order.paymentMethod,
+        source: order.source,
+        subscriptionId: order.subscription?.id || null,
+        paymentIds: order.paymongo?.paymentIds || [],
+        ghlInvoiceId: order.ghl?.invoiceId || null,
+        fulfillmentStatus: order.fulfillment?.status || null,
+        revocationStatus: order.revocation?.status || null,
+        createdAt: order.createdAt,
+        paidAt: order.paidAt || null,
+        updatedAt: order.updatedAt
+    };
+}
+
+// Everything that happened to an order, oldest first: its status history,
+// the PayMongo webhooks received for its payments, the GHL sync steps and the
+// outbound jobs (GHL sync, LeadConnector deliveries) queued for it.
+function buildOrderTimeline(order) {
+    const paymentIds = order.paymongo?.paymentIds || [];
+    const eventIds = order.statusHistory.map(entry => entry.eventId).filter(Boolean);
+    const jobs = jobQueue.listJobs({ reference: order.reference });
+
+    const entries = [
+        ...order.statusHistory.map(({ at, status, event, ...details }) => ({
+            at,
+            source: 'order',
+            type: event || 'status',
+            status,
+            ...details
+        })),
+        ...webhookEventRepository.listEvents({ paymentIds, eventIds }).map(record => ({
+            at: record.firstReceivedAt,
+            source: 'paymongo_webhook',
+            type: record.type,
+            status: record.status,
+            eventId: record.eventId,
+            paymentId: record.paymentId,
+            attempts: record.attempts,
+            processedAt: record.processedAt,
+            lastError: record.lastError || undefined
+        })),
+        ...paymentIds.flatMap(paymentId => Object.entries(webhookEventRepository.getSteps(paymentId))
+            .map(([step, { completedAt, result }]) => ({
+                at: completedAt,
+                source: 'sync_step',
+                type: step,
+                paymentId,
+                result
+            }))),
+        ...jobs.map(job => ({
+            at: job.createdAt,
+            source: 'job',
+            type: job.type,
+            status: job.status,
+            jobId: job.id,
+            notification: job.type === 'leadconnector.send' ? job.payload?.status : undefined,
+            attempts: job.attempts,
+            lastError: job.lastError || undefined,
+            completedAt: job.completedAt || undefined
+        }))
+    ];
+
+    return {
+        timeline: entries
+            .map(entry => {
+                Object.keys(entry).forEach(k => entry[k] === undefined && delete entry[k]);
+                return entry;
+            })
+            .sort((a, b) => String(a.at).localeCompare(String(b.at))),
+        leadConnectorDeliveries: jobs
+            .filter(job => job.type === 'leadconnector.send')
+            .map(job => ({
+                jobId: job.id,
+                notification: job.payload?.status || null,
+                status: job.status,
+                attempts: job.attempts,
+                lastError: job.lastError,
+                createdAt: job.createdAt,
+                completedAt: job.completedAt
+            }))
+    };
+}
+
+// Create a full or partial refund for a PayMongo payment
+exports.createRefund = async (req, res) => {
+    try {
+        const { paymentId } = req.params;
+        const { amount, reason = 'requested_by_customer', notes } = req.body;
+
+        if (!REFUND_REASONS.includes(reason)) {
+            return res.status(400).json({
+                error: 'Invalid refund reason',
+                allowed: REFUND_REASONS
+            });
+        }
+
+        // Parsed before PayMongo is called; anything but a plain decimal
+        // (true, "1e2", [5]) is rejected rather than coerced
+        let parsedCentavos = null;
+        if (amount !== undefined) {
+            try {
+                if (!['string', 'number'].includes(typeof amount)) {
+                    throw new Error(`Invalid decimal amount: ${amount}`);
+                }
+                parsedCentavos = money.toCentavos(amount, money.ROUNDING.FLOOR);
+            } catch (err) {
+                return res.status(400).json({ error: 'Refund amount must be a positive number', message: err.message });
+            }
+            if (parsedCentavos < 1) {
+                return res.status(400).json({ error: 'Refund amount must be at least 0.01' });
+            }
+        }
+
+        let payment;
+        try {
+            payment = await req.tenant.paymongo.getPayment(paymentId);
+        } catch (err) {
+            return res.status(404).json({ error: 'Payment not found', paymentId });
+        }
+
+        const attributes = payment.attributes || {};
+        if (attributes.status !== 'paid') {
+            return res.status(409).json({
+                error: `Payment is ${attributes.status}, only paid payments can be refunded`
+            });
+        }
+
+        const metadata = attributes.metadata || {};
+        const order = [orderRepository.findByPaymentId(paymentId), orderRepository.findByReference(metadata.paymentReference)]
+            .find(candidate => tenantService.owns(req.tenant, candidate)) || null;
+
+        // Work in centavos. PayMongo's refund list is authoritative; fall back to
+        // the refunds recorded on the order when the payment doesn't list them.
+        const paidCentavos = Number(attributes.amount);
+        const paymongoRefunded = (attributes.refunds || [])
+            .filter(r => r.attributes?.status !== 'failed')
+            .reduce((sum, r) => sum + Number(r.attributes?.amount || 0), 0);
+        const ledgerRefunded = money.toCentavos(order?.amounts?.refundedAmount || 0);
+        const remainingCentavos = paidCentavos - Math.max(paymongoRefunded, ledgerRefunded);
+
+        const requestedCentavos = parsedCentavos ?? remainingCentavos;
+
+        if (remainingCentavos <= 0) {
+            return res.status(409).json({ error: 'Payment has already been fully refunded' });
+        }
+
+        if (requestedCentavos > remainingCentavos) {
+            return res.status(400).json({
+                error: 'Refund amount exceeds the unrefunded balance',
+                remainingAmount: money.fromCentavos(remainingCentavos)
+            });
+        }
+
+        const result = await req.tenant.paymongo.refundPayment(paymentId, money.fromCentavos(requestedCentavos), reason, {
+            notes,
+            metadata: metadata.paymentReference ? { paymentReference: metadata.paymentReference } : undefined
+        });
+        const refund = result.data || result;
+
+        const refundedAmount = money.fromCentavos(requestedCentavos);
+
+        // The refund is only requested here; the order keeps its status until
+        // PayMongo's payment.refunded webhook reports it as processed
+        if (order) {
+            orderRepository.upsertRefund(order.reference, {
+                refundId: refund.id,
+                paymentId,
+                amount: refundedAmount,
+                reason,
+                notes: notes || null,
+                status: refund.attributes?.status || 'pending'
+            });
+            orderRepository.addStatus(order.reference, null, {
+                event: 'refund.created',
+                note: `Refund ${refund.id} for ${refundedAmount} requested (${reason}), pending PayMongo`
+            });
+        } else {
+            console.log('Refund created but no order found for payment:', paymentId);
+        }
+
+        webhookService.queueLeadConnector({
+            ...metadata,
+            status: 'refund_requested',
+            paymentId,
+            refundId: refund.id,
+            refundAmount: refundedAmount,
+            refundReason: reason,
+            requestedAt: new Date().toISOString()
+        }, { key: `leadconnector:refund_requested:${refund.id}`, tenant: req.tenant.id });
+
+        res.status(201).json({
+            success: true,
+            refundId: refund.id,
+            status: refund.attributes?.status || 'pending',
+            paymentId,
+            amount: refundedAmount,
+            reason,
+            remainingAmount: money.fromCentavos(remainingCentavos - requestedCentavos),
+            orderReference: order?.reference || null
+        });
+
+    } catch (error) {
+        console.error('Create refund error:', error);
+        res.status(500).json({ error: 'Failed to create refund', message: error.message });
+    }
+};
+
+// Compare PayMongo payments in a date range with the order ledger and GHL;
+// `repair: true` re-syncs paid payments that never reached GHL
+exports.reconcile = async (req, res) => {
+    try {
+        const { from, to } = { ...req.query, ...req.body };
+        // Repairs only from the POST body, never from a GET query string
+        const repair = req.body?.repair === true || req.body?.repair === 'true';
+        const range = reconciliationService.parseRange(from, to);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const report = await reconciliationService.run({
+            tenant: req.tenant,
+            from: range.from,
+            to: range.to,
+            repair
+        });
+
+        res.status(200).json({ success: true, ...report });
+
+    } catch (error) {
+        console.error('Reconciliation error:', error);
+        res.status(500).json({ error: 'Failed to reconcile payments', message: error.message });
+    }
+};
+
+// Run an abandoned checkout reminder pass now. The pass covers every tenant;
+// the response lists this tenant's reminders.
+exports.runCheckoutRecovery = async (req, res) => {
+    try {
+        const result = await checkoutRecoveryService.runDue();
+        if (!result) {
+            return res.status(409).json({ error: 'A reminder pass is already running' });
+        }
+
+        const reminded = result.reminded.filter(r => r.tenant === req.tenant.id);
+        res.status(200).json({ success: true, count: reminded.length, reminded });
+
+    } catch (error) {
+        console.error('Checkout recovery error:', error);
+        res.status(500).json({ error: 'Failed to run checkout recovery', message: error.message });
+    }
+};
+
+// Search orders: ?status=&product=&from=&to=&promoCode=&paymentMethod=&email=&limit=&cursor=
+exports.listOrders = (req, res) => {
+    try {
+        const { status, product, from, to, promoCode, paymentMethod, email, cursor } = req.query;
+
+        const range = parseDateRange(from, to);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_ORDER_PAGE_SIZE : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ORDER_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be between 1 and ${MAX_ORDER_PAGE_SIZE}` });
+        }
+
+        const after = cursor ? decodeOrderCursor(cursor) : null;
+        if (cursor && !after) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const { orders, total, hasMore } = orderRepository.search({
+            tenant: req.tenant.id,
+            status,
+            product,
+            from: range.from,
+            to: range.to,
+            promoCode,
+            paymentMethod,
+            email,
+            after,
+            limit
+        });
+
+        res.status(200).json({
+            success: true,
+            count: orders.length,
+            total,
+            orders: orders.map(toOrderSummary),
+            nextCursor: hasMore ? encodeOrderCursor(orders[orders.length - 1]) : null
+        });
+
+    } catch (error) {
+        console.error('List orders error:', error);
+        res.status(500).json({ error: 'Failed to list orders', message: error.message });
+    }
+};
+
+// One order with its full timeline
+exports.getOrder = (req, res) => {
+    try {
+        const order = findTenantOrder(req, req.params.reference);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            order,
+            ...buildOrderTimeline(order)
+        });
+
+    } catch (error) {
+        console.error('Get order error:', error);
+        res.status(500).json({ error: 'Failed to get order', message: error.message });
+    }
+};
+
+// Re-run an order's fulfillment: failed actions, or every action with { all: true }
+exports.rerunFulfillment = (req, res) => {
+    try {
+        const order = findTenantOrder(req, req.params.reference);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!['paid', 'partially_refunded'].includes(order.status)) {
+            return res.status(409).json({ error: `Order is ${order.status}, only paid orders can be fulfilled` });
+        }
+
+        let job;
+        try {
+            job = fulfillmentService.rerun(order, { all: req.body?.all === true });
+        } catch (err) {
+            return res.status(409).json({ error: err.message });
+        }
+
+        res.status(200).json({
+            success: true,
+            job,
+            fulfillment: orderRepository.findByReference(order.reference).fulfillment
+        });
+
+    } catch (error) {
+        console.error('Rerun fulfillment error:', error);
+        res.status(500).json({ error: 'Failed to rerun fulfillment', message: error.message });
+    }
+};
+
+// Revoke an order's access and void its GHL invoice (e.g. a chargeback
+// PayMongo didn't send a webhook for), or re-run a revocation's failed steps
+exports.revokeOrder = (req, res) => {
+    try {
+        const order = findTenantOrder(req, req.params.reference);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!['paid', 'partially_refunded', 'refunded'].includes(order.status)) {
+            return res.status(409).json({ error: `Order is ${order.status}, only paid orders can be revoked` });
+        }
+
+        const reason = req.body?.reason || order.revocation?.reason || 'dispute';
+        if (!fulfillmentService.revokeReasons.includes(reason)) {
+            return res.status(400).json({ error: 'Invalid reason', allowed: fulfillmentService.revokeReasons });
+        }
+
+        if (!order.revocation) {
+            orderRepository.addStatus(order.reference, null, {
+                event: 'admin.revoke',
+                note: `Access revoked by admin (${reason})${req.body?.notes ? `: ${req.body.notes}` : ''}`
+            });
+        }
+
+        const job = fulfillmentService.revoke(order, {
+            reason,
+            amount: order.amounts?.refundedAmount || order.amounts?.totalAmount,
+            currency: order.currency
+        });
+
+        res.status(200).json({
+            success: true,
+            job,
+            revocation: orderRepository.findByReference(order.reference).revocation
+        });
+
+    } catch (error) {
+        console.error('Revoke order error:', error);
+        res.status(500).json({ error: 'Failed to revoke order', message: error.message });
+    }
+};
+
+// List the tenant's outbound jobs
+exports.listJobs = (req, res) => {
+    try {
+        const { status, type, reference } = req.query;
+        const jobs = jobQueue.listJobs({ status, type, reference, tenant: req.tenant.id });
+
+        res.status(200).json({
+            success: true,
+            count: jobs.length,
+            jobs
+        });
+
+    } catch (error) {
+        console.error('List jobs error:', error);
+        res.status(500).json({ error: 'Failed to list jobs', message: error.message });
+    }
+};
+
+// Retry a dead-lettered job
+exports.retryJob = (req, res) => {
+    try {
+        const { jobId } = req.params;
+
+        if (!tenantService.owns(req.tenant, jobQueue.getJob(jobId))) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const job = jobQueue.requeue(jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.status(200).json({ success: true, job });
+
+    } catch (error) {
+        console.error('Retry job error:', error);
+        res.status(409).json({ error: 'Failed to retry job', message: error.message });
+    }
+};
+
+// The tenant the admin request is for (no secrets)
+exports.getTenant = (req, res) => {
+    try {
+        res.status(200).json({ success: true, tenant: tenantService.describe(req.tenant) });
+    } catch (error) {
+        console.error('Get tenant error:', error);
+        res.status(500).json({ error: 'Failed to get tenant', message: error.message });
+    }
+};
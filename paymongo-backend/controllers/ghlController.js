@@ -0,0 +1,58 @@
+// controllers/ghlController.js
+const tenantService = require('../services/tenantService');
+
+// How the tenant's GhlService authenticates, and for OAuth an install link for the app
+exports.oauthStatus = (req, res) => {
+    try {
+        const { credentials } = req.tenant.ghl;
+        const status = credentials.status();
+
+        if (credentials.mode !== 'oauth') {
+            return res.status(200).json({ success: true, tenant: req.tenant.id, ...status });
+        }
+
+        res.status(200).json({
+            success: true,
+            tenant: req.tenant.id,
+            ...status,
+            installUrl: credentials.installUrl(credentials.store.createState())
+        });
+
+    } catch (error) {
+        console.error('GHL OAuth status error:', error);
+        res.status(500).json({ error: 'Failed to get GHL connection status', message: error.message });
+    }
+};
+
+// Redirect target after the app is installed (GHL_OAUTH_REDIRECT_URI):
+// trades the code for tokens. `state` must come from an install link, and
+// picks the tenant the install was started for.
+exports.oauthCallback = async (req, res) => {
+    try {
+        const { code, state } = req.query;
+        const oauthTenants = tenantService.list().filter(tenant => tenant.ghl.credentials.mode === 'oauth');
+
+        if (oauthTenants.length === 0) {
+            return res.status(404).json({ error: 'GHL OAuth is not enabled' });
+        }
+
+        const tenant = code ? oauthTenants.find(t => t.ghl.credentials.store.consumeState(state)) : null;
+        if (!tenant) {
+            return res.status(400).json({ error: 'Invalid or expired OAuth callback' });
+        }
+
+        const tokens = await tenant.ghl.credentials.exchangeCode(String(code));
+
+        res.status(200).json({
+            success: true,
+            message: 'GHL connected',
+            tenant: tenant.id,
+            locationId: tokens.locationId,
+            expiresAt: tokens.expiresAt
+        });
+
+    } catch (error) {
+        console.error('GHL OAuth callback error:', error);
+        res.status(502).json({ error: 'Failed to connect GHL', message: error.message });
+    }
+};
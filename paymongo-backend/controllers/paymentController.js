@@ -1,236 +1,296 @@
 // controllers/paymentController.js
-const paymongoService = require('../services/paymongoService');
 const webhookService = require('../services/webhookService');
-const ghlService = require('../services/ghlService');
-const { generateId, validateEmail, validateMobile, calculateTaxedAmount } = require('../utils/helpers');
-
-// Product pricing mapping
-const PRODUCTS = {
-    'START UP VA Course': { amount: 1500, currency: 'PHP' },
-    'GHL Practice Access': { amount: 500, currency: 'PHP' },
-    'Freelancer Plan': { amount: 3500, currency: 'PHP' },
-    'Dedicated Coaching': { amount: 999, currency: 'PHP' },
-    'Customization Plan': { amount: 5000, currency: 'PHP' },
-    'Client Finder Tool': { amount: 500, currency: 'PHP' }
-};
+const tenantService = require('../services/tenantService');
+const pricingService = require('../services/pricingService');
+const promoService = require('../services/promoService');
+const taxService = require('../services/taxService');
+const { resolveCheckoutMethods } = require('../services/paymentMethods');
+const webhookEventRegistry = require('../services/paymentEventHandlers');
+const orderRepository = require('../repositories/orderRepository');
+const webhookEventRepository = require('../repositories/webhookEventRepository');
+const receiptRepository = require('../repositories/receiptRepository');
+const receiptService = require('../services/receiptService');
+const { generateId, validateEmail, validateMobile, maskSensitive } = require('../utils/helpers');
+const money = require('../utils/money');
+
+// Quote a product from the tenant's catalogue (by SKU or display name) with an optional promo code
+function buildQuote(catalog, { product, promoCode, email }) {
+    const catalogProduct = catalog.resolveActive(product);
+    if (!catalogProduct) {
+        return { error: 'Invalid product' };
+    }
 
-// Create payment intent
-exports.createPaymentIntent = async (req, res) => {
-    try {
-        // ✅ FIXED: Added paymentMethod and source to destructuring
-        const {
-            fullName,
-            email,
-            mobile,
-            product,
-            notes,
-            businessName,
-            setupType,
-            timezone,
-            experienceLevel,
-            coachingGoals,
-            targetClient,
-            paymentMethod, // ✅ ADD THIS - was missing!
-            source,        // ✅ ADD THIS - was missing!
-            amount,        // ✅ ADD: Receive amount from frontend (with discount)
-            discountAmount, // ✅ ADD: Receive discount amount
-            promoCode,     // ✅ ADD: Receive promo code used
-            metadata = {}
-        } = req.body;
-
-        // Validate required fields
-        if (!fullName || !email || !mobile || !product) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                required: ['fullName', 'email', 'mobile', 'product']
-            });
-        }
+    return pricingService.quote(catalogProduct, { promoCode, email });
+}
 
-        // Validate email
-        if (!validateEmail(email)) {
-            return res.status(400).json({ error: 'Invalid email format' });
-        }
+const MAX_CART_LINES = Number(process.env.MAX_CART_LINES || 10);
+const MAX_CART_QUANTITY = Number(process.env.MAX_CART_QUANTITY || 10);
+
+// Quote a cart of [{ sku, quantity }]. Each SKU is checked against the
+// tenant's catalogue; repeated SKUs are merged into one line.
+function buildCartQuote(catalog, { items, promoCode, email }) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'items must be a non-empty array of { sku, quantity }' };
+    }
 
-        // Validate mobile
-        if (!validateMobile(mobile)) {
-            return res.status(400).json({ error: 'Invalid mobile number format' });
+    const lines = new Map();
+    for (const item of items) {
+        const requested = item?.sku || item?.product;
+        const product = catalog.resolveActive(requested);
+        if (!product) {
+            return { error: `Invalid product: ${requested || '(missing sku)'}` };
         }
 
-        // Get product amount - Use frontend amount if provided (with discount), otherwise use product mapping
-        const productInfo = PRODUCTS[product];
-        if (!productInfo) {
-            return res.status(400).json({ error: 'Invalid product' });
+        const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return { error: `Invalid quantity for ${product.sku}` };
         }
 
-        // Generate unique payment reference
-        const paymentReference = generateId('PAY');
+        const line = lines.get(product.sku) || { product, quantity: 0 };
+        line.quantity += quantity;
+        lines.set(product.sku, line);
+    }
 
-        const taxRate = process.env.TAX_RATE ?? 0.10;
-        
-        // ✅ FIXED: Use frontend amount if provided and valid, otherwise calculate from product
-        let finalAmount, baseAmount, taxAmount;
-        
-        if (amount && amount > 0 && amount !== productInfo.amount) {
-            // Frontend provided a discounted amount - use it
-            finalAmount = Number(Number(amount).toFixed(2));
-            // Calculate base and tax from the discounted total
-            // finalAmount = base + tax, and tax = base * taxRate
-            // So: finalAmount = base + (base * taxRate) = base * (1 + taxRate)
-            // Therefore: base = finalAmount / (1 + taxRate)
-            baseAmount = Number((finalAmount / (1 + taxRate)).toFixed(2));
-            taxAmount = Number((finalAmount - baseAmount).toFixed(2));
-            console.log('Using frontend amount with discount:', {
-                frontendAmount: amount,
-                finalAmount,
-                baseAmount,
-                taxAmount,
-                discountAmount: discountAmount || 0,
-                promoCode: promoCode || 'none'
-            });
-        } else {
-            // Use product mapping (no discount)
-            const taxed = calculateTaxedAmount(productInfo.amount, taxRate);
-            finalAmount = Number(taxed.totalAmount.toFixed(2));
-            baseAmount = Number(taxed.baseAmount.toFixed(2));
-            taxAmount = Number(taxed.taxAmount.toFixed(2));
-        }
+    if (lines.size > MAX_CART_LINES) {
+        return { error: `A cart can contain at most ${MAX_CART_LINES} products` };
+    }
 
-        // Log what we received for debugging
-        console.log('Received payment request:', {
-            fullName,
-            email,
-            mobile,
-            product,
-            paymentMethod,
-            source,
-            frontendAmount: amount,
-            discountAmount,
-            promoCode
-        });
+    const tooMany = [...lines.values()].find(line => line.quantity > MAX_CART_QUANTITY);
+    if (tooMany) {
+        return { error: `Quantity for ${tooMany.product.sku} exceeds the maximum of ${MAX_CART_QUANTITY}` };
+    }
 
-        // ✅ FIXED: Flatten metadata - include paymentMethod and source
-        const flattenedMetadata = {
-            // Required fields
-            fullName: String(fullName || ''),
-            email: String(email || ''),
-            mobile: String(mobile || ''),
-            product: String(product || ''),
-            paymentReference: String(paymentReference || ''),
-
-            baseAmount: String(baseAmount),
-            taxRate: String(taxRate),
-            taxAmount: String(taxAmount),
-            totalAmount: String(finalAmount),
-
-            // ✅ ADD: Discount information
-            discountAmount: String(discountAmount || 0),
-            promoCode: String(promoCode || ''),
-
-            // Optional fields
-            notes: String(notes || ''),
-            businessName: String(businessName || ''),
-            setupType: String(setupType || ''),
-            timezone: String(timezone || ''),
-            experienceLevel: String(experienceLevel || ''),
-            coachingGoals: String(coachingGoals || ''),
-            targetClient: String(targetClient || ''),
-
-            // ✅ ADDED: These were missing!
-            paymentMethod: String(paymentMethod || 'gcash'),
-            source: String(source || 'nexistry_academy'),
-
-            // Timestamp
-            timestamp: new Date().toISOString()
-        };
+    return pricingService.quoteCart([...lines.values()], { promoCode, email });
+}
 
-        // Remove any empty values that PayMongo might reject
-        Object.keys(flattenedMetadata).forEach(key => {
-            if (flattenedMetadata[key] === '' || flattenedMetadata[key] === 'undefined' || flattenedMetadata[key] === 'null') {
-                delete flattenedMetadata[key];
-            }
-        });
+// Validate the required and customer fields of a checkout request. Returns an
+// error response body, or null when they are fine.
+function validateCheckoutFields(fields, required) {
+    if (required.some(key => !fields[key])) {
+        return { error: 'Missing required fields', required };
+    }
 
-        // Log the metadata being sent to PayMongo
-        console.log('Sending to PayMongo with metadata:', flattenedMetadata);
-
-        // Create PayMongo payment intent with flattened metadata
-        // NOTE: If you only pass ['qrph'], the checkout page will only show the QRPh scan option.
-        // To show the e-wallet + online banking list (GCash/GrabPay/Maya/ShopeePay/BPI/UnionBank),
-        // you must include those method types in the checkout session.
-        const selectedPaymentMethod = paymentMethod || 'qrph';
-
-        // Map frontend payment method IDs to PayMongo identifiers
-        const methodMap = {
-            'gcash': 'gcash',
-            'grabpay': 'grab_pay',
-            'maya': 'paymaya',
-            'shopeepay': 'shopee_pay',
-            'bpi': 'dob',
-            'unionbank': 'dob',
-            'qrph': 'qrph',
-            'card': 'card'
-        };
+    const { email, mobile } = fields;
 
-        const allSupportedPaymongoMethods = [
-            'qrph',
-            'gcash',
-            'grab_pay',
-            'paymaya',
-            'shopee_pay',
-            'dob'
-        ];
+    if (!validateEmail(email)) {
+        return { error: 'Invalid email format' };
+    }
 
-        const normalized = methodMap[selectedPaymentMethod] || 'qrph';
+    if (!validateMobile(mobile)) {
+        return { error: 'Invalid mobile number format' };
+    }
 
-        // If the user didn’t pick a specific method (or picked qrph/all), show all options.
-        let paymentMethods = (selectedPaymentMethod === 'qrph' || selectedPaymentMethod === 'all')
-            ? allSupportedPaymongoMethods
-            : [normalized];
+    return null;
+}
 
-        // Filter by what PayMongo says your merchant account is eligible for.
-        // This also explains why UnionBank might not appear under Online Banking even if `dob` is included.
-        try {
-            const capabilities = await paymongoService.getMerchantPaymentMethodCapabilities();
-            const allowed = new Set((capabilities || []).map(pm => pm?.attributes?.type).filter(Boolean));
-
-            // Keep only allowed types; if filtering removes everything, fall back to qrph.
-            const filtered = paymentMethods.filter(m => allowed.has(m));
-            if (filtered.length > 0) {
-                paymentMethods = filtered;
-            } else {
-                paymentMethods = ['qrph'];
+// Cancel a customer's earlier unpaid checkouts whose promo reservation was
+// taken over by their new checkout, so the code can't be paid for twice
+async function cancelSupersededCheckouts(references, paymentReference) {
+    for (const reference of references) {
+        const order = orderRepository.findByReference(reference);
+        if (!order || !['pending', 'expired'].includes(order.status)) continue;
+
+        if (order.paymongo?.checkoutSessionId) {
+            try {
+                await tenantService.forRecord(order).paymongo.expireCheckoutSession(order.paymongo.checkoutSessionId);
+            } catch (err) {
+                console.log(`Unable to expire superseded checkout ${reference} (non-fatal):`, err.message);
             }
-        } catch (capErr) {
-            console.log('Non-fatal: unable to fetch PayMongo capabilities, proceeding without filtering:', capErr.message);
         }
+        orderRepository.addStatus(reference, 'cancelled', {
+            event: 'promo.superseded',
+            note: `Promo code ${order.promoCode} moved to checkout ${paymentReference}`
+        });
+    }
+}
+
+// Create the PayMongo intent + checkout session and the order for a quote,
+// with the tenant's PayMongo account. Shared by single-product and cart
+// checkouts; returns the response body, or { error } when the promo code
+// can no longer be reserved.
+async function startCheckout(tenant, fields, quote, { cart = false } = {}) {
+    // ✅ FIXED: Added paymentMethod and source to destructuring
+    const {
+        fullName,
+        email,
+        mobile,
+        notes,
+        businessName,
+        setupType,
+        timezone,
+        experienceLevel,
+        coachingGoals,
+        targetClient,
+        paymentMethod, // ✅ ADD THIS - was missing!
+        source,        // ✅ ADD THIS - was missing!
+        amount,        // Client-side total, logged only; the server recomputes it
+        promoCode
+    } = fields;
+
+    // `product` may be a SKU or a display name; use the catalogue's values from here on
+    const { sku, currency, taxRate, baseAmount, taxAmount, discountAmount, finalAmount } = quote;
+    const productName = quote.product;
+    const appliedPromoCode = quote.promo?.code || '';
+    const cartItems = quote.lines.map(line => `${line.sku}:${line.quantity}`).join(',');
+
+    // Generate unique payment reference
+    const paymentReference = generateId('PAY');
+
+    // Hold one use of the promo code until the checkout is paid, cancelled or expires
+    let superseded = [];
+    if (appliedPromoCode) {
+        const reservation = promoService.reserve({ code: appliedPromoCode, email, paymentReference });
+        if (!reservation.reserved) {
+            return { error: reservation.error };
+        }
+        superseded = reservation.superseded;
+    }
 
-        console.log('Payment method selected:', selectedPaymentMethod, '-> PayMongo:', normalized, 'checkout types:', paymentMethods);
+    // Log what we received for debugging
+    console.log('Received payment request:', {
+        fullName,
+        email,
+        mobile,
+        product: fields.product || cartItems,
+        paymentMethod,
+        source,
+        frontendAmount: amount,
+        promoCode,
+        serverAmount: finalAmount,
+        discountAmount
+    });
 
-        const paymentIntent = await paymongoService.createPaymentIntent({
+    // ✅ FIXED: Flatten metadata - include paymentMethod and source
+    const flattenedMetadata = {
+        // Required fields
+        fullName: String(fullName || ''),
+        email: String(email || ''),
+        mobile: String(mobile || ''),
+        product: String(productName || ''),
+        sku: String(sku || ''),
+        // PayMongo metadata is flat strings only, so cart lines travel as "sku:qty,..."
+        items: cart ? cartItems : '',
+        paymentReference: String(paymentReference || ''),
+
+        baseAmount: String(baseAmount),
+        taxRate: String(taxRate),
+        taxAmount: String(taxAmount),
+        taxBreakdown: taxService.toMetadata(quote.taxBreakdown),
+        totalAmount: String(finalAmount),
+
+        // ✅ ADD: Discount information
+        discountAmount: String(discountAmount),
+        promoCode: String(appliedPromoCode),
+
+        // Optional fields
+        notes: String(notes || ''),
+        businessName: String(businessName || ''),
+        setupType: String(setupType || ''),
+        timezone: String(timezone || ''),
+        experienceLevel: String(experienceLevel || ''),
+        coachingGoals: String(coachingGoals || ''),
+        targetClient: String(targetClient || ''),
+
+        // ✅ ADDED: These were missing!
+        paymentMethod: String(paymentMethod || 'gcash'),
+        source: String(source || 'nexistry_academy'),
+
+        // Timestamp
+        timestamp: new Date().toISOString()
+    };
+
+    // Remove any empty values that PayMongo might reject
+    Object.keys(flattenedMetadata).forEach(key => {
+        if (flattenedMetadata[key] === '' || flattenedMetadata[key] === 'undefined' || flattenedMetadata[key] === 'null') {
+            delete flattenedMetadata[key];
+        }
+    });
+
+    // Log the metadata being sent to PayMongo
+    console.log('Sending to PayMongo with metadata:', flattenedMetadata);
+
+    // Create PayMongo payment intent with flattened metadata
+    // NOTE: If you only pass ['qrph'], the checkout page will only show the QRPh scan option.
+    // To show the e-wallet + online banking list (GCash/GrabPay/Maya/ShopeePay/BPI/UnionBank),
+    // you must include those method types in the checkout session.
+    let paymentIntent;
+    try {
+        const paymentMethods = await resolveCheckoutMethods(tenant.paymongo, paymentMethod);
+
+        paymentIntent = await tenant.paymongo.createPaymentIntent({
             amount: finalAmount,
-            currency: productInfo.currency,
-            description: `${product} - ${fullName}${discountAmount > 0 ? ` (Promo: ${promoCode})` : ''}`,
+            currency,
+            description: `${productName} - ${fullName}${discountAmount > 0 ? ` (Promo: ${appliedPromoCode})` : ''}`,
             paymentMethodAllowed: paymentMethods,
             paymentMethodTypes: paymentMethods,
+            lineItems: pricingService.toBillableLines(quote),
             metadata: flattenedMetadata
         });
+    } catch (intentErr) {
+        promoService.release(paymentReference, 'checkout_failed');
+        throw intentErr;
+    }
+
+    console.log('Payment intent created:', paymentIntent.id);
+
+    await cancelSupersededCheckouts(superseded, paymentReference);
 
-        console.log('Payment intent created:', paymentIntent.id);
+    try {
+        orderRepository.create({
+            reference: paymentReference,
+            tenant: tenant.id,
+            customer: { fullName, email, mobile },
+            product: productName,
+            sku,
+            items: quote.lines,
+            currency,
+            amounts: {
+                baseAmount,
+                taxRate,
+                taxAmount,
+                taxBreakdown: quote.taxBreakdown,
+                discountAmount,
+                totalAmount: finalAmount
+            },
+            promoCode: appliedPromoCode,
+            paymentMethod,
+            source,
+            paymongo: {
+                paymentIntentId: paymentIntent.id,
+                checkoutSessionId: paymentIntent.attributes.checkout_session_id
+            },
+            details: {
+                notes,
+                businessName,
+                setupType,
+                timezone,
+                experienceLevel,
+                coachingGoals,
+                targetClient
+            }
+        });
+    } catch (orderErr) {
+        console.error('Order ledger write error (non-fatal):', orderErr.message);
+    }
 
-        // Send to LeadConnector webhook - include paymentMethod and source
-        await webhookService.sendToLeadConnector({
+    // Queue the LeadConnector webhook - include paymentMethod and source
+    try {
+        webhookService.queueLeadConnector({
             fullName,
             email,
             mobile,
-            product,
+            product: productName,
+            sku,
+            items: cart ? quote.lines.map(({ sku, name, quantity, subtotal }) => ({ sku, name, quantity, subtotal })) : undefined,
             amount: finalAmount,
-            currency: productInfo.currency,
+            currency,
             paymentReference,
             baseAmount: baseAmount,
             taxRate: taxRate,
             taxAmount: taxAmount,
-            discountAmount: discountAmount || 0,
-            promoCode: promoCode || '',
+            taxBreakdown: quote.taxBreakdown,
+            discountAmount,
+            promoCode: appliedPromoCode,
             notes,
             businessName,
             setupType,
@@ -244,23 +304,55 @@ exports.createPaymentIntent = async (req, res) => {
             paymentIntentId: paymentIntent.id,
             checkoutUrl: paymentIntent.attributes.checkout_url,
             timestamp: new Date().toISOString()
-        }).catch(err => console.log('LeadConnector webhook error:', err.message));
+        }, { key: `leadconnector:payment_initiated:${paymentReference}`, tenant: tenant.id });
+    } catch (queueErr) {
+        console.log('LeadConnector queue error (non-fatal):', queueErr.message);
+    }
+
+    return {
+        success: true,
+        paymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.attributes.client_secret,
+        checkoutUrl: paymentIntent.attributes.checkout_url,
+        paymentReference,
+        product: productName,
+        sku,
+        ...(cart && { items: quote.lines }),
+        amount: finalAmount,
+        baseAmount: baseAmount,
+        taxRate: taxRate,
+        taxAmount: taxAmount,
+        taxBreakdown: quote.taxBreakdown,
+        discountAmount,
+        promoCode: appliedPromoCode,
+        currency
+    };
+}
+
+// Create payment intent
+exports.createPaymentIntent = async (req, res) => {
+    try {
+        const { email, product, promoCode } = req.body;
+
+        // Validate required fields, email and mobile
+        const invalid = validateCheckoutFields(req.body, ['fullName', 'email', 'mobile', 'product']);
+        if (invalid) {
+            return res.status(400).json(invalid);
+        }
+
+        // Price is always recomputed server-side from the catalogue; client-sent amount/discount are ignored
+        const quote = buildQuote(req.tenant.catalog, { product, promoCode, email });
+        if (quote.error) {
+            return res.status(400).json({ error: quote.error });
+        }
+
+        const checkout = await startCheckout(req.tenant, req.body, quote);
+        if (checkout.error) {
+            return res.status(400).json({ error: checkout.error });
+        }
 
         // Return payment details to frontend
-        res.status(200).json({
-            success: true,
-            paymentIntentId: paymentIntent.id,
-            clientSecret: paymentIntent.attributes.client_secret,
-            checkoutUrl: paymentIntent.attributes.checkout_url,
-            paymentReference,
-            amount: finalAmount,
-            baseAmount: baseAmount,
-            taxRate: taxRate,
-            taxAmount: taxAmount,
-            discountAmount: discountAmount || 0,
-            promoCode: promoCode || '',
-            currency: productInfo.currency
-        });
+        res.status(200).json(checkout);
 
     } catch (error) {
         console.error('Payment intent creation error:', error);
@@ -271,6 +363,96 @@ exports.createPaymentIntent = async (req, res) => {
     }
 };
 
+// Price a cart without starting a checkout
+exports.quoteCart = (req, res) => {
+    const { items, promoCode, email } = req.body;
+
+    const quote = buildCartQuote(req.tenant.catalog, { items, promoCode, email });
+    if (quote.error) {
+        return res.status(400).json({ error: quote.error });
+    }
+
+    res.status(200).json({
+        product: quote.product,
+        items: quote.lines,
+        currency: quote.currency,
+        taxRate: quote.taxRate,
+        baseAmount: quote.baseAmount,
+        taxAmount: quote.taxAmount,
+        taxBreakdown: quote.taxBreakdown,
+        subtotal: quote.subtotal,
+        discountAmount: quote.discountAmount,
+        promoCode: quote.promo?.code || null,
+        amount: quote.finalAmount
+    });
+};
+
+// Check out several products in one payment
+exports.createCartCheckout = async (req, res) => {
+    try {
+        const { email, items, promoCode } = req.body;
+
+        const invalid = validateCheckoutFields(req.body, ['fullName', 'email', 'mobile', 'items']);
+        if (invalid) {
+            return res.status(400).json(invalid);
+        }
+
+        const quote = buildCartQuote(req.tenant.catalog, { items, promoCode, email });
+        if (quote.error) {
+            return res.status(400).json({ error: quote.error });
+        }
+
+        const checkout = await startCheckout(req.tenant, req.body, quote, { cart: true });
+        if (checkout.error) {
+            return res.status(400).json({ error: checkout.error });
+        }
+
+        res.status(200).json(checkout);
+
+    } catch (error) {
+        console.error('Cart checkout error:', error);
+        res.status(500).json({
+            error: 'Failed to create cart checkout',
+            message: error.message
+        });
+    }
+};
+
+// Validate a promo code and return the server-side quote
+exports.validatePromoCode = (req, res) => {
+    const { code, product, email } = req.body;
+
+    if (!code || !product) {
+        return res.status(400).json({
+            valid: false,
+            error: 'Missing required fields',
+            required: ['code', 'product']
+        });
+    }
+
+    const quote = buildQuote(req.tenant.catalog, { product, promoCode: code, email });
+    if (quote.error) {
+        return res.status(400).json({ valid: false, error: quote.error });
+    }
+
+    res.status(200).json({
+        valid: true,
+        product: quote.product,
+        sku: quote.sku,
+        promoCode: quote.promo.code,
+        discountType: quote.promo.type,
+        discountValue: quote.promo.value,
+        baseAmount: quote.baseAmount,
+        taxRate: quote.taxRate,
+        taxAmount: quote.taxAmount,
+        taxBreakdown: quote.taxBreakdown,
+        subtotal: quote.subtotal,
+        discountAmount: quote.discountAmount,
+        amount: quote.finalAmount,
+        currency: quote.currency
+    });
+};
+
 // Get payment status
 exports.getPaymentStatus = async (req, res) => {
     try {
@@ -280,7 +462,7 @@ exports.getPaymentStatus = async (req, res) => {
             return res.status(400).json({ error: 'Payment ID required' });
         }
 
-        const paymentStatus = await paymongoService.getPaymentIntent(paymentId);
+        const paymentStatus = await req.tenant.paymongo.getPaymentIntent(paymentId);
 
         res.status(200).json({
             success: true,
@@ -298,6 +480,129 @@ exports.getPaymentStatus = async (req, res) => {
     }
 };
 
+// Status shown to the customer: the ledger's, unless PayMongo already shows
+// the session paid or expired before its webhook has arrived
+function sessionStatus(order, session) {
+    if (!['pending', 'processing'].includes(order.status) || !session) {
+        return order.status;
+    }
+
+    const attributes = session.attributes || {};
+    if ((attributes.payments || []).some(p => p.attributes?.status === 'paid')
+        || attributes.payment_intent?.attributes?.status === 'succeeded') {
+        return 'paid';
+    }
+    if (attributes.status === 'expired') {
+        return 'expired';
+    }
+    return order.status;
+}
+
+// What to do next for each product bought: the product's accessInstructions
+// (from the order's tenant's catalogue), or a pointer to the access email
+function accessInstructions(tenant, order, maskedEmail) {
+    const lines = order.items?.length ? order.items : [{ sku: order.sku, name: order.product }];
+    return lines.map(line => ({
+        product: line.name,
+        instructions: tenant.catalog.getBySku(line.sku)?.accessInstructions
+            || `Access details for ${line.name} have been sent to ${maskedEmail || 'your email'}.`
+    }));
+}
+
+// Order summary for the checkout success page (?session_id=). Only what the
+// customer needs to confirm their purchase; contact details are masked.
+exports.getSessionStatus = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        if (!/^cs_[A-Za-z0-9]+$/.test(sessionId || '')) {
+            return res.status(400).json({ error: 'Invalid checkout session ID' });
+        }
+
+        const order = orderRepository.findByCheckoutSessionId(sessionId);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Live status from the order's PayMongo account; the ledger is enough if it can't be reached
+        const tenant = tenantService.forRecord(order);
+        let session = null;
+        try {
+            session = await tenant.paymongo.getCheckoutSession(sessionId);
+        } catch (err) {
+            console.log('Checkout session lookup failed (using order ledger):', err.message);
+        }
+
+        const status = sessionStatus(order, session);
+        const paid = ['paid', 'partially_refunded'].includes(status);
+        const customer = maskSensitive({
+            fullName: order.customer?.fullName,
+            email: order.customer?.email,
+            mobile: order.customer?.mobile
+        });
+        const receipt = receiptRepository.findByReference(order.reference);
+        const amounts = order.amounts || {};
+
+        res.status(200).json({
+            success: true,
+            reference: order.reference,
+            status,
+            paid,
+            product: order.product,
+            items: (order.items || []).map(line => ({
+                name: line.name,
+                quantity: line.quantity,
+                amount: line.subtotal
+            })),
+            currency: order.currency,
+            amounts: {
+                baseAmount: amounts.baseAmount,
+                taxAmount: amounts.taxAmount,
+                discountAmount: amounts.discountAmount || 0,
+                totalAmount: amounts.totalAmount,
+                refundedAmount: amounts.refundedAmount || 0
+            },
+            promoCode: order.promoCode || null,
+            paymentMethod: order.paymentMethod || null,
+            customer,
+            paidAt: order.paidAt || null,
+            receipt: receipt ? { number: receipt.number, url: receiptService.link(order.reference) } : null,
+            accessInstructions: paid ? accessInstructions(tenant, order, customer.email) : null
+        });
+
+    } catch (error) {
+        console.error('Session status error:', error);
+        res.status(500).json({
+            error: 'Failed to get order status',
+            message: error.message
+        });
+    }
+};
+
+// Official receipt PDF for a paid order. The link's token is required, and a
+// bad token looks the same as a missing receipt.
+exports.getReceipt = (req, res) => {
+    try {
+        const { reference } = req.params;
+        const receipt = receiptRepository.findByReference(reference);
+
+        if (!receipt || !receiptService.verifyToken(reference, req.query.token)) {
+            return res.status(404).json({ error: 'Receipt not found' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${receipt.number}.pdf"`);
+        res.status(200).send(receiptService.renderPdf(receipt));
+
+    } catch (error) {
+        console.error('Receipt error:', error);
+        res.status(500).json({
+            error: 'Failed to get receipt',
+            message: error.message
+        });
+    }
+};
+
 // Handle PayMongo webhook
 exports.handleWebhook = async (req, res) => {
     // Log raw request immediately
@@ -305,40 +610,49 @@ exports.handleWebhook = async (req, res) => {
     console.log('Headers:', JSON.stringify(req.headers, null, 2));
     console.log('Raw body:', JSON.stringify(req.body, null, 2));
 
-    try {
-        const event = req.body;
+    const event = req.body;
+    const eventId = event?.data?.id;
 
+    try {
         // Handle both PayMongo structures
         const eventType = event.data?.attributes?.type || event.data?.type || event.type;
 
-        console.log('Webhook received:', eventType);
-        console.log('Event data:', JSON.stringify(event.data, null, 2));
+        console.log('Webhook received:', eventType, eventId || '');
 
-        // Handle different event types
-        switch (eventType) {
-            case 'payment.paid':
-                await handlePaymentSuccess(event.data?.attributes || event.data);
-                break;
+        // Without an ID the event can't be deduped, so it is never processed
+        if (!eventId) {
+            console.error('Webhook event without an ID rejected:', eventType);
+            return res.status(400).json({ received: false, error: 'Webhook event ID required' });
+        }
 
-            case 'payment.failed':
-                await handlePaymentFailure(event.data?.attributes || event.data);
-                break;
+        // PayMongo redelivers events; only the delivery that claims the event
+        // processes it. Processed ones are acknowledged without side effects;
+        // one still being processed gets a 409 so PayMongo tries again later.
+        const claim = webhookEventRepository.claimEvent(eventId, {
+            type: eventType,
+            paymentId: webhookEventRegistry.normalize(event).paymentId
+        });
+        if (!claim.claimed) {
+            if (claim.record.status === 'processed') {
+                console.log('Duplicate webhook event, already processed:', eventId);
+                return res.status(200).json({ received: true, duplicate: true });
+            }
+            console.log('Webhook event already being processed:', eventId);
+            return res.status(409).json({ received: false, inProgress: true });
+        }
 
-            case 'payment.pending':
-                await handlePaymentPending(event.data?.attributes || event.data);
-                break;
+        // Handlers are registered per event type in services/paymentEventHandlers.js
+        await webhookEventRegistry.dispatch(event, { tenant: req.tenant });
 
-            default:
-                console.log('Unhandled event type:', eventType);
-        }
+        webhookEventRepository.completeEvent(eventId);
 
-        // Always return 200 to acknowledge receipt
         res.status(200).json({ received: true });
 
     } catch (error) {
         console.error('Webhook processing error:', error);
-        // Still return 200 to prevent PayMongo from retrying
-        res.status(200).json({ received: true, error: error.message });
+        webhookEventRepository.failEvent(eventId, error);
+        // Non-2xx so PayMongo redelivers; completed steps are skipped on the retry
+        res.status(500).json({ received: false, error: error.message });
     }
 };
 
@@ -352,38 +666,227 @@ exports.cancelPayment = async (req, res) => {
             return res.status(400).json({ error: 'Payment ID required' });
         }
 
+        const paymentIntent = await req.tenant.paymongo.getPaymentIntent(paymentId);
+        const intentStatus = paymentIntent.attributes.status;
+
+        // Money has moved (or is moving); these must be refunded instead
+        if (intentStatus === 'succeeded' || intentStatus === 'processing') {
+            return res.status(409).json({
+                error: `Payment is ${intentStatus} and cannot be cancelled`,
+                status: intentStatus
+            });
+        }
+
+        const found = orderRepository.findByPaymentIntentId(paymentId);
+        const order = tenantService.owns(req.tenant, found) ? found : null;
+        if (order?.status === 'cancelled') {
+            return res.status(409).json({ error: 'Payment is already cancelled', paymentReference: order.reference });
+        }
+
+        // The ledger can know about a payment before the intent reflects it
+        if (['paid', 'processing', 'refunded', 'partially_refunded'].includes(order?.status)) {
+            return res.status(409).json({
+                error: `Order is ${order.status} and cannot be cancelled`,
+                paymentReference: order.reference
+            });
+        }
+
+        // PayMongo doesn't link the intent back to its checkout session; the order ledger does
+        const checkoutSessionId = order?.paymongo?.checkoutSessionId;
+        if (!checkoutSessionId) {
+            return res.status(404).json({ error: 'No checkout session found for this payment' });
+        }
+
+        await req.tenant.paymongo.expireCheckoutSession(checkoutSessionId);
+        console.log('Checkout session expired:', checkoutSessionId, 'reason:', reason);
+
+        orderRepository.addStatus(order.reference, 'cancelled', {
+            event: 'payment.cancelled',
+            note: reason
+        });
+        promoService.release(order.reference, 'cancelled');
+
+        try {
+            webhookService.queueLeadConnector({
+                fullName: order.customer?.fullName,
+                email: order.customer?.email,
+                mobile: order.customer?.mobile,
+                product: order.product,
+                paymentReference: order.reference,
+                status: 'payment_cancelled',
+                reason,
+                paymentIntentId: paymentId,
+                checkoutSessionId,
+                cancelledAt: new Date().toISOString()
+            }, { key: `leadconnector:payment_cancelled:${order.reference}`, tenant: req.tenant.id });
+        } catch (queueErr) {
+            console.log('LeadConnector queue error (non-fatal):', queueErr.message);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Payment cancelled',
-            paymentId
+            paymentId,
+            paymentReference: order.reference,
+            checkoutSessionId,
+            reason
         });
 
     } catch (error) {
         console.error('Payment cancellation error:', error);
-        res.status(500).json({ error: 'Failed to cancel payment' });
+        res.status(500).json({ error: 'Failed to cancel payment', message: error.message });
     }
 };
 
 // Retry payment
+// Reuses the current checkout session while it can still be paid; otherwise
+// (expired, or the customer switched payment method) issues a new session for
+// the same product, amount and metadata, linked to the original paymentReference.
 exports.retryPayment = async (req, res) => {
     try {
         const { paymentId } = req.params;
+        const { paymentMethod } = req.body || {};
 
         if (!paymentId) {
             return res.status(400).json({ error: 'Payment ID required' });
         }
 
-        const paymentIntent = await paymongoService.getPaymentIntent(paymentId);
+        const paymentIntent = await req.tenant.paymongo.getPaymentIntent(paymentId);
+        const intentStatus = paymentIntent.attributes.status;
+
+        if (intentStatus === 'succeeded' || intentStatus === 'processing') {
+            return res.status(409).json({
+                error: `Payment is ${intentStatus} and cannot be retried`,
+                status: intentStatus
+            });
+        }
+
+        const order = orderRepository.findByPaymentIntentId(paymentId);
+        if (!tenantService.owns(req.tenant, order)) {
+            return res.status(404).json({ error: 'No order found for this payment' });
+        }
+
+        if (['paid', 'processing', 'refunded', 'partially_refunded'].includes(order.status)) {
+            return res.status(409).json({
+                error: `Order is ${order.status} and cannot be retried`,
+                paymentReference: order.reference
+            });
+        }
+
+        // Is the current session still payable with the requested method?
+        let currentSession = null;
+        if (order.paymongo.checkoutSessionId) {
+            try {
+                currentSession = await req.tenant.paymongo.getCheckoutSession(order.paymongo.checkoutSessionId);
+            } catch (sessionErr) {
+                console.log('Unable to load current checkout session, issuing a new one:', sessionErr.message);
+            }
+        }
+
+        const switchingMethod = Boolean(paymentMethod) && paymentMethod !== order.paymentMethod;
+        const sessionUsable = currentSession?.attributes?.status === 'active'
+            && !switchingMethod
+            && order.status !== 'cancelled';
+
+        if (sessionUsable) {
+            return res.status(200).json({
+                success: true,
+                reused: true,
+                checkoutUrl: currentSession.attributes.checkout_url,
+                checkoutSessionId: currentSession.id,
+                paymentIntentId: paymentIntent.id,
+                paymentReference: order.reference
+            });
+        }
+
+        const maxRetries = Number(process.env.MAX_PAYMENT_RETRIES || 3);
+        // Links re-issued by abandoned checkout reminders don't count
+        const retryCount = (order.paymongo.retries || []).filter(r => !r.reason).length;
+        if (retryCount >= maxRetries) {
+            return res.status(429).json({
+                error: 'Retry limit reached for this payment',
+                maxRetries,
+                paymentReference: order.reference
+            });
+        }
+
+        // A cancelled or lapsed checkout gave its promo use back; take it again
+        // without cancelling the customer's other checkouts (409 once the
+        // promo has ended or run out)
+        if (order.promoCode) {
+            const reservation = promoService.reserve({
+                code: order.promoCode,
+                email: order.customer?.email,
+                paymentReference: order.reference,
+                supersede: false
+            });
+            if (!reservation.reserved) {
+                return res.status(409).json({ error: reservation.error, paymentReference: order.reference });
+            }
+        }
+
+        // Don't leave a second payable link behind when switching method
+        if (currentSession?.attributes?.status === 'active') {
+            await req.tenant.paymongo.expireCheckoutSession(currentSession.id);
+        }
+
+        const paymentMethods = await resolveCheckoutMethods(req.tenant.paymongo, paymentMethod || order.paymentMethod);
+        const metadata = {
+            ...paymentIntent.attributes.metadata,
+            paymentReference: order.reference,
+            paymentMethod: String(paymentMethod || order.paymentMethod || 'qrph'),
+            retryCount: String(retryCount + 1),
+            retryOf: paymentId
+        };
+
+        const checkoutResult = await req.tenant.paymongo.createCheckoutSession(null, {
+            amount: money.fromCentavos(paymentIntent.attributes.amount),
+            currency: paymentIntent.attributes.currency,
+            description: paymentIntent.attributes.description,
+            lineItems: order.items?.length
+                ? pricingService.toBillableLines({ lines: order.items, promo: order.promoCode ? { code: order.promoCode } : null })
+                : undefined,
+            metadata,
+            paymentMethodTypes: paymentMethods
+        });
+        const checkoutSession = checkoutResult.data;
+
+        orderRepository.update(order.reference, {
+            paymentMethod: paymentMethod || order.paymentMethod,
+            paymongo: {
+                checkoutSessionId: checkoutSession.id,
+                retries: [
+                    ...(order.paymongo.retries || []),
+                    {
+                        checkoutSessionId: checkoutSession.id,
+                        previousCheckoutSessionId: order.paymongo.checkoutSessionId,
+                        paymentIntentId: checkoutSession.attributes.payment_intent?.id || null,
+                        paymentMethodTypes: paymentMethods,
+                        createdAt: new Date().toISOString()
+                    }
+                ]
+            }
+        });
+        orderRepository.addStatus(order.reference, 'pending', {
+            event: 'checkout_session.retried',
+            note: `Retry ${retryCount + 1}: new checkout session ${checkoutSession.id}`
+        });
 
         res.status(200).json({
             success: true,
-            checkoutUrl: paymentIntent.attributes.checkout_url,
-            paymentIntentId: paymentIntent.id
+            reused: false,
+            checkoutUrl: checkoutSession.attributes.checkout_url,
+            checkoutSessionId: checkoutSession.id,
+            paymentIntentId: paymentIntent.id,
+            paymentReference: order.reference,
+            paymentMethodTypes: paymentMethods,
+            retryCount: retryCount + 1,
+            retriesRemaining: maxRetries - retryCount - 1
         });
 
     } catch (error) {
         console.error('Payment retry error:', error);
-        res.status(500).json({ error: 'Failed to retry payment' });
+        res.status(500).json({ error: 'Failed to retry payment', message: error.message });
     }
 };
 
@@ -430,128 +933,3 @@ exports.validatePayment = (req, res) => {
 
     res.status(200).json({ valid: true });
 };
-
-// Helper functions for webhook handling
-async function handlePaymentSuccess(attributes) {
-    console.log('Payment succeeded:', attributes);
-
-    const paymentData = attributes.data || {};
-    const metadata = paymentData.attributes?.metadata || {};
-
-    try {
-        if (process.env.GHL_PRIVATE_KEY && process.env.GHL_LOCATION_ID) {
-            const amountCentavos = Number(paymentData.attributes?.amount);
-            const currency = paymentData.attributes?.currency || 'PHP';
-            // Convert centavos to whole currency units with decimals preserved (e.g., 165000 -> 1650.00)
-            const amount = Number.isFinite(amountCentavos) ? (amountCentavos / 100) : undefined;
-
-            const fullName = metadata.fullName;
-            const email = metadata.email;
-            const phone = metadata.mobile;
-            const product = metadata.product;
-
-            const upsertResult = await ghlService.upsertContact({
-                fullName,
-                email,
-                phone
-            });
-
-            const contactId = upsertResult?.contact?.id || upsertResult?.id || upsertResult?.contactId;
-
-            if (!contactId) {
-                console.log('GHL upsertContact did not return contact id, skipping invoice creation');
-            } else if (!amount) {
-                console.log('PayMongo amount missing, skipping invoice creation');
-            } else {
-                const now = new Date();
-                const issueDate = now.toISOString().slice(0, 10);
-                const dueDate = issueDate;
-
-                const invoice = await ghlService.createInvoice({
-                    contactId,
-                    contactDetails: {
-                        name: fullName,
-                        phoneNo: phone,
-                        email
-                    },
-                    name: product ? String(product) : 'PayMongo Payment',
-                    currency: String(currency).toUpperCase(),
-                    issueDate,
-                    dueDate,
-                    items: [
-                        {
-                            name: product ? String(product) : 'PayMongo Payment',
-                            description: metadata.paymentReference ? `Ref: ${metadata.paymentReference}` : undefined,
-                            currency: String(currency).toUpperCase(),
-                            amount,
-                            qty: 1,
-                            type: 'one_time'
-                        }
-                    ].map(item => {
-                        Object.keys(item).forEach(k => item[k] === undefined && delete item[k]);
-                        return item;
-                    })
-                });
-
-                console.log('GHL invoice created:', invoice?.id || invoice?.invoice?.id || invoice);
-
-                const invoiceId = invoice?.invoice?._id || invoice?._id || invoice?.id;
-                if (invoiceId) {
-                    try {
-                        const paySource = paymentData.attributes?.source || {};
-                        const cardBrand = paySource?.brand || paySource?.card_brand;
-                        const cardLast4 = paySource?.last4 || paySource?.last_4;
-
-                        const paymentResult = await ghlService.recordInvoicePayment({
-                            invoiceId,
-                            amount,
-                            mode: 'card',
-                            cardBrand,
-                            cardLast4,
-                            notes: `PayMongo payment ${paymentData.id}`,
-                            fulfilledAt: new Date().toISOString()
-                        });
-                        console.log('GHL payment recorded, transaction created:', paymentResult?.id || paymentResult?.transaction?.id || 'OK');
-                    } catch (payErr) {
-                        console.log('GHL record-payment error (non-fatal):', payErr.response?.data || payErr.message);
-                    }
-                } else {
-                    console.log('GHL invoice created but no invoiceId found for record-payment');
-                }
-            }
-        }
-    } catch (err) {
-        console.log('GHL sync error (non-fatal):', err.response?.data || err.message);
-    }
-
-    await webhookService.sendToLeadConnector({
-        ...metadata,
-        status: 'payment_successful',
-        paymentId: paymentData.id,
-        paymentDetails: attributes,
-        completedAt: new Date().toISOString()
-    }).catch(err => {
-        console.log('LeadConnector webhook error (non-fatal):', err.response?.data || err.message);
-    });
-}
-
-async function handlePaymentFailure(attributes) {
-    console.log('Payment failed:', attributes);
-
-    const paymentData = attributes.data || {};
-    const metadata = paymentData.attributes?.metadata || {};
-
-    await webhookService.sendToLeadConnector({
-        ...metadata,
-        status: 'payment_failed',
-        paymentId: paymentData.id,
-        paymentDetails: attributes,
-        completedAt: new Date().toISOString()
-    }).catch(err => {
-        console.log('LeadConnector webhook error (non-fatal):', err.response?.data || err.message);
-    });
-}
-
-async function handlePaymentPending(attributes) {
-    console.log('Payment pending:', attributes);
-}
\ No newline at end of file
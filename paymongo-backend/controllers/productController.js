@@ -0,0 +1,115 @@
+// controllers/productController.js
+const pricingService = require('../services/pricingService');
+
+// Public view of a product, with the prices the landing pages should display
+function toPublicProduct(product) {
+    const priced = pricingService.priceProduct(product);
+
+    return {
+        sku: product.sku,
+        name: product.name,
+        description: product.description,
+        currency: product.currency,
+        price: product.price,
+        taxCategory: priced.taxCategory,
+        taxLabel: priced.taxLabel,
+        taxInclusive: priced.taxInclusive,
+        baseAmount: priced.baseAmount,
+        taxRate: priced.taxRate,
+        taxAmount: priced.taxAmount,
+        totalAmount: priced.totalAmount,
+        billing: product.billing || null
+    };
+}
+
+// List active products
+exports.listProducts = (req, res) => {
+    try {
+        const products = req.tenant.catalog.list().map(toPublicProduct);
+        res.status(200).json({ success: true, products });
+    } catch (error) {
+        console.error('List products error:', error);
+        res.status(500).json({ error: 'Failed to list products' });
+    }
+};
+
+// Get one active product by SKU
+exports.getProduct = (req, res) => {
+    try {
+        const product = req.tenant.catalog.getBySku(req.params.sku);
+        if (!product || product.active === false) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        res.status(200).json({ success: true, product: toPublicProduct(product) });
+    } catch (error) {
+        console.error('Get product error:', error);
+        res.status(500).json({ error: 'Failed to get product' });
+    }
+};
+
+// Admin: list every product, including inactive ones
+exports.adminListProducts = (req, res) => {
+    try {
+        const products = req.tenant.catalog.list({ includeInactive: true });
+        res.status(200).json({ success: true, count: products.length, products });
+    } catch (error) {
+        console.error('Admin list products error:', error);
+        res.status(500).json({ error: 'Failed to list products' });
+    }
+};
+
+// Admin: create a product
+exports.createProduct = (req, res) => {
+    try {
+        const errors = req.tenant.catalog.validate(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid product', errors });
+        }
+
+        if (req.tenant.catalog.getBySku(req.body.sku)) {
+            return res.status(409).json({ error: 'Product already exists', sku: req.body.sku });
+        }
+
+        const product = req.tenant.catalog.create(req.body);
+        res.status(201).json({ success: true, product });
+    } catch (error) {
+        console.error('Create product error:', error);
+        res.status(500).json({ error: 'Failed to create product', message: error.message });
+    }
+};
+
+// Admin: update a product (partial)
+exports.updateProduct = (req, res) => {
+    try {
+        const errors = req.tenant.catalog.validate(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid product', errors });
+        }
+
+        const product = req.tenant.catalog.update(req.params.sku, req.body);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        res.status(200).json({ success: true, product });
+    } catch (error) {
+        console.error('Update product error:', error);
+        res.status(500).json({ error: 'Failed to update product', message: error.message });
+    }
+};
+
+// Admin: delete a product
+exports.deleteProduct = (req, res) => {
+    try {
+        const product = req.tenant.catalog.remove(req.params.sku);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        res.status(200).json({ success: true, product });
+    } catch (error) {
+        console.error('Delete product error:', error);
+        res.status(500).json({ error: 'Failed to delete product', message: error.message });
+    }
+};
@@ -0,0 +1,85 @@
+// controllers/reportController.js
+const salesReportService = require('../services/salesReportService');
+const { parseDateRange } = require('../utils/helpers');
+
+const FORMATS = ['csv', 'json'];
+
+// Quote a CSV cell. Text starting with =, +, - or @ is prefixed with ' so
+// spreadsheets don't run it as a formula; plain numbers are left alone.
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ?month=2024-05, or ?from=&to=
+function resolveRange({ month, from, to }) {
+    if (month) {
+        const match = /^(\d{4})-(\d{2})$/.exec(String(month));
+        if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+            return { error: 'month must look like 2024-05' };
+        }
+        const start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+        const end = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1) - 1);
+        return { from: start, to: end };
+    }
+
+    if (!from || !to) {
+        return { error: 'Pass month (e.g. 2024-05) or both from and to' };
+    }
+
+    return parseDateRange(from, to);
+}
+
+// Sales for a date range as CSV (default) or JSON, streamed row by row
+exports.salesReport = (req, res) => {
+    try {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({ error: 'Invalid format', allowed: FORMATS });
+        }
+
+        const range = resolveRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const filename = `sales-${range.from.toISOString().slice(0, 10)}-to-${range.to.toISOString().slice(0, 10)}.${format}`;
+        res.status(200);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        const rows = salesReportService.rows({ from: range.from, to: range.to, tenant: req.tenant.id });
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.write(`${salesReportService.columns.join(',')}\r\n`);
+            for (const row of rows) {
+                res.write(`${salesReportService.columns.map(column => csvCell(row[column])).join(',')}\r\n`);
+            }
+            return res.end();
+        }
+
+        // JSON: { from, to, rows: [...] } written as the rows are produced
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.write(`{"from":${JSON.stringify(range.from.toISOString())},"to":${JSON.stringify(range.to.toISOString())},"rows":[`);
+        let first = true;
+        for (const row of rows) {
+            res.write(`${first ? '' : ','}${JSON.stringify(row)}`);
+            first = false;
+        }
+        res.end(']}');
+
+    } catch (error) {
+        console.error('Sales report error:', error);
+        if (res.headersSent) {
+            // Part of the report is already out; cut it short so it isn't mistaken for complete
+            return res.destroy(error);
+        }
+        res.status(500).json({ error: 'Failed to build sales report', message: error.message });
+    }
+};
@@ -0,0 +1,210 @@
+// controllers/subscriptionController.js
+const subscriptionService = require('../services/subscriptionService');
+const { resolveCheckoutMethods } = require('../services/paymentMethods');
+const tenantService = require('../services/tenantService');
+const subscriptionRepository = require('../repositories/subscriptionRepository');
+const { validateEmail, validateMobile } = require('../utils/helpers');
+
+// Customer-facing view of a subscription
+function toPublicSubscription(subscription) {
+    return {
+        subscriptionId: subscription.id,
+        status: subscription.status,
+        plan: subscription.plan,
+        product: subscription.product,
+        sku: subscription.sku,
+        currency: subscription.currency,
+        totalCycles: subscription.totalCycles,
+        nextBillingAt: subscription.nextBillingAt,
+        cycles: subscription.cycles.map(cycle => ({
+            number: cycle.number,
+            status: cycle.status,
+            dueAt: cycle.dueAt,
+            amount: cycle.amount,
+            paymentReference: cycle.paymentReference,
+            checkoutUrl: cycle.status === 'open' ? cycle.checkoutUrl : undefined,
+            paidAt: cycle.paidAt || undefined
+        })),
+        cancelledAt: subscription.cancelledAt,
+        createdAt: subscription.createdAt
+    };
+}
+
+// The subscription ID is the customer's handle; the email must match as well
+function findForCustomer(id, email) {
+    const subscription = subscriptionRepository.findById(id);
+    if (!subscription || !email
+        || String(subscription.customer.email).toLowerCase() !== String(email).trim().toLowerCase()) {
+        return null;
+    }
+    return subscription;
+}
+
+// Start a monthly plan or installment schedule; returns the first payment link
+exports.createSubscription = async (req, res) => {
+    try {
+        const { fullName, email, mobile, product, plan, installments, paymentMethod, source } = req.body;
+
+        if (!fullName || !email || !mobile || !product || !plan) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['fullName', 'email', 'mobile', 'product', 'plan']
+            });
+        }
+
+        if (!validateEmail(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        if (!validateMobile(mobile)) {
+            return res.status(400).json({ error: 'Invalid mobile number format' });
+        }
+
+        const catalogProduct = req.tenant.catalog.resolveActive(product);
+        if (!catalogProduct) {
+            return res.status(400).json({ error: 'Invalid product' });
+        }
+
+        const planError = subscriptionService.checkPlan(catalogProduct, plan, installments);
+        if (planError) {
+            return res.status(400).json({ error: planError });
+        }
+
+        const result = await subscriptionService.subscribe({
+            tenant: req.tenant,
+            customer: { fullName, email, mobile },
+            product: catalogProduct,
+            plan,
+            installments,
+            paymentMethod,
+            paymentMethodTypes: await resolveCheckoutMethods(req.tenant.paymongo, paymentMethod),
+            source
+        });
+
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            ...toPublicSubscription(result.subscription),
+            checkoutUrl: result.cycle.checkoutUrl,
+            paymentReference: result.cycle.paymentReference,
+            amount: result.cycle.amount
+        });
+
+    } catch (error) {
+        console.error('Create subscription error:', error);
+        res.status(500).json({
+            error: 'Failed to create subscription',
+            message: error.message
+        });
+    }
+};
+
+// Subscription status for the customer (?email= must match)
+exports.getSubscription = (req, res) => {
+    try {
+        const subscription = findForCustomer(req.params.subscriptionId, req.query.email);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        res.status(200).json({ success: true, ...toPublicSubscription(subscription) });
+
+    } catch (error) {
+        console.error('Get subscription error:', error);
+        res.status(500).json({ error: 'Failed to get subscription', message: error.message });
+    }
+};
+
+// Customer cancellation
+exports.cancelSubscription = async (req, res) => {
+    try {
+        const { email, reason } = req.body;
+        const subscription = findForCustomer(req.params.subscriptionId, email);
+        if (!subscription) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        if (['cancelled', 'completed'].includes(subscription.status)) {
+            return res.status(409).json({ error: `Subscription is already ${subscription.status}` });
+        }
+
+        const cancelled = await subscriptionService.cancel(subscription.id, { reason, by: 'customer' });
+        res.status(200).json({ success: true, ...toPublicSubscription(cancelled) });
+
+    } catch (error) {
+        console.error('Cancel subscription error:', error);
+        res.status(500).json({ error: 'Failed to cancel subscription', message: error.message });
+    }
+};
+
+// Admin: list the tenant's subscriptions (filter by status, email, sku)
+exports.adminListSubscriptions = (req, res) => {
+    try {
+        const { status, email, sku } = req.query;
+        const subscriptions = subscriptionRepository.list({ tenant: req.tenant.id, status, email, sku });
+        res.status(200).json({ success: true, count: subscriptions.length, subscriptions });
+    } catch (error) {
+        console.error('List subscriptions error:', error);
+        res.status(500).json({ error: 'Failed to list subscriptions', message: error.message });
+    }
+};
+
+// Admin: cancel on the customer's behalf
+exports.adminCancelSubscription = async (req, res) => {
+    try {
+        const subscription = subscriptionRepository.findById(req.params.subscriptionId);
+        if (!subscription || !tenantService.owns(req.tenant, subscription)) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        if (['cancelled', 'completed'].includes(subscription.status)) {
+            return res.status(409).json({ error: `Subscription is already ${subscription.status}` });
+        }
+
+        const cancelled = await subscriptionService.cancel(subscription.id, { reason: req.body.reason, by: 'admin' });
+        res.status(200).json({ success: true, subscription: cancelled });
+
+    } catch (error) {
+        console.error('Admin cancel subscription error:', error);
+        res.status(500).json({ error: 'Failed to cancel subscription', message: error.message });
+    }
+};
+
+// Admin: resume an unpaid subscription with a new link for its failed cycle
+exports.adminResumeSubscription = async (req, res) => {
+    try {
+        const subscription = subscriptionRepository.findById(req.params.subscriptionId);
+        if (!subscription || !tenantService.owns(req.tenant, subscription)) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        if (subscription.status !== 'unpaid') {
+            return res.status(409).json({ error: `Subscription is ${subscription.status}, only unpaid subscriptions can be resumed` });
+        }
+
+        const resumed = await subscriptionService.resume(subscription.id, { by: 'admin' });
+        if (!resumed) {
+            return res.status(409).json({ error: 'Subscription has no failed cycle to resume' });
+        }
+
+        res.status(200).json({ success: true, subscription: resumed });
+
+    } catch (error) {
+        console.error('Admin resume subscription error:', error);
+        res.status(500).json({ error: 'Failed to resume subscription', message: error.message });
+    }
+};
+
+// Admin: run a billing pass (every tenant) now instead of waiting for the scheduler
+exports.runBilling = async (req, res) => {
+    try {
+        await subscriptionService.runDue();
+        res.status(200).json({ success: true });
+    } catch (error) {
+        console.error('Run billing error:', error);
+        res.status(500).json({ error: 'Failed to run billing', message: error.message });
+    }
+};
@@ -7,6 +7,15 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 
 const paymentRoutes = require('./routes/payments');
+const adminRoutes = require('./routes/admin');
+const productRoutes = require('./routes/products');
+const subscriptionRoutes = require('./routes/subscriptions');
+const ghlRoutes = require('./routes/ghl');
+const { resolveTenant } = require('./middleware/tenant');
+const tenantService = require('./services/tenantService');
+const jobQueue = require('./services/jobQueue');
+const subscriptionService = require('./services/subscriptionService');
+const checkoutRecoveryService = require('./services/checkoutRecoveryService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,8 +26,8 @@ app.use(helmet({
     contentSecurityPolicy: false,
 }));
 
-// CORS configuration
-const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || [];
+// CORS configuration (tenants' sites are allowed too)
+const allowedOrigins = [...(process.env.ALLOWED_ORIGINS?.split(',') || []), ...tenantService.origins()];
 app.use(cors({
     origin: (origin, callback) => {
         if (!origin || allowedOrigins.includes(origin) || process.env.NODE_ENV !== 'production') {
@@ -39,14 +48,28 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing
+// The webhook route keeps the raw body so the PayMongo signature can be verified
+app.use('/api/payments/webhook', express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files (if needed)
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
+// Every API request is for a tenant (brand)
+app.use('/api', resolveTenant);
+
 // Routes
 app.use('/api/payments', paymentRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/ghl', ghlRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -64,8 +87,14 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             createPayment: '/api/payments/create-payment-intent',
+            cartQuote: '/api/payments/cart/quote',
+            cartCheckout: '/api/payments/cart/checkout',
             paymentWebhook: '/api/payments/webhook',
             checkStatus: '/api/payments/status/:id',
+            validatePromo: '/api/payments/promo/validate',
+            products: '/api/products',
+            subscriptions: '/api/subscriptions',
+            product: '/api/products/:sku',
             health: '/health'
         }
     });
@@ -89,7 +118,10 @@ app.use((req, res) => {
 app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📝 Environment: ${process.env.NODE_ENV}`);
-    console.log(`💰 PayMongo integration ready`);
+    console.log(`💰 PayMongo integration ready (tenants: ${tenantService.list().map(t => t.id).join(', ')})`);
+    jobQueue.start();
+    subscriptionService.start();
+    checkoutRecoveryService.start();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,7 +1,10 @@
 // middleware/auth.js
 const crypto = require('crypto');
+const tenantService = require('../services/tenantService');
+const { logSecurityEvent } = require('../utils/helpers');
 
-// Simple API key authentication
+// Simple API key authentication. The deployment key (API_KEY) or the
+// tenant's own key (see middleware/tenant.js) is accepted.
 const validateApiKey = (req, res, next) => {
     const apiKey = req.headers['x-api-key'];
 
@@ -12,49 +15,52 @@ const validateApiKey = (req, res, next) => {
     // Compare with stored key (you'd store this in env)
     const validKey = process.env.API_KEY;
 
-    if (apiKey !== validKey) {
+    const tenantKey = req.tenant?.apiKey;
+
+    if (apiKey !== validKey && apiKey !== tenantKey) {
         return res.status(403).json({ error: 'Invalid API key' });
     }
 
     next();
 };
 
-// Rate limiting by user
-const userRateLimit = new Map();
+// Sliding-window rate limiter keyed by getKey(req). Each limiter keeps its
+// own counts.
+const createRateLimiter = (getKey) => (maxRequests = 10, windowMs = 60000) => {
+    const hits = new Map();
 
-const rateLimitByUser = (maxRequests = 10, windowMs = 60000) => {
     return (req, res, next) => {
-        const userId = req.body.email || req.ip;
+        const key = getKey(req);
         const now = Date.now();
-
-        if (!userRateLimit.has(userId)) {
-            userRateLimit.set(userId, []);
-        }
-
-        const timestamps = userRateLimit.get(userId);
         const windowStart = now - windowMs;
 
         // Remove old timestamps
-        const validTimestamps = timestamps.filter(t => t > windowStart);
-        userRateLimit.set(userId, validTimestamps);
+        const validTimestamps = (hits.get(key) || []).filter(t => t > windowStart);
 
         if (validTimestamps.length >= maxRequests) {
+            hits.set(key, validTimestamps);
             return res.status(429).json({
                 error: 'Too many requests, please try again later'
             });
         }
 
         validTimestamps.push(now);
-        userRateLimit.set(userId, validTimestamps);
+        hits.set(key, validTimestamps);
 
         next();
     };
 };
 
+// Rate limiting by user
+const rateLimitByUser = createRateLimiter(req => req.body?.email || req.ip);
+
+// Rate limiting by client IP
+const rateLimitByIp = createRateLimiter(req => req.ip);
+
 // CORS validation
 const validateOrigin = (req, res, next) => {
     const origin = req.headers.origin;
-    const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || [];
+    const allowedOrigins = [...(process.env.ALLOWED_ORIGINS?.split(',') || []), ...tenantService.origins()];
 
     if (origin && !allowedOrigins.includes(origin) && process.env.NODE_ENV === 'production') {
         return res.status(403).json({ error: 'Origin not allowed' });
@@ -63,8 +69,90 @@ const validateOrigin = (req, res, next) => {
     next();
 };
 
+// Parse a Paymongo-Signature header: "t=<timestamp>,te=<test sig>,li=<live sig>"
+const parseSignatureHeader = (header) => {
+    return String(header || '').split(',').reduce((parts, pair) => {
+        const [key, ...rest] = pair.split('=');
+        if (key) {
+            parts[key.trim()] = rest.join('=').trim();
+        }
+        return parts;
+    }, {});
+};
+
+const safeCompare = (a, b) => {
+    const bufA = Buffer.from(String(a || ''), 'utf8');
+    const bufB = Buffer.from(String(b || ''), 'utf8');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// PayMongo webhook signature verification against the tenant's webhook secret.
+// Requires req.rawBody (see the webhook body parser in index.js).
+const verifyPaymongoSignature = (req, res, next) => {
+    const secret = req.tenant.paymongo.webhookSecret;
+    const toleranceSeconds = Number(process.env.PAYMONGO_WEBHOOK_TOLERANCE || 300);
+
+    const reject = (reason, extra = {}) => {
+        logSecurityEvent('webhook_signature_rejected', {
+            ip: req.ip,
+            reason,
+            path: req.originalUrl,
+            ...extra
+        });
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+    };
+
+    if (!secret) {
+        if (process.env.NODE_ENV === 'production') {
+            return reject(`Webhook secret is not configured for tenant ${req.tenant.id}`);
+        }
+        console.warn(`Webhook secret is not configured for tenant ${req.tenant.id}, skipping webhook signature verification`);
+        return next();
+    }
+
+    const header = req.headers['paymongo-signature'];
+    if (!header) {
+        return reject('Missing Paymongo-Signature header');
+    }
+
+    if (!req.rawBody) {
+        return reject('Raw body unavailable');
+    }
+
+    const parts = parseSignatureHeader(header);
+    const timestamp = Number(parts.t);
+    if (!Number.isFinite(timestamp)) {
+        return reject('Missing signature timestamp');
+    }
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+    if (Number.isFinite(toleranceSeconds) && toleranceSeconds > 0 && age > toleranceSeconds) {
+        return reject('Signature timestamp outside tolerance', { age });
+    }
+
+    // Live events are signed in `li`, test events in `te`
+    const livemode = req.body?.data?.attributes?.livemode === true;
+    const signature = livemode ? parts.li : parts.te;
+    if (!signature) {
+        return reject(`Missing ${livemode ? 'live' : 'test'} signature`);
+    }
+
+    const expected = crypto
+        .createHmac('sha256', secret)
+        .update(`${parts.t}.${req.rawBody.toString('utf8')}`)
+        .digest('hex');
+
+    if (!safeCompare(expected, signature)) {
+        return reject('Signature mismatch', { livemode });
+    }
+
+    next();
+};
+
 module.exports = {
     validateApiKey,
+    verifyPaymongoSignature,
     rateLimitByUser,
+    rateLimitByIp,
     validateOrigin
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+// middleware/tenant.js
+const tenantService = require('../services/tenantService');
+
+// Sets req.tenant from the request's API key, x-tenant-id header or site
+// (see tenantService.resolve)
+const resolveTenant = (req, res, next) => {
+    const tenant = tenantService.resolve({
+        apiKey: req.headers['x-api-key'],
+        tenantId: req.headers['x-tenant-id'],
+        origin: req.headers.origin || req.headers.referer
+    });
+
+    if (!tenant) {
+        return res.status(404).json({ error: 'Unknown tenant' });
+    }
+
+    req.tenant = tenant;
+    next();
+};
+
+// PayMongo webhooks name their tenant in the URL (/webhook/:tenantId); the
+// bare /webhook belongs to the default tenant
+const tenantFromParam = (req, res, next) => {
+    const tenant = tenantService.get(req.params.tenantId);
+
+    if (!tenant) {
+        return res.status(404).json({ error: 'Unknown tenant' });
+    }
+
+    req.tenant = tenant;
+    next();
+};
+
+module.exports = {
+    resolveTenant,
+    tenantFromParam
+};
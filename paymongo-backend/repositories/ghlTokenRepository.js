@@ -0,0 +1,52 @@
+// repositories/ghlTokenRepository.js
+const crypto = require('crypto');
+const FileStore = require('../utils/fileStore');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// GHL OAuth tokens for a tenant's connected location, plus the one-time
+// `state` values handed out with install links. GHL rotates the refresh token
+// on every refresh, so the latest pair is written here as soon as it arrives.
+// Each tenant has its own store; the default tenant's is ghl-oauth.json.
+class GhlTokenRepository {
+    constructor(name = 'ghl-oauth', store = new FileStore(name, { tokens: null, states: {} })) {
+        this.store = store;
+    }
+
+    getTokens() {
+        return this.store.load().tokens;
+    }
+
+    saveTokens(tokens) {
+        return this.store.update(data => {
+            data.tokens = { ...data.tokens, ...tokens, updatedAt: new Date().toISOString() };
+            return data.tokens;
+        });
+    }
+
+    createState() {
+        return this.store.update(data => {
+            const now = Date.now();
+            Object.keys(data.states).forEach(state => {
+                if (data.states[state] < now) delete data.states[state];
+            });
+
+            const state = crypto.randomBytes(16).toString('hex');
+            data.states[state] = now + STATE_TTL_MS;
+            return state;
+        });
+    }
+
+    // True if the state was handed out and hasn't expired; it can only be used once
+    consumeState(state) {
+        if (!state) return false;
+
+        return this.store.update(data => {
+            const expiresAt = data.states[state];
+            delete data.states[state];
+            return Boolean(expiresAt && expiresAt >= Date.now());
+        });
+    }
+}
+
+module.exports = GhlTokenRepository;
@@ -0,0 +1,231 @@
+// repositories/orderRepository.js
+const FileStore = require('../utils/fileStore');
+const money = require('../utils/money');
+const { DEFAULT_TENANT_ID, tenantIdOf } = require('../utils/helpers');
+
+// Order ledger keyed by paymentReference. Every order keeps its customer,
+// amount breakdown, PayMongo/GHL identifiers and a timestamped status history.
+// `tenant` is the ID of the brand the order was placed with.
+// Backed by a JSON file store; swap the store for a database by keeping this
+// interface.
+class OrderRepository {
+    constructor(store = new FileStore('orders', { orders: {} })) {
+        this.store = store;
+    }
+
+    create({ reference, tenant, customer, product, sku, items, currency, amounts, promoCode, paymentMethod, source, subscription, paymongo = {}, details = {} }) {
+        if (!reference) {
+            throw new Error('reference is required');
+        }
+
+        const now = new Date().toISOString();
+        const order = {
+            reference,
+            tenant: tenant || DEFAULT_TENANT_ID,
+            status: 'pending',
+            customer,
+            product,
+            sku: sku || null,
+            items: items || [],
+            currency,
+            amounts,
+            promoCode: promoCode || null,
+            paymentMethod: paymentMethod || null,
+            source: source || null,
+            subscription: subscription || null,
+            details,
+            paymongo: {
+                paymentIntentId: paymongo.paymentIntentId || null,
+                checkoutSessionId: paymongo.checkoutSessionId || null,
+                paymentIds: paymongo.paymentIds || []
+            },
+            ghl: {
+                contactId: null,
+                invoiceId: null,
+                transactionId: null
+            },
+            statusHistory: [
+                { status: 'pending', at: now, event: 'payment_intent.created' }
+            ],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        return this.store.update(data => {
+            if (data.orders[reference]) {
+                throw new Error(`Order ${reference} already exists`);
+            }
+            data.orders[reference] = order;
+            return order;
+        });
+    }
+
+    findByReference(reference) {
+        if (!reference) return null;
+        return this.store.load().orders[reference] || null;
+    }
+
+    findOne(predicate) {
+        return Object.values(this.store.load().orders).find(predicate) || null;
+    }
+
+    findByPaymentIntentId(paymentIntentId) {
+        if (!paymentIntentId) return null;
+        return this.findOne(order => order.paymongo.paymentIntentId === paymentIntentId
+            || (order.paymongo.retries || []).some(r => r.paymentIntentId === paymentIntentId));
+    }
+
+    findByCheckoutSessionId(checkoutSessionId) {
+        if (!checkoutSessionId) return null;
+        return this.findOne(order => order.paymongo.checkoutSessionId === checkoutSessionId
+            || (order.paymongo.retries || []).some(r => r.checkoutSessionId === checkoutSessionId));
+    }
+
+    findByPaymentId(paymentId) {
+        if (!paymentId) return null;
+        return this.findOne(order => order.paymongo.paymentIds.includes(paymentId));
+    }
+
+    // Resolve the order a webhook event belongs to, trying the most specific key first
+    findForEvent({ reference, paymentIntentId, checkoutSessionId, paymentId }) {
+        return this.findByReference(reference)
+            || this.findByPaymentIntentId(paymentIntentId)
+            || this.findByCheckoutSessionId(checkoutSessionId)
+            || this.findByPaymentId(paymentId);
+    }
+
+    list() {
+        return Object.values(this.store.load().orders);
+    }
+
+    // Filtered page of orders, newest first. `after` is the { createdAt, reference }
+    // of the last order on the previous page. `product` matches the SKU or the
+    // product name (any cart line counts); `email` is a case-insensitive substring.
+    search({ tenant, status, product, from, to, promoCode, paymentMethod, email, after, limit = 50 } = {}) {
+        const productQuery = product ? String(product).trim().toLowerCase() : null;
+        const emailQuery = email ? String(email).trim().toLowerCase() : null;
+        const promoQuery = promoCode ? String(promoCode).trim().toUpperCase() : null;
+
+        const matches = this.list().filter(order => {
+            const createdAt = new Date(order.createdAt);
+            const products = [order.sku, order.product, ...(order.items || []).flatMap(i => [i.sku, i.name])]
+                .filter(Boolean)
+                .map(p => String(p).toLowerCase());
+
+            return (!tenant || tenantIdOf(order) === tenant)
+                && (!status || order.status === status)
+                && (!productQuery || products.some(p => p === productQuery || p.includes(productQuery)))
+                && (!from || createdAt >= from)
+                && (!to || createdAt <= to)
+                && (!promoQuery || String(order.promoCode || '').toUpperCase() === promoQuery)
+                && (!paymentMethod || order.paymentMethod === paymentMethod)
+                && (!emailQuery || String(order.customer?.email || '').toLowerCase().includes(emailQuery));
+        });
+
+        const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt) || b.reference.localeCompare(a.reference);
+        const sorted = matches.sort(newestFirst);
+        const start = after
+            ? sorted.findIndex(order => newestFirst(order, { createdAt: after.createdAt, reference: after.reference }) > 0)
+            : 0;
+
+        const page = start === -1 ? [] : sorted.slice(start, start + limit);
+        return {
+            orders: page,
+            total: matches.length,
+            hasMore: start !== -1 && start + limit < sorted.length
+        };
+    }
+
+    // Merge a patch into an order. Nested paymongo/ghl objects are merged
+    // rather than replaced; payment IDs are appended without duplicates.
+    update(reference, patch = {}) {
+        return this.store.update(data => {
+            const order = data.orders[reference];
+            if (!order) {
+                throw new Error(`Order ${reference} not found`);
+            }
+
+            const { paymongo, ghl, ...rest } = patch;
+            Object.assign(order, rest);
+
+            if (paymongo) {
+                const { paymentIds = [], ...ids } = paymongo;
+                Object.keys(ids).forEach(k => ids[k] === undefined && delete ids[k]);
+                Object.assign(order.paymongo, ids);
+                paymentIds.filter(Boolean).forEach(id => {
+                    if (!order.paymongo.paymentIds.includes(id)) {
+                        order.paymongo.paymentIds.push(id);
+                    }
+                });
+            }
+
+            if (ghl) {
+                Object.keys(ghl).forEach(k => ghl[k] === undefined && delete ghl[k]);
+                Object.assign(order.ghl, ghl);
+            }
+
+            order.updatedAt = new Date().toISOString();
+            return order;
+        });
+    }
+
+    // Insert or update a refund on the order (matched by refundId) and keep
+    // amounts.refundedAmount in sync with the refunds that have not failed.
+    upsertRefund(reference, refund) {
+        return this.store.update(data => {
+            const order = data.orders[reference];
+            if (!order) {
+                throw new Error(`Order ${reference} not found`);
+            }
+
+            order.refunds = order.refunds || [];
+            const existing = order.refunds.find(r => refund.refundId && r.refundId === refund.refundId);
+            const now = new Date().toISOString();
+
+            if (existing) {
+                Object.keys(refund).forEach(k => refund[k] === undefined && delete refund[k]);
+                Object.assign(existing, refund, { updatedAt: now });
+            } else {
+                order.refunds.push({ ...refund, createdAt: now, updatedAt: now });
+            }
+
+            const refundedCentavos = money.sum(order.refunds
+                .filter(r => r.status !== 'failed')
+                .map(r => money.toCentavos(r.amount || 0)));
+            order.amounts = { ...order.amounts, refundedAmount: money.fromCentavos(refundedCentavos) };
+            order.updatedAt = now;
+            return order;
+        });
+    }
+
+    // Append a status history entry. Pass status null to log an event without
+    // changing the order's current status.
+    addStatus(reference, status, { event, eventId, note, ...details } = {}) {
+        return this.store.update(data => {
+            const order = data.orders[reference];
+            if (!order) {
+                throw new Error(`Order ${reference} not found`);
+            }
+
+            const now = new Date().toISOString();
+            const entry = {
+                status: status || order.status,
+                at: now,
+                event: event || null,
+                eventId: eventId || null,
+                note: note || null,
+                ...details
+            };
+            Object.keys(entry).forEach(k => entry[k] === null && delete entry[k]);
+
+            order.statusHistory.push(entry);
+            if (status) {
+                order.status = status;
+            }
+            order.updatedAt = now;
+            return order;
+        });
+    }
+}
+
+module.exports = new OrderRepository();
@@ -0,0 +1,64 @@
+// repositories/receiptRepository.js
+const crypto = require('crypto');
+const FileStore = require('../utils/fileStore');
+const { DEFAULT_TENANT_ID } = require('../utils/helpers');
+
+// Official receipts keyed by paymentReference. The sequence counter and the
+// receipt it numbers are written in the same store update, so numbers are
+// gap-free: a number is only used up by a receipt that was saved. Each tenant
+// (business) has its own sequence; the default tenant's is `sequence`.
+class ReceiptRepository {
+    constructor(store = new FileStore('receipts', { sequence: 0, sequences: {}, secret: null, receipts: {} })) {
+        this.store = store;
+    }
+
+    // Issue the receipt for a reference, or return the one already issued.
+    // build(sequence) returns the receipt for the tenant's next sequence number.
+    issue(reference, build, { tenant = DEFAULT_TENANT_ID } = {}) {
+        if (!reference) {
+            throw new Error('reference is required');
+        }
+
+        return this.store.update(data => {
+            if (data.receipts[reference]) {
+                return data.receipts[reference];
+            }
+
+            const sequences = data.sequences || {};
+            const current = tenant === DEFAULT_TENANT_ID ? data.sequence : (sequences[tenant] || 0);
+            const sequence = current + 1;
+            const receipt = { ...build(sequence), sequence, reference, tenant };
+            data.receipts[reference] = receipt;
+            if (tenant === DEFAULT_TENANT_ID) {
+                data.sequence = sequence;
+            } else {
+                data.sequences = { ...sequences, [tenant]: sequence };
+            }
+            return receipt;
+        });
+    }
+
+    findByReference(reference) {
+        if (!reference) return null;
+        return this.store.load().receipts[reference] || null;
+    }
+
+    list() {
+        return Object.values(this.store.load().receipts).sort((a, b) => a.sequence - b.sequence);
+    }
+
+    // Key for signing receipt links, generated once and kept with the receipts
+    getSecret() {
+        const existing = this.store.load().secret;
+        if (existing) return existing;
+
+        return this.store.update(data => {
+            if (!data.secret) {
+                data.secret = crypto.randomBytes(32).toString('hex');
+            }
+            return data.secret;
+        });
+    }
+}
+
+module.exports = new ReceiptRepository();
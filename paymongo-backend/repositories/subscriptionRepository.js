@@ -0,0 +1,144 @@
+// repositories/subscriptionRepository.js
+const crypto = require('crypto');
+const FileStore = require('../utils/fileStore');
+const { DEFAULT_TENANT_ID, tenantIdOf } = require('../utils/helpers');
+
+// Recurring billing agreements: monthly plans and N-part installment
+// schedules. Each subscription holds its billing cycles; every issued cycle
+// has its own order (cycles[].paymentReference) in the order ledger.
+// `tenant` is the ID of the brand the customer subscribed with.
+class SubscriptionRepository {
+    constructor(store = new FileStore('subscriptions', { subscriptions: {} })) {
+        this.store = store;
+    }
+
+    // The ID doubles as the customer's handle for status/cancel requests, so
+    // it is random rather than time-based
+    generateId() {
+        return `sub_${crypto.randomBytes(12).toString('hex')}`;
+    }
+
+    create({ tenant, plan, customer, product, sku, currency, cycleAmounts, totalCycles, startAt, paymentMethod, paymentMethodTypes, source }) {
+        const now = new Date().toISOString();
+        const subscription = {
+            id: this.generateId(),
+            tenant: tenant || DEFAULT_TENANT_ID,
+            plan,
+            status: 'active',
+            customer,
+            product,
+            sku,
+            currency,
+            cycleAmounts,
+            totalCycles: totalCycles || null,
+            startAt: startAt || now,
+            nextBillingAt: startAt || now,
+            paymentMethod: paymentMethod || null,
+            paymentMethodTypes: paymentMethodTypes || ['qrph'],
+            source: source || null,
+            cycles: [],
+            statusHistory: [
+                { status: 'active', at: now, event: 'subscription.created' }
+            ],
+            cancelledAt: null,
+            cancelReason: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        return this.store.update(data => {
+            data.subscriptions[subscription.id] = subscription;
+            return subscription;
+        });
+    }
+
+    findById(id) {
+        if (!id) return null;
+        return this.store.load().subscriptions[id] || null;
+    }
+
+    list({ tenant, status, email, sku } = {}) {
+        const normalizedEmail = email ? String(email).trim().toLowerCase() : null;
+        return Object.values(this.store.load().subscriptions).filter(s =>
+            (!tenant || tenantIdOf(s) === tenant)
+            && (!status || s.status === status)
+            && (!sku || s.sku === sku)
+            && (!normalizedEmail || String(s.customer?.email || '').toLowerCase() === normalizedEmail)
+        );
+    }
+
+    update(id, patch = {}) {
+        return this.store.update(data => {
+            const subscription = data.subscriptions[id];
+            if (!subscription) {
+                throw new Error(`Subscription ${id} not found`);
+            }
+
+            Object.assign(subscription, patch, { updatedAt: new Date().toISOString() });
+            return subscription;
+        });
+    }
+
+    addCycle(id, cycle) {
+        return this.store.update(data => {
+            const subscription = data.subscriptions[id];
+            if (!subscription) {
+                throw new Error(`Subscription ${id} not found`);
+            }
+
+            if (subscription.cycles.some(c => c.number === cycle.number)) {
+                throw new Error(`Cycle ${cycle.number} of ${id} already exists`);
+            }
+
+            const now = new Date().toISOString();
+            subscription.cycles.push({ ...cycle, createdAt: now, updatedAt: now });
+            subscription.updatedAt = now;
+            return subscription;
+        });
+    }
+
+    updateCycle(id, number, patch = {}) {
+        return this.store.update(data => {
+            const subscription = data.subscriptions[id];
+            const cycle = subscription?.cycles.find(c => c.number === number);
+            if (!cycle) {
+                throw new Error(`Cycle ${number} of ${id} not found`);
+            }
+
+            const now = new Date().toISOString();
+            Object.assign(cycle, patch, { updatedAt: now });
+            subscription.updatedAt = now;
+            return subscription;
+        });
+    }
+
+    // Append a status history entry. Pass status null to log an event without
+    // changing the subscription's status.
+    addStatus(id, status, { event, note, ...details } = {}) {
+        return this.store.update(data => {
+            const subscription = data.subscriptions[id];
+            if (!subscription) {
+                throw new Error(`Subscription ${id} not found`);
+            }
+
+            const now = new Date().toISOString();
+            const entry = {
+                status: status || subscription.status,
+                at: now,
+                event: event || null,
+                note: note || null,
+                ...details
+            };
+            Object.keys(entry).forEach(k => entry[k] === null && delete entry[k]);
+
+            subscription.statusHistory.push(entry);
+            if (status) {
+                subscription.status = status;
+            }
+            subscription.updatedAt = now;
+            return subscription;
+        });
+    }
+}
+
+module.exports = new SubscriptionRepository();
@@ -0,0 +1,112 @@
+// repositories/webhookEventRepository.js
+const FileStore = require('../utils/fileStore');
+
+// Dedupe log for PayMongo webhooks. Events are tracked by PayMongo event ID;
+// the side-effect steps taken for a payment (GHL contact, invoice, ...) are
+// tracked by payment ID so a retried or overlapping event resumes where the
+// previous attempt stopped instead of repeating completed steps.
+class WebhookEventRepository {
+    constructor(store = new FileStore('webhook-events', { events: {}, payments: {} })) {
+        this.store = store;
+        this.processingTimeoutMs = Number(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS || 5 * 60 * 1000);
+    }
+
+    getEvent(eventId) {
+        if (!eventId) return null;
+        return this.store.load().events[eventId] || null;
+    }
+
+    // Claim an event for processing: the check and the write happen in one
+    // store update, so of two concurrent deliveries only one wins. Returns
+    // { claimed: true, record }, or { claimed: false, record } when the event
+    // was already processed or another delivery is still working on it. A
+    // claim older than WEBHOOK_PROCESSING_TIMEOUT_MS (a crashed attempt) can
+    // be taken over.
+    claimEvent(eventId, { type, paymentId } = {}, now = new Date()) {
+        if (!eventId) {
+            throw new Error('Webhook event ID required');
+        }
+
+        return this.store.update(data => {
+            const existing = data.events[eventId];
+            const inFlight = existing?.status === 'processing'
+                && now.getTime() - new Date(existing.lastReceivedAt).getTime() < this.processingTimeoutMs;
+
+            if (existing?.status === 'processed' || inFlight) {
+                return { claimed: false, record: existing };
+            }
+
+            data.events[eventId] = {
+                eventId,
+                type: type || existing?.type || null,
+                paymentId: paymentId || existing?.paymentId || null,
+                status: 'processing',
+                attempts: (existing?.attempts || 0) + 1,
+                firstReceivedAt: existing?.firstReceivedAt || now.toISOString(),
+                lastReceivedAt: now.toISOString(),
+                processedAt: null,
+                lastError: existing?.lastError || null
+            };
+            return { claimed: true, record: data.events[eventId] };
+        });
+    }
+
+    completeEvent(eventId) {
+        if (!eventId) return null;
+
+        return this.store.update(data => {
+            const record = data.events[eventId];
+            if (!record) return null;
+            record.status = 'processed';
+            record.processedAt = new Date().toISOString();
+            record.lastError = null;
+            return record;
+        });
+    }
+
+    failEvent(eventId, error) {
+        if (!eventId) return null;
+
+        return this.store.update(data => {
+            const record = data.events[eventId];
+            if (!record) return null;
+            record.status = 'failed';
+            record.lastError = error?.message || String(error);
+            return record;
+        });
+    }
+
+    // Received events for any of the given payment or event IDs
+    listEvents({ paymentIds = [], eventIds = [] } = {}) {
+        return Object.values(this.store.load().events).filter(record =>
+            (record.paymentId && paymentIds.includes(record.paymentId)) || eventIds.includes(record.eventId)
+        );
+    }
+
+    getStep(paymentId, step) {
+        if (!paymentId) return null;
+        return this.store.load().payments[paymentId]?.steps?.[step] || null;
+    }
+
+    getSteps(paymentId) {
+        if (!paymentId) return {};
+        return this.store.load().payments[paymentId]?.steps || {};
+    }
+
+    completeStep(paymentId, step, result = null) {
+        if (!paymentId) return null;
+
+        return this.store.update(data => {
+            if (!data.payments[paymentId]) {
+                data.payments[paymentId] = { paymentId, steps: {} };
+            }
+            data.payments[paymentId].steps[step] = {
+                completedAt: new Date().toISOString(),
+                result: result === undefined ? null : result
+            };
+            return data.payments[paymentId].steps[step];
+        });
+    }
+}
+
+module.exports = new WebhookEventRepository();
@@ -0,0 +1,64 @@
+// routes/admin.js
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const productController = require('../controllers/productController');
+const subscriptionController = require('../controllers/subscriptionController');
+const reportController = require('../controllers/reportController');
+const ghlController = require('../controllers/ghlController');
+const { validateApiKey } = require('../middleware/auth');
+
+// Every admin route requires the x-api-key header. With API_KEY, x-tenant-id
+// picks the tenant; a tenant's own key only reaches that tenant.
+router.use(validateApiKey);
+
+// The tenant this request acts for
+router.get('/tenant', adminController.getTenant);
+
+// Orders dashboard: search with filters + cursor pagination, and one order's timeline
+router.get('/orders', adminController.listOrders);
+router.get('/orders/:reference', adminController.getOrder);
+
+// Re-run a paid order's fulfillment (failed actions, or { "all": true } for every action)
+router.post('/orders/:reference/fulfillment', adminController.rerunFulfillment);
+
+// Revoke a paid order's access + void its GHL invoice ({ "reason": "dispute" | "refund" }),
+// or retry the failed steps of an earlier revocation
+router.post('/orders/:reference/revoke', adminController.revokeOrder);
+
+// Send due abandoned checkout reminders now (normally run by the scheduler)
+router.post('/checkout-recovery/run', adminController.runCheckoutRecovery);
+
+// Sales export for accounting (?month=2024-05 or ?from=&to=, &format=csv|json)
+router.get('/reports/sales', reportController.salesReport);
+
+// Refund a payment (full refund when amount is omitted)
+router.post('/payments/:paymentId/refunds', adminController.createRefund);
+
+// Reconcile PayMongo payments with the order ledger and GHL (?from=&to=, or
+// POST { from, to, repair: true } to re-sync what is missing)
+router.get('/reconciliation', adminController.reconcile);
+router.post('/reconciliation', adminController.reconcile);
+
+// Product catalogue management
+router.get('/products', productController.adminListProducts);
+router.post('/products', productController.createProduct);
+router.put('/products/:sku', productController.updateProduct);
+router.delete('/products/:sku', productController.deleteProduct);
+
+// Subscriptions
+router.get('/subscriptions', subscriptionController.adminListSubscriptions);
+router.post('/subscriptions/:subscriptionId/cancel', subscriptionController.adminCancelSubscription);
+router.post('/subscriptions/:subscriptionId/resume', subscriptionController.adminResumeSubscription);
+router.post('/subscriptions/run-billing', subscriptionController.runBilling);
+
+// GHL credentials in use (private token or OAuth) + OAuth install link
+router.get('/ghl/oauth', ghlController.oauthStatus);
+
+// List outbound jobs (filter by status, type, reference)
+router.get('/jobs', adminController.listJobs);
+
+// Retry a dead-lettered job
+router.post('/jobs/:jobId/retry', adminController.retryJob);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+// routes/ghl.js
+const express = require('express');
+const router = express.Router();
+const ghlController = require('../controllers/ghlController');
+
+// GHL marketplace app install redirect (OAuth authorization code)
+router.get('/oauth/callback', ghlController.oauthCallback);
+
+module.exports = router;
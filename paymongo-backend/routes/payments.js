@@ -2,15 +2,34 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
+const { verifyPaymongoSignature, rateLimitByIp } = require('../middleware/auth');
+const { tenantFromParam } = require('../middleware/tenant');
 
 // Create a payment intent
 router.post('/create-payment-intent', paymentController.createPaymentIntent);
 
+// Price a cart of several products
+router.post('/cart/quote', paymentController.quoteCart);
+
+// Check out a cart of several products in one payment
+router.post('/cart/checkout', paymentController.createCartCheckout);
+
+// Validate a promo code against a product
+router.post('/promo/validate', paymentController.validatePromoCode);
+
 // Get payment status
 router.get('/status/:paymentId', paymentController.getPaymentStatus);
 
-// PayMongo webhook endpoint (for payment updates)
-router.post('/webhook', paymentController.handleWebhook);
+// Order summary for the checkout success page (rate-limited per IP)
+router.get('/session/:sessionId',
+    rateLimitByIp(Number(process.env.SESSION_STATUS_RATE_LIMIT || 30), 60 * 1000),
+    paymentController.getSessionStatus);
+
+// Official receipt PDF (signed link from the payment_successful notification)
+router.get('/receipts/:reference', paymentController.getReceipt);
+
+// PayMongo webhook endpoint (for payment updates); other tenants' webhooks post to /webhook/<tenant id>
+router.post('/webhook/:tenantId?', tenantFromParam, verifyPaymongoSignature, paymentController.handleWebhook);
 
 // Cancel payment
 router.post('/cancel/:paymentId', paymentController.cancelPayment);
@@ -0,0 +1,12 @@
+// routes/products.js
+const express = require('express');
+const router = express.Router();
+const productController = require('../controllers/productController');
+
+// List active products
+router.get('/', productController.listProducts);
+
+// Get a product by SKU
+router.get('/:sku', productController.getProduct);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// routes/subscriptions.js
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+
+// Start a monthly plan or installment schedule
+router.post('/', subscriptionController.createSubscription);
+
+// Subscription status (?email= must match the subscriber)
+router.get('/:subscriptionId', subscriptionController.getSubscription);
+
+// Cancel a subscription (body: { email, reason })
+router.post('/:subscriptionId/cancel', subscriptionController.cancelSubscription);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+// scripts/webhooks.js
+// PayMongo webhook setup.
+//
+//   npm run webhooks -- list [--tenant <id>]
+//   npm run webhooks -- sync [--tenant <id>] [--dry-run] [--replace]
+//
+// sync creates the webhook for PUBLIC_BASE_URL if it is missing, enables it
+// and updates its events if needed, disables stale webhooks for old URLs
+// (--replace moves the old webhook to the new URL instead, keeping its secret
+// key) and prints the secret key for PAYMONGO_WEBHOOK_SECRET (or the tenant's
+// paymongo.webhookSecret). Without --tenant the default tenant is used.
+require('dotenv').config();
+const webhookSetupService = require('../services/webhookSetupService');
+const tenantService = require('../services/tenantService');
+const { DEFAULT_TENANT_ID } = require('../utils/helpers');
+
+const USAGE = 'Usage: npm run webhooks -- <list|sync> [--tenant <id>] [--dry-run] [--replace]';
+
+// The tenant named by --tenant <id>, else the default tenant
+function tenantFrom(flags) {
+    const index = flags.indexOf('--tenant');
+    const id = index === -1 ? null : flags[index + 1];
+    if (index !== -1 && !id) {
+        throw new Error('--tenant needs a tenant id');
+    }
+
+    const tenant = tenantService.get(id);
+    if (!tenant) {
+        throw new Error(`Unknown tenant ${id}`);
+    }
+    return tenant;
+}
+
+function printWebhook(webhook) {
+    const mode = webhook.livemode ? 'live' : 'test';
+    console.log(`  ${webhook.id}  ${webhook.status.padEnd(8)} ${mode}  ${webhook.url}`);
+    console.log(`      events: ${webhook.events.join(', ') || '(none)'}`);
+}
+
+function describeAction(action) {
+    switch (action.type) {
+        case 'create':
+            return `create ${action.changes.url} (${action.changes.events.join(', ')})`;
+        case 'update':
+            return `update ${action.webhook.id}: ${Object.entries(action.changes)
+                .map(([k, v]) => `${k} -> ${[].concat(v).join(', ')}`).join('; ')}`;
+        case 'enable':
+            return `enable ${action.webhook.id} (${action.webhook.url})`;
+        case 'disable':
+            return `disable ${action.webhook.id} (${action.webhook.url}, ${action.reason})`;
+        default:
+            return action.type;
+    }
+}
+
+async function list(flags) {
+    const webhooks = await webhookSetupService.listWebhooks(tenantFrom(flags));
+    if (webhooks.length === 0) {
+        console.log('No PayMongo webhooks.');
+        return;
+    }
+
+    console.log(`${webhooks.length} PayMongo webhook(s):`);
+    webhooks.forEach(printWebhook);
+}
+
+async function sync(flags) {
+    const dryRun = flags.includes('--dry-run');
+    const tenant = tenantFrom(flags);
+    const result = await webhookSetupService.sync({ tenant, dryRun, replace: flags.includes('--replace') });
+    const secretSetting = tenant.id === DEFAULT_TENANT_ID ? 'PAYMONGO_WEBHOOK_SECRET' : `paymongo.webhookSecret of tenant ${tenant.id} in TENANTS_FILE`;
+
+    console.log(`Webhook URL: ${result.desired.url}`);
+    console.log(`Events:      ${result.desired.events.join(', ')}`);
+    result.desired.warnings.forEach(w => console.warn(`Warning: ${w}`));
+
+    if (result.actions.length === 0) {
+        console.log('Already up to date.');
+    } else {
+        console.log(dryRun ? 'Would:' : 'Done:');
+        result.actions.forEach(action => console.log(`  - ${describeAction(action)}`));
+    }
+
+    if (dryRun) return;
+
+    if (!result.secretKey) {
+        console.log(`PayMongo did not return the secret key; copy it from the dashboard into ${secretSetting}.`);
+    } else if (result.secretKey === tenant.paymongo.webhookSecret) {
+        console.log(`${secretSetting} already matches this webhook.`);
+    } else if (tenant.id === DEFAULT_TENANT_ID) {
+        console.log('Set this in the server environment and restart:');
+        console.log(`PAYMONGO_WEBHOOK_SECRET=${result.secretKey}`);
+    } else {
+        console.log(`Set ${secretSetting} to this and restart:`);
+        console.log(result.secretKey);
+    }
+}
+
+async function main() {
+    const [command, ...flags] = process.argv.slice(2);
+
+    switch (command) {
+        case 'list':
+            return list(flags);
+        case 'sync':
+            return sync(flags);
+        default:
+            console.error(USAGE);
+            process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`Webhook ${process.argv[2] || ''} failed:`, error.message);
+    process.exitCode = 1;
+});
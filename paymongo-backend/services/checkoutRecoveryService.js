@@ -0,0 +1,310 @@
+// services/checkoutRecoveryService.js
+const jobQueue = require('./jobQueue');
+const webhookService = require('./webhookService');
+const tenantService = require('./tenantService');
+const fulfillmentService = require('./fulfillmentService');
+const pricingService = require('./pricingService');
+const promoService = require('./promoService');
+const { resolveCheckoutMethods } = require('./paymentMethods');
+const orderRepository = require('../repositories/orderRepository');
+const money = require('../utils/money');
+const { tenantIdOf } = require('../utils/helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+// Orders whose checkout can still be recovered: opened and never paid, or
+// whose QR/session lapsed. Any payment webhook moves the order out of these.
+const RECOVERABLE_STATUSES = ['pending', 'expired'];
+
+// Abandoned checkout recovery. The scheduler (start(), run from index.js)
+// finds one-off checkouts still unpaid ABANDONED_CHECKOUT_REMINDERS minutes
+// after they were started and sends a `checkout_abandoned` event to
+// LeadConnector on each step, with a checkout link that can still be paid.
+// With ABANDONED_CHECKOUT_GHL_TAGS the contact is tagged on the first
+// reminder and untagged once the order is paid. Subscription cycles are left
+// to dunning (subscriptionService). ABANDONED_CHECKOUT_REMINDERS=0 turns the
+// reminders off.
+class CheckoutRecoveryService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+
+        this.pollIntervalMs = Number(process.env.ABANDONED_CHECKOUT_POLL_INTERVAL_MS || 5 * 60 * 1000);
+        this.reminderMinutes = String(process.env.ABANDONED_CHECKOUT_REMINDERS || '60,1440,4320')
+            .split(',')
+            .map(m => Number(m.trim()))
+            .filter(m => Number.isFinite(m) && m > 0)
+            .sort((a, b) => a - b);
+        this.maxAgeMs = Number(process.env.ABANDONED_CHECKOUT_MAX_AGE_HOURS || 168) * 60 * MINUTE_MS;
+        this.tags = String(process.env.ABANDONED_CHECKOUT_GHL_TAGS || '')
+            .split(',')
+            .map(t => t.trim())
+            .filter(Boolean);
+
+        jobQueue.registerHandler('leadconnector.checkout_abandoned', (payload, job) => this.sendReminder(payload, job));
+        jobQueue.registerHandler('ghl.checkout_abandoned_tags', payload => this.updateTags(payload));
+    }
+
+    isRecoverable(order) {
+        return Boolean(order)
+            && RECOVERABLE_STATUSES.includes(order.status)
+            && !order.subscription
+            && !order.recovery?.stoppedAt;
+    }
+
+    // How many reminder steps are due for an order at `now` (0 when none, or
+    // when the checkout is older than ABANDONED_CHECKOUT_MAX_AGE_HOURS)
+    dueSteps(order, now) {
+        const ageMs = now.getTime() - new Date(order.createdAt).getTime();
+        if (ageMs > this.maxAgeMs) return 0;
+        return this.reminderMinutes.filter(m => ageMs >= m * MINUTE_MS).length;
+    }
+
+    // A checkout link the customer can pay now: the current session while it
+    // is active, otherwise a new session for the same payment intent amount,
+    // description and metadata. Like a customer retry, the new session is
+    // kept in order.paymongo.retries (so its webhooks find the order) but is
+    // marked as a reminder and doesn't use up MAX_PAYMENT_RETRIES.
+    async checkoutLink(order, step) {
+        const { paymongo } = tenantService.forRecord(order);
+        const currentId = order.paymongo.checkoutSessionId;
+
+        if (currentId) {
+            try {
+                const current = await paymongo.getCheckoutSession(currentId);
+                if (current?.attributes?.status === 'active') {
+                    return { checkoutSessionId: current.id, checkoutUrl: current.attributes.checkout_url, reused: true };
+                }
+            } catch (err) {
+                console.log('Unable to load checkout session, issuing a new one:', err.message);
+            }
+        }
+
+        const paymentIntent = await paymongo.getPaymentIntent(order.paymongo.paymentIntentId);
+        const paymentMethods = await resolveCheckoutMethods(paymongo, order.paymentMethod);
+        const result = await paymongo.createCheckoutSession(null, {
+            amount: money.fromCentavos(paymentIntent.attributes.amount),
+            currency: paymentIntent.attributes.currency,
+            description: paymentIntent.attributes.description,
+            lineItems: order.items?.length
+                ? pricingService.toBillableLines({ lines: order.items, promo: order.promoCode ? { code: order.promoCode } : null })
+                : undefined,
+            metadata: {
+                ...paymentIntent.attributes.metadata,
+                paymentReference: order.reference,
+                recoveryStep: String(step)
+            },
+            paymentMethodTypes: paymentMethods
+        });
+        const checkoutSession = result.data;
+
+        orderRepository.update(order.reference, {
+            paymongo: {
+                checkoutSessionId: checkoutSession.id,
+                retries: [
+                    ...(order.paymongo.retries || []),
+                    {
+                        checkoutSessionId: checkoutSession.id,
+                        previousCheckoutSessionId: currentId,
+                        paymentIntentId: checkoutSession.attributes.payment_intent?.id || null,
+                        paymentMethodTypes: paymentMethods,
+                        reason: 'abandoned_checkout',
+                        createdAt: new Date().toISOString()
+                    }
+                ]
+            }
+        });
+
+        return { checkoutSessionId: checkoutSession.id, checkoutUrl: checkoutSession.attributes.checkout_url, reused: false };
+    }
+
+    // Send reminder `step` (1-based) for an order: a fresh link, the order
+    // history entry, and the LeadConnector event (plus tags with the first
+    // reminder sent)
+    async remind(order, step, now = new Date()) {
+        // The promo use was given back when the checkout lapsed; a reminder
+        // only goes out if it can be held again, so none once the promo has
+        // ended or run out
+        if (order.promoCode) {
+            const reservation = promoService.reserve({
+                code: order.promoCode,
+                email: order.customer?.email,
+                paymentReference: order.reference,
+                supersede: false,
+                now
+            });
+            if (!reservation.reserved) {
+                orderRepository.update(order.reference, {
+                    recovery: { ...order.recovery, stoppedAt: now.toISOString(), stopReason: 'promo_unavailable' }
+                });
+                orderRepository.addStatus(order.reference, null, {
+                    event: 'checkout.abandoned',
+                    note: `Reminders stopped: ${reservation.error}`
+                });
+                return null;
+            }
+        }
+
+        const link = await this.checkoutLink(order, step);
+        const tenant = tenantIdOf(order);
+        const ghlTagged = !order.recovery && this.tags.length > 0 && tenantService.forRecord(order).ghl.isConfigured();
+
+        orderRepository.update(order.reference, {
+            recovery: {
+                ...order.recovery,
+                step,
+                lastReminderAt: now.toISOString(),
+                tags: ghlTagged ? this.tags : (order.recovery?.tags || [])
+            }
+        });
+        // The order can be paid again, whether or not its last link had lapsed
+        orderRepository.addStatus(order.reference, order.status === 'pending' ? null : 'pending', {
+            event: 'checkout.abandoned',
+            note: `Reminder ${step} of ${this.reminderMinutes.length}${link.reused ? '' : `: new checkout session ${link.checkoutSessionId}`}`
+        });
+
+        if (ghlTagged) {
+            jobQueue.enqueue('ghl.checkout_abandoned_tags', { reference: order.reference, tags: this.tags }, {
+                key: `ghl.checkout_abandoned_tags:${order.reference}`,
+                reference: order.reference,
+                tenant
+            });
+        }
+
+        jobQueue.enqueue('leadconnector.checkout_abandoned', {
+            fullName: order.customer?.fullName,
+            email: order.customer?.email,
+            mobile: order.customer?.mobile,
+            product: order.product,
+            sku: order.sku || undefined,
+            items: order.items?.length > 1
+                ? order.items.map(({ sku, name, quantity, subtotal }) => ({ sku, name, quantity, subtotal }))
+                : undefined,
+            amount: order.amounts?.totalAmount,
+            currency: order.currency,
+            promoCode: order.promoCode || undefined,
+            paymentReference: order.reference,
+            status: 'checkout_abandoned',
+            reminder: step,
+            reminders: this.reminderMinutes.length,
+            checkoutUrl: link.checkoutUrl,
+            checkoutSessionId: link.checkoutSessionId,
+            paymentIntentId: order.paymongo.paymentIntentId,
+            startedAt: order.createdAt,
+            timestamp: now.toISOString()
+        }, {
+            key: `leadconnector:checkout_abandoned:${order.reference}:${step}`,
+            reference: order.reference,
+            tenant
+        });
+
+        console.log(`Abandoned checkout ${order.reference}: reminder ${step} sent`);
+        return orderRepository.findByReference(order.reference);
+    }
+
+    // Job handler for 'leadconnector.checkout_abandoned'. A reminder still in
+    // the queue when the payment lands is dropped instead of sent.
+    async sendReminder(payload, job) {
+        const order = orderRepository.findByReference(payload.paymentReference);
+        if (!this.isRecoverable(order)) {
+            console.log(`Abandoned checkout reminder for ${payload.paymentReference} dropped (order ${order?.status || 'missing'})`);
+            return { skipped: order?.status || 'missing' };
+        }
+
+        return webhookService.sendToLeadConnector(payload, tenantService.forRecord(job).leadConnectorWebhook);
+    }
+
+    // Job handler for 'ghl.checkout_abandoned_tags': tag the buyer's contact,
+    // or untag it ({ remove: true }) once the checkout is recovered
+    async updateTags({ reference, tags, remove = false }) {
+        const order = orderRepository.findByReference(reference);
+        if (!order) {
+            throw new Error(`Order ${reference} not found`);
+        }
+        if (!remove && !this.isRecoverable(order)) {
+            return { skipped: order.status };
+        }
+
+        const contactId = await fulfillmentService.resolveContact(order);
+        const { ghl } = tenantService.forRecord(order);
+        await (remove ? ghl.removeContactTags(contactId, tags) : ghl.addContactTags(contactId, tags));
+        return { contactId, tags, removed: remove };
+    }
+
+    // Stop the reminders for a paid order (called from the payment.paid
+    // handler): no further steps, queued ones are dropped, tags come off
+    recordPayment(order) {
+        if (!order?.recovery || order.recovery.stoppedAt) {
+            return null;
+        }
+
+        orderRepository.update(order.reference, {
+            recovery: { ...order.recovery, stoppedAt: new Date().toISOString(), stopReason: 'paid' }
+        });
+        orderRepository.addStatus(order.reference, null, {
+            event: 'checkout.recovered',
+            note: `Paid after ${order.recovery.step} reminder(s)`
+        });
+
+        if (order.recovery.tags?.length > 0) {
+            jobQueue.enqueue('ghl.checkout_abandoned_tags', { reference: order.reference, tags: order.recovery.tags, remove: true }, {
+                key: `ghl.checkout_abandoned_tags:${order.reference}:remove`,
+                reference: order.reference,
+                tenant: tenantIdOf(order)
+            });
+        }
+
+        return orderRepository.findByReference(order.reference);
+    }
+
+    // Scheduler pass: the next due reminder for each unpaid checkout. When
+    // several steps fell due since the last pass (e.g. after downtime), only
+    // the latest is sent.
+    async runDue(now = new Date()) {
+        if (this.running) return null;
+        this.running = true;
+
+        const reminded = [];
+        try {
+            const candidates = orderRepository.list()
+                .filter(order => this.isRecoverable(order) && order.paymongo?.paymentIntentId);
+
+            for (const order of candidates) {
+                const step = this.dueSteps(order, now);
+                if (step <= (order.recovery?.step || 0)) continue;
+
+                try {
+                    await this.remind(order, step, now);
+                    reminded.push({ reference: order.reference, tenant: tenantIdOf(order), step });
+                } catch (err) {
+                    console.error(`Abandoned checkout ${order.reference} reminder error:`, err.message);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        return { reminded };
+    }
+
+    start() {
+        if (this.timer) return;
+        if (this.reminderMinutes.length === 0) {
+            console.log('🛒 Abandoned checkout reminders disabled (ABANDONED_CHECKOUT_REMINDERS=0)');
+            return;
+        }
+
+        this.timer = setInterval(() => this.runDue(), this.pollIntervalMs);
+        setImmediate(() => this.runDue());
+        console.log(`🛒 Abandoned checkout reminders started (after ${this.reminderMinutes.join(', ')} min, every ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = new CheckoutRecoveryService();
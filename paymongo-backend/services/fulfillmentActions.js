@@ -0,0 +1,85 @@
+// services/fulfillmentActions.js
+
+// What a product's `fulfillment` list can do in GHL once it is paid for.
+// Each type checks its own config, runs against the buyer's contact (with
+// the order's tenant's GhlService as `ghl`), and knows how to undo itself
+// when the payment is refunded or disputed.
+//   { "type": "add_tags", "tags": ["startup-va-course"] }
+//   { "type": "add_to_workflow", "workflowId": "...", "revokeWorkflowId": "..." }
+//   { "type": "upsert_opportunity", "pipelineId": "...", "pipelineStageId": "...", "refundedStageId": "...", "name": "..." }
+const optionalId = (action, field) => (action[field] === undefined || (typeof action[field] === 'string' && action[field])
+    ? null : `${field} must be an ID`);
+
+const opportunityName = (action, { order, line }) => action.name
+    || `${order.customer?.fullName || order.customer?.email} - ${line.name}`;
+
+const ACTION_TYPES = {
+    add_tags: {
+        validate: action => (Array.isArray(action.tags) && action.tags.length > 0
+            && action.tags.every(tag => typeof tag === 'string' && tag.trim())
+            ? null : 'tags must be a non-empty list of strings'),
+        run: (action, { ghl, contactId }) => ghl.addContactTags(contactId, action.tags),
+        revoke: (action, { ghl, contactId }) => ghl.removeContactTags(contactId, action.tags)
+    },
+    add_to_workflow: {
+        validate: action => (typeof action.workflowId === 'string' && action.workflowId
+            ? optionalId(action, 'revokeWorkflowId') : 'workflowId is required'),
+        run: (action, { ghl, contactId }) => ghl.addContactToWorkflow(contactId, action.workflowId),
+        // A revoke workflow (e.g. one with a "Revoke Offer" action) if set,
+        // otherwise just take the contact out of the workflow
+        revoke: (action, { ghl, contactId }) => (action.revokeWorkflowId
+            ? ghl.addContactToWorkflow(contactId, action.revokeWorkflowId)
+            : ghl.removeContactFromWorkflow(contactId, action.workflowId))
+    },
+    upsert_opportunity: {
+        validate: action => (typeof action.pipelineId === 'string' && action.pipelineId
+            ? optionalId(action, 'pipelineStageId') || optionalId(action, 'refundedStageId')
+            : 'pipelineId is required'),
+        run: (action, context) => context.ghl.upsertOpportunity({
+            contactId: context.contactId,
+            pipelineId: action.pipelineId,
+            pipelineStageId: action.pipelineStageId,
+            name: opportunityName(action, context),
+            monetaryValue: context.line.amount
+        }),
+        // Lost, in the refunded stage if there is one, so it drops out of won revenue
+        revoke: (action, context) => context.ghl.upsertOpportunity({
+            contactId: context.contactId,
+            pipelineId: action.pipelineId,
+            pipelineStageId: action.refundedStageId || action.pipelineStageId,
+            name: opportunityName(action, context),
+            status: 'lost'
+        })
+    }
+};
+
+// Errors for a product's fulfillment list (empty when valid)
+function validateActions(actions) {
+    if (!Array.isArray(actions)) {
+        return ['fulfillment must be a list of actions'];
+    }
+
+    return actions.flatMap((action, i) => {
+        const type = ACTION_TYPES[action?.type];
+        if (!type) {
+            return [`fulfillment[${i}].type must be one of ${Object.keys(ACTION_TYPES).join(', ')}`];
+        }
+        const error = type.validate(action);
+        return error ? [`fulfillment[${i}]: ${error}`] : [];
+    });
+}
+
+function runAction(action, context) {
+    return ACTION_TYPES[action.type].run(action, context);
+}
+
+function revokeAction(action, context) {
+    return ACTION_TYPES[action.type].revoke(action, context);
+}
+
+module.exports = {
+    ACTION_TYPES,
+    validateActions,
+    runAction,
+    revokeAction
+};
@@ -0,0 +1,334 @@
+// services/fulfillmentService.js
+const jobQueue = require('./jobQueue');
+const tenantService = require('./tenantService');
+const { runAction, revokeAction } = require('./fulfillmentActions');
+const orderRepository = require('../repositories/orderRepository');
+const money = require('../utils/money');
+const { tenantIdOf } = require('../utils/helpers');
+
+const REVOKE_REASONS = ['refund', 'dispute'];
+
+const pendingStep = fields => ({ ...fields, status: 'pending', attempts: 0, lastError: null, completedAt: null });
+
+// Grants what was bought once an order is paid, by running each product's
+// `fulfillment` actions (see fulfillmentActions.js) against the buyer's GHL
+// contact, and takes it back when the payment is fully refunded or disputed.
+// Both plans are copied onto the order (`order.fulfillment`,
+// `order.revocation`) and each step's outcome is recorded there, so a retry
+// or an admin rerun only repeats the steps that didn't complete. Products and
+// the GHL location are the order's tenant's.
+class FulfillmentService {
+    constructor() {
+        this.revokeReasons = REVOKE_REASONS;
+
+        jobQueue.registerHandler('fulfillment.run', payload => this.runJob(payload));
+        jobQueue.registerHandler('fulfillment.revoke', payload => this.revokeJob(payload));
+    }
+
+    // One entry per action of each product on the order
+    plan(order) {
+        const { catalog } = tenantService.forRecord(order);
+        const lines = order.items?.length
+            ? order.items
+            : [{ sku: order.sku, name: order.product, subtotal: order.amounts?.totalAmount }];
+
+        return lines.flatMap(line => {
+            const product = catalog.getBySku(line.sku);
+            return (product?.fulfillment || []).map(action => ({
+                sku: line.sku,
+                product: line.name,
+                amount: money.fromCentavos(money.toCentavos(line.subtotal || 0) - money.toCentavos(line.discountAmount || 0)),
+                action,
+                status: 'pending',
+                attempts: 0,
+                lastError: null,
+                completedAt: null
+            }));
+        });
+    }
+
+    save(reference, field, record) {
+        return orderRepository.update(reference, {
+            [field]: { ...record, updatedAt: new Date().toISOString() }
+        });
+    }
+
+    // Queue `type` for an order, or return the job already waiting to run
+    queue(type, order) {
+        const { reference } = order;
+        const jobs = jobQueue.listJobs({ type, reference });
+        const queued = jobs.find(job => job.status === 'pending' || job.status === 'running');
+        if (queued) return queued;
+
+        return jobQueue.enqueue(type, { reference }, {
+            key: jobs.length ? `${type}:${reference}:rerun:${Date.now()}` : `${type}:${reference}`,
+            reference,
+            tenant: tenantIdOf(order)
+        });
+    }
+
+    // Plan fulfillment for a paid order and queue it. Returns the job, or null
+    // when none of the order's products have actions.
+    schedule(order) {
+        if (!order.fulfillment) {
+            const actions = this.plan(order);
+            if (!actions.length) return null;
+
+            this.save(order.reference, 'fulfillment', {
+                status: 'pending',
+                actions,
+                createdAt: new Date().toISOString()
+            });
+        }
+
+        return this.queue('fulfillment.run', order);
+    }
+
+    // Queue the order's fulfillment again. Failed and pending actions are
+    // retried; with `all`, the plan is rebuilt from the catalogue and every
+    // action runs again.
+    rerun(order, { all = false } = {}) {
+        if (order.revocation) {
+            throw new Error(`Access for order ${order.reference} was revoked (${order.revocation.reason})`);
+        }
+
+        const actions = all || !order.fulfillment
+            ? this.plan(order)
+            : order.fulfillment.actions.map(entry => (entry.status === 'completed'
+                ? entry
+                : { ...entry, status: 'pending' }));
+
+        if (!actions.length) {
+            throw new Error(`No fulfillment actions for order ${order.reference}`);
+        }
+
+        this.save(order.reference, 'fulfillment', {
+            ...order.fulfillment,
+            status: 'pending',
+            actions,
+            createdAt: order.fulfillment?.createdAt || new Date().toISOString()
+        });
+
+        return this.queue('fulfillment.run', order);
+    }
+
+    // Take back what an order granted. Steps: note the refund on the GHL
+    // invoice and void it, then undo each fulfillment action that completed
+    // (actions not run yet are cancelled). Calling it again for an order
+    // already being revoked re-queues its unfinished steps, and a refund of
+    // an order revoked for another reason adds the invoice note it lacks.
+    revoke(order, { reason, amount, currency, refundIds = [] }) {
+        if (!REVOKE_REASONS.includes(reason)) {
+            throw new Error(`reason must be one of ${REVOKE_REASONS.join(', ')}`);
+        }
+
+        if (order.revocation) {
+            const annotate = reason === 'refund' && !order.revocation.steps.some(step => step.step === 'annotate_invoice');
+            this.save(order.reference, 'revocation', {
+                ...order.revocation,
+                status: 'pending',
+                steps: [
+                    ...order.revocation.steps.map(step => (step.status === 'failed' ? { ...step, status: 'pending' } : step)),
+                    ...(annotate ? [pendingStep({ step: 'annotate_invoice', amount, currency, refundIds })] : [])
+                ]
+            });
+            if (annotate) {
+                orderRepository.addStatus(order.reference, null, {
+                    event: 'revocation.step_added',
+                    note: `Refunded after revocation (${order.revocation.reason}) began; queued a refund note on the GHL invoice`
+                });
+            }
+            return this.queue('fulfillment.revoke', order);
+        }
+
+        const steps = [
+            ...(reason === 'refund'
+                ? [pendingStep({ step: 'annotate_invoice', amount, currency, refundIds })]
+                : []),
+            pendingStep({ step: 'void_invoice' }),
+            ...(order.fulfillment?.actions || [])
+                .filter(entry => entry.status === 'completed')
+                .map(({ sku, product, amount: lineAmount, action }) => pendingStep({
+                    step: 'revoke_action', sku, product, amount: lineAmount, action
+                }))
+        ];
+
+        if (order.fulfillment) {
+            this.save(order.reference, 'fulfillment', {
+                ...order.fulfillment,
+                status: 'revoked',
+                actions: order.fulfillment.actions.map(entry => (entry.status === 'completed'
+                    ? entry
+                    : { ...entry, status: 'cancelled' }))
+            });
+        }
+
+        this.save(order.reference, 'revocation', {
+            reason,
+            status: 'pending',
+            steps,
+            createdAt: new Date().toISOString()
+        });
+
+        return this.queue('fulfillment.revoke', order);
+    }
+
+    // The buyer's GHL contact: the one the payment sync recorded, else upserted
+    async resolveContact(order) {
+        if (order.ghl?.contactId) return order.ghl.contactId;
+
+        const upsertResult = await tenantService.forRecord(order).ghl.upsertContact({
+            fullName: order.customer?.fullName,
+            email: order.customer?.email,
+            phone: order.customer?.mobile
+        });
+        const contactId = upsertResult?.contact?.id || upsertResult?.id || upsertResult?.contactId || null;
+        if (!contactId) {
+            throw new Error('GHL upsertContact did not return a contact id');
+        }
+
+        orderRepository.update(order.reference, { ghl: { contactId } });
+        return contactId;
+    }
+
+    // Save one entry of order[field][listKey] into the order as it is now,
+    // leaving the rest of the record (changed meanwhile, e.g. by revoke())
+    // as it is. Returns the updated order.
+    saveEntry(reference, field, listKey, index, entry) {
+        const record = orderRepository.findByReference(reference)[field];
+        return this.save(reference, field, {
+            ...record,
+            [listKey]: record[listKey].map((existing, i) => (i === index ? entry : existing))
+        });
+    }
+
+    // An action that completed after the order's revocation was planned isn't
+    // in it: add a step to undo it and make sure the revocation runs
+    revokeLateAction(order, { sku, product, amount, action }) {
+        this.save(order.reference, 'revocation', {
+            ...order.revocation,
+            status: 'pending',
+            steps: [...order.revocation.steps, pendingStep({ step: 'revoke_action', sku, product, amount, action })]
+        });
+        orderRepository.addStatus(order.reference, null, {
+            event: 'revocation.step_added',
+            note: `${action?.type} completed after revocation began; queued to be revoked`
+        });
+        return this.queue('fulfillment.revoke', order);
+    }
+
+    // Run every unfinished entry of order[field][listKey] with runEntry,
+    // saving each outcome as it goes. The order is read again before each
+    // step, so steps added meanwhile are run too; fulfillment stops, without
+    // saving over the record, once the order is being revoked. Throws if any
+    // step failed so the job retries.
+    async runSteps(reference, field, listKey, runEntry) {
+        let order = orderRepository.findByReference(reference);
+        if (!order?.[field]) {
+            throw new Error(`No ${field} planned for order ${reference}`);
+        }
+
+        const label = entry => entry.action?.type || entry.step;
+        const revoking = current => field === 'fulfillment' && Boolean(current.revocation);
+        const stopped = () => {
+            console.log(`Fulfillment for ${reference} stopped: the order is being revoked`);
+            return { skipped: 'revoked' };
+        };
+
+        for (let i = 0; i < order[field][listKey].length; i++) {
+            order = orderRepository.findByReference(reference);
+            if (revoking(order)) {
+                return stopped();
+            }
+
+            const entry = { ...order[field][listKey][i] };
+            if (entry.status === 'completed' || entry.status === 'cancelled') continue;
+
+            entry.attempts += 1;
+            try {
+                await runEntry(entry, order);
+                Object.assign(entry, { status: 'completed', lastError: null, completedAt: new Date().toISOString() });
+            } catch (err) {
+                console.log(`${field} step error:`, reference, label(entry), err.response?.data || err.message);
+                Object.assign(entry, { status: 'failed', lastError: err.response?.data?.message || err.message });
+            }
+
+            // Revoked while this step ran: a failed action stays cancelled, a
+            // completed one is recorded and queued to be undone
+            const revokedMeanwhile = revoking(orderRepository.findByReference(reference));
+            if (revokedMeanwhile && entry.status !== 'completed') {
+                return stopped();
+            }
+
+            order = this.saveEntry(reference, field, listKey, i, entry);
+            if (revokedMeanwhile) {
+                this.revokeLateAction(order, entry);
+                return stopped();
+            }
+        }
+
+        const record = orderRepository.findByReference(reference)[field];
+        const entries = record[listKey];
+        const failed = entries.filter(entry => entry.status === 'failed');
+        const status = failed.length ? 'failed' : 'completed';
+        this.save(reference, field, { ...record, status });
+
+        orderRepository.addStatus(reference, null, {
+            event: `${field}.${status}`,
+            note: failed.length
+                ? `${field === 'fulfillment' ? 'Fulfillment' : 'Revocation'} failed: ${failed.map(entry => `${label(entry)} (${entry.lastError})`).join('; ')}`
+                : `${field === 'fulfillment' ? 'Fulfillment' : 'Revocation'} completed (${entries.length} step${entries.length === 1 ? '' : 's'})`
+        });
+
+        if (failed.length) {
+            throw new Error(`${failed.length} of ${entries.length} ${field} steps failed`);
+        }
+
+        return { completed: entries.filter(entry => entry.status === 'completed').length };
+    }
+
+    // Job handler for 'fulfillment.run'
+    async runJob({ reference }) {
+        const order = orderRepository.findByReference(reference);
+        if (order?.revocation) {
+            // Refunded or disputed before it was fulfilled; the revocation cancelled what's left
+            return { skipped: 'revoked' };
+        }
+
+        let contactId = null;
+        return this.runSteps(reference, 'fulfillment', 'actions', async (entry, current) => {
+            contactId = contactId || await this.resolveContact(current);
+            await runAction(entry.action, {
+                ghl: tenantService.forRecord(current).ghl,
+                contactId,
+                order: current,
+                line: { name: entry.product, amount: entry.amount }
+            });
+        });
+    }
+
+    // Job handler for 'fulfillment.revoke'. The invoice comes from the order; if
+    // the GHL payment sync hasn't recorded it yet the step fails and retries.
+    async revokeJob({ reference }) {
+        let contactId = null;
+        return this.runSteps(reference, 'revocation', 'steps', async (entry, order) => {
+            const { ghl } = tenantService.forRecord(order);
+
+            if (entry.step === 'revoke_action') {
+                contactId = contactId || await this.resolveContact(order);
+                return revokeAction(entry.action, { ghl, contactId, order, line: { name: entry.product, amount: entry.amount } });
+            }
+
+            const invoiceId = orderRepository.findByReference(reference).ghl?.invoiceId;
+            if (!invoiceId) {
+                throw new Error(`No GHL invoice recorded yet for ${reference}`);
+            }
+
+            return entry.step === 'annotate_invoice'
+                ? ghl.annotateInvoiceRefund(invoiceId, entry)
+                : ghl.voidInvoice(invoiceId);
+        });
+    }
+}
+
+module.exports = new FulfillmentService();
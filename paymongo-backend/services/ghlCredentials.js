@@ -0,0 +1,225 @@
+// services/ghlCredentials.js
+const fs = require('fs');
+const axios = require('axios');
+
+const INSTALL_URL = 'https://marketplace.gohighlevel.com/oauth/chooselocation';
+const DEFAULT_SCOPES = [
+    'contacts.readonly', 'contacts.write',
+    'invoices.readonly', 'invoices.write',
+    'opportunities.readonly', 'opportunities.write',
+    'workflows.readonly'
+];
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Credential providers for GhlService. Each one supplies the bearer token and
+// location for a request, and `invalidate()` after GHL answers 401: it
+// returns true if a fresh token is worth a retry.
+
+// Private integration token, given directly or as a file (GHL_PRIVATE_KEY /
+// GHL_PRIVATE_KEY_FILE for the default tenant). The file is re-read after a
+// 401, so rotating the key only needs the file replaced.
+class StaticTokenProvider {
+    constructor({ token, tokenFile, locationId }) {
+        this.mode = 'private_token';
+        this.token = token || null;
+        this.tokenFile = tokenFile || null;
+        this.locationId = locationId || null;
+        this.fileToken = null;
+    }
+
+    isConfigured() {
+        return Boolean((this.token || this.tokenFile) && this.locationId);
+    }
+
+    getLocationId() {
+        return this.locationId;
+    }
+
+    readTokenFile() {
+        try {
+            return fs.readFileSync(this.tokenFile, 'utf8').trim() || null;
+        } catch (error) {
+            console.error('Unable to read GHL private key file:', this.tokenFile, error.message);
+            return null;
+        }
+    }
+
+    async getToken() {
+        if (this.tokenFile) {
+            this.fileToken = this.fileToken || this.readTokenFile();
+            if (this.fileToken) return this.fileToken;
+        }
+        if (!this.token) {
+            throw new Error('GHL private integration token is not configured');
+        }
+        return this.token;
+    }
+
+    async invalidate() {
+        if (!this.tokenFile) return false;
+
+        const previous = this.fileToken;
+        this.fileToken = this.readTokenFile();
+        return Boolean(this.fileToken && this.fileToken !== previous);
+    }
+
+    status() {
+        return { mode: this.mode, connected: this.isConfigured(), locationId: this.locationId };
+    }
+}
+
+// GHL marketplace app (OAuth 2). Tokens come from the install callback
+// (exchangeCode) or a refresh token to start from, are kept in `store` (a
+// GhlTokenRepository), and are refreshed shortly before they expire or when
+// GHL rejects the access token.
+class OAuthTokenProvider {
+    constructor({ clientId, clientSecret, redirectUri, scopes, locationId, refreshToken, apiUrl, store }) {
+        this.mode = 'oauth';
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.redirectUri = redirectUri || null;
+        this.scopes = scopes?.length ? scopes : DEFAULT_SCOPES;
+        this.locationId = locationId || null;
+        this.initialRefreshToken = refreshToken || null;
+        this.apiUrl = apiUrl;
+        this.store = store;
+        this.refreshing = null;
+    }
+
+    tokens() {
+        return this.store.getTokens()
+            || (this.initialRefreshToken ? { refreshToken: this.initialRefreshToken, expiresAt: null } : null);
+    }
+
+    isConfigured() {
+        return Boolean(this.clientId && this.clientSecret && this.tokens()?.refreshToken && this.getLocationId());
+    }
+
+    getLocationId() {
+        return this.store.getTokens()?.locationId || this.locationId;
+    }
+
+    async getToken() {
+        const tokens = this.tokens();
+        if (!tokens?.refreshToken) {
+            throw new Error('GHL OAuth is not connected; install the app from GET /api/admin/ghl/oauth');
+        }
+
+        if (tokens.accessToken && new Date(tokens.expiresAt).getTime() - REFRESH_MARGIN_MS > Date.now()) {
+            return tokens.accessToken;
+        }
+        return this.refresh();
+    }
+
+    async invalidate() {
+        await this.refresh();
+        return true;
+    }
+
+    // One refresh at a time: GHL refresh tokens are single-use, so parallel
+    // refreshes would invalidate each other
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                const refreshToken = this.tokens()?.refreshToken;
+                if (!refreshToken) {
+                    throw new Error('No GHL refresh token stored');
+                }
+                const tokens = await this.requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+                return tokens.accessToken;
+            })().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    // Complete an install: trade the authorization code from the callback for tokens
+    async exchangeCode(code) {
+        return this.requestToken({ grant_type: 'authorization_code', code, redirect_uri: this.redirectUri || undefined });
+    }
+
+    async requestToken(params) {
+        const form = new URLSearchParams({
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            user_type: 'Location'
+        });
+        Object.entries(params).forEach(([key, value]) => value !== undefined && form.append(key, value));
+
+        let data;
+        try {
+            const res = await axios.post(`${this.apiUrl}/oauth/token`, form.toString(), {
+                timeout: 15000,
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' }
+            });
+            data = res.data;
+        } catch (error) {
+            console.error('GHL OAuth token error:', error.response?.data || error.message);
+            throw new Error(`GHL OAuth ${params.grant_type} failed: ${error.response?.data?.error_description || error.message}`);
+        }
+
+        return this.store.saveTokens({
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token,
+            expiresAt: new Date(Date.now() + Number(data.expires_in || 0) * 1000).toISOString(),
+            locationId: data.locationId || this.getLocationId(),
+            scope: data.scope || null,
+            userType: data.userType || null
+        });
+    }
+
+    installUrl(state) {
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            scope: this.scopes.join(' '),
+            state
+        });
+        if (this.redirectUri) params.set('redirect_uri', this.redirectUri);
+        return `${INSTALL_URL}?${params.toString()}`;
+    }
+
+    status() {
+        const tokens = this.store.getTokens();
+        return {
+            mode: this.mode,
+            connected: this.isConfigured(),
+            locationId: this.getLocationId(),
+            expiresAt: tokens?.expiresAt || null,
+            scope: tokens?.scope || null,
+            updatedAt: tokens?.updatedAt || null
+        };
+    }
+}
+
+// OAuth when the tenant has a clientId, otherwise the private integration
+// token. `config` is a tenant's `ghl` settings (see tenantService).
+function createCredentialProvider({ apiUrl, config = {}, store }) {
+    if (config.clientId) {
+        return new OAuthTokenProvider({
+            clientId: config.clientId,
+            clientSecret: config.clientSecret,
+            redirectUri: config.oauthRedirectUri,
+            scopes: String(config.oauthScopes || '').split(/[\s,]+/).filter(Boolean),
+            locationId: config.locationId,
+            refreshToken: config.refreshToken,
+            apiUrl,
+            store
+        });
+    }
+
+    return new StaticTokenProvider({
+        token: config.privateKey,
+        tokenFile: config.privateKeyFile,
+        locationId: config.locationId
+    });
+}
+
+module.exports = {
+    StaticTokenProvider,
+    OAuthTokenProvider,
+    createCredentialProvider
+};
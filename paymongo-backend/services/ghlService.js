@@ -1,16 +1,27 @@
 const axios = require('axios');
+const money = require('../utils/money');
+const { createCredentialProvider } = require('./ghlCredentials');
 
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// GHL API client for one tenant's location. Built by tenantService from the
+// tenant's `ghl` settings; `tokenStore` keeps its OAuth tokens.
 class GhlService {
-    constructor() {
-        this.baseURL = 'https://services.leadconnectorhq.com';
-        this.privateKey = process.env.GHL_PRIVATE_KEY;
-        this.locationId = process.env.GHL_LOCATION_ID;
+    constructor({ tenantId, businessName, config = {}, tokenStore } = {}) {
+        this.tenantId = tenantId;
+        this.businessName = businessName;
+        this.baseURL = process.env.GHL_API_URL || 'https://services.leadconnectorhq.com';
+        this.credentials = createCredentialProvider({ apiUrl: this.baseURL, config, store: tokenStore });
 
-        if (!this.privateKey) {
-            console.warn('GHL_PRIVATE_KEY is not configured');
-        }
-        if (!this.locationId) {
-            console.warn('GHL_LOCATION_ID is not configured');
+        // 429s are retried after the wait GHL asks for, up to these limits;
+        // past them the error reaches the caller (jobs retry with backoff)
+        this.rateLimitRetries = Number(process.env.GHL_RATE_LIMIT_RETRIES || 3);
+        this.rateLimitMaxWaitMs = Number(process.env.GHL_RATE_LIMIT_MAX_WAIT_MS || 30000);
+
+        if (!this.isConfigured()) {
+            console.warn(`[${tenantId}] ${this.credentials.mode === 'oauth'
+                ? 'GHL OAuth is not connected yet (see GET /api/admin/ghl/oauth)'
+                : 'GHL private key / location ID are not configured'}`);
         }
 
         this.client = axios.create({
@@ -18,11 +29,73 @@ class GhlService {
             timeout: 15000,
             headers: {
                 'Content-Type': 'application/json',
-                Authorization: `Bearer ${this.privateKey}`,
-                Version: '2021-07-28',
-                LocationId: this.locationId
+                Version: '2021-07-28'
             }
         });
+
+        this.client.interceptors.request.use(config => this.authorize(config));
+        this.client.interceptors.response.use(null, error => this.retryRequest(error));
+    }
+
+    get locationId() {
+        return this.credentials.getLocationId();
+    }
+
+    isConfigured() {
+        return this.credentials.isConfigured();
+    }
+
+    // Bearer token + location for every request, from the credential provider
+    async authorize(config) {
+        config.headers.Authorization = `Bearer ${await this.credentials.getToken()}`;
+        if (this.locationId) {
+            config.headers.LocationId = this.locationId;
+        }
+        return config;
+    }
+
+    // 401: get a fresh token and retry once. 429: wait as GHL asks, then retry.
+    async retryRequest(error) {
+        const { config, response } = error;
+        if (!config || !response) throw error;
+
+        if (response.status === 401 && !config.ghlAuthRetried) {
+            config.ghlAuthRetried = true;
+            if (await this.credentials.invalidate()) {
+                console.log('GHL rejected the access token, retrying with a fresh one');
+                return this.client.request(config);
+            }
+        }
+
+        if (response.status === 429) {
+            config.ghlRateLimitRetries = (config.ghlRateLimitRetries || 0) + 1;
+            const waitMs = this.rateLimitWait(response.headers || {}, config.ghlRateLimitRetries);
+
+            if (config.ghlRateLimitRetries <= this.rateLimitRetries && waitMs <= this.rateLimitMaxWaitMs) {
+                console.log(`GHL rate limit hit, retrying in ${waitMs}ms (${config.ghlRateLimitRetries}/${this.rateLimitRetries})`);
+                await sleep(waitMs);
+                return this.client.request(config);
+            }
+        }
+
+        throw error;
+    }
+
+    // How long to wait after a 429: Retry-After (seconds or a date), else
+    // the rate-limit window GHL reports (x-ratelimit-interval-milliseconds),
+    // else 1s, 2s, 4s, ...
+    rateLimitWait(headers, attempt) {
+        const retryAfter = headers['retry-after'];
+        if (retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+            if (Number.isFinite(ms)) return Math.max(0, Math.ceil(ms));
+        }
+
+        const interval = Number(headers['x-ratelimit-interval-milliseconds']);
+        if (Number.isFinite(interval) && interval > 0) return interval;
+
+        return 1000 * Math.pow(2, attempt - 1);
     }
 
     normalizePhoneE164(phone) {
@@ -90,7 +163,7 @@ class GhlService {
             altType: 'location',
             name: name || 'PayMongo Invoice',
             businessDetails: {
-                name: process.env.GHL_BUSINESS_NAME || 'Nexistry Academy'
+                name: this.businessName
             },
             currency: currency || 'PHP',
             items,
@@ -107,6 +180,132 @@ class GhlService {
         return res.data;
     }
 
+    async getInvoice(invoiceId) {
+        if (!invoiceId) {
+            throw new Error('invoiceId is required');
+        }
+
+        const res = await this.client.get(`/invoices/${invoiceId}`, {
+            params: {
+                altId: this.locationId,
+                altType: 'location'
+            }
+        });
+        return res.data?.invoice || res.data;
+    }
+
+    // Update an invoice. GHL's PUT replaces the invoice, so the current invoice
+    // is loaded first and `changes` (an object, or a function of the current
+    // invoice returning one) is merged over it.
+    async updateInvoice(invoiceId, changes) {
+        const existing = await this.getInvoice(invoiceId);
+        const fields = typeof changes === 'function' ? changes(existing) : changes;
+
+        const payload = {
+            altId: this.locationId,
+            altType: 'location',
+            name: existing.name,
+            title: existing.title,
+            currency: existing.currency,
+            items: existing.invoiceItems || existing.items,
+            businessDetails: existing.businessDetails,
+            contactDetails: existing.contactDetails,
+            issueDate: existing.issueDate,
+            dueDate: existing.dueDate,
+            termsNotes: existing.termsNotes,
+            liveMode: existing.liveMode,
+            ...fields
+        };
+
+        Object.keys(payload).forEach(k => payload[k] === undefined && delete payload[k]);
+
+        const res = await this.client.put(`/invoices/${invoiceId}`, payload);
+        return res.data;
+    }
+
+    // Note a PayMongo refund on the invoice so it shows up for staff in GHL
+    async annotateInvoiceRefund(invoiceId, { amount, currency = 'PHP', refundIds = [], refundedAt }) {
+        const line = `Refunded ${String(currency).toUpperCase()} ${money.format(money.toCentavos(amount))} via PayMongo`
+            + `${refundIds.length ? ` (${refundIds.join(', ')})` : ''} on ${(refundedAt || new Date().toISOString()).slice(0, 10)}`;
+
+        return this.updateInvoice(invoiceId, existing => ({
+            termsNotes: existing.termsNotes ? `${existing.termsNotes}\n${line}` : line
+        }));
+    }
+
+    async addContactTags(contactId, tags) {
+        if (!contactId) {
+            throw new Error('contactId is required');
+        }
+
+        const res = await this.client.post(`/contacts/${contactId}/tags`, { tags });
+        return res.data;
+    }
+
+    async removeContactTags(contactId, tags) {
+        if (!contactId) {
+            throw new Error('contactId is required');
+        }
+
+        const res = await this.client.delete(`/contacts/${contactId}/tags`, { data: { tags } });
+        return res.data;
+    }
+
+    // Enroll a contact in a workflow (course offers are granted by a
+    // workflow's "Grant Offer" action)
+    async addContactToWorkflow(contactId, workflowId) {
+        if (!contactId || !workflowId) {
+            throw new Error('contactId and workflowId are required');
+        }
+
+        const res = await this.client.post(`/contacts/${contactId}/workflow/${workflowId}`, {});
+        return res.data;
+    }
+
+    async removeContactFromWorkflow(contactId, workflowId) {
+        if (!contactId || !workflowId) {
+            throw new Error('contactId and workflowId are required');
+        }
+
+        const res = await this.client.delete(`/contacts/${contactId}/workflow/${workflowId}`);
+        return res.data;
+    }
+
+    // Create or update the contact's opportunity in a pipeline
+    async upsertOpportunity({ contactId, pipelineId, pipelineStageId, name, status = 'open', monetaryValue }) {
+        if (!contactId || !pipelineId) {
+            throw new Error('contactId and pipelineId are required');
+        }
+
+        const payload = {
+            locationId: this.locationId,
+            contactId,
+            pipelineId,
+            pipelineStageId: pipelineStageId || undefined,
+            name: name || undefined,
+            status,
+            monetaryValue: monetaryValue ?? undefined
+        };
+
+        Object.keys(payload).forEach(k => payload[k] === undefined && delete payload[k]);
+
+        const res = await this.client.post('/opportunities/upsert', payload);
+        return res.data;
+    }
+
+    // Void an invoice so it no longer counts as revenue in GHL
+    async voidInvoice(invoiceId) {
+        if (!invoiceId) {
+            throw new Error('invoiceId is required');
+        }
+
+        const res = await this.client.post(`/invoices/${invoiceId}/void`, {
+            altId: this.locationId,
+            altType: 'location'
+        });
+        return res.data;
+    }
+
     async recordInvoicePayment({ invoiceId, amount, mode = 'card', cardBrand, cardLast4, notes, fulfilledAt }) {
         if (!invoiceId) {
             throw new Error('invoiceId is required');
@@ -132,4 +331,4 @@ class GhlService {
     }
 }
 
-module.exports = new GhlService();
+module.exports = GhlService;
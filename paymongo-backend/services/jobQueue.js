@@ -0,0 +1,277 @@
+// services/jobQueue.js
+const crypto = require('crypto');
+const FileStore = require('../utils/fileStore');
+const { tenantIdOf } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Durable queue for outbound calls (GHL, LeadConnector). Jobs are persisted
+// before they run, retried with exponential backoff + jitter, and moved to
+// the dead-letter state once they run out of attempts. A single worker loop
+// runs inside the Express process (see start() in index.js). Completed jobs
+// are pruned JOB_RETENTION_DAYS after they finished (0 keeps them); dead
+// jobs stay until they are retried.
+class JobQueue {
+    constructor() {
+        this.store = new FileStore('jobs', { jobs: [] });
+        this.handlers = new Map();
+        this.timer = null;
+        this.running = false;
+        this.keyIndex = null;
+        this.lastPrunedAt = 0;
+
+        this.pollIntervalMs = Number(process.env.JOB_POLL_INTERVAL_MS || 5000);
+        this.maxAttempts = Number(process.env.JOB_MAX_ATTEMPTS || 8);
+        this.backoffBaseMs = Number(process.env.JOB_BACKOFF_BASE_MS || 10000);
+        this.backoffMaxMs = Number(process.env.JOB_BACKOFF_MAX_MS || 60 * 60 * 1000);
+        this.retentionMs = Number(process.env.JOB_RETENTION_DAYS ?? 30) * DAY_MS;
+    }
+
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    // Jobs by key, built from the store on first use and kept up to date by
+    // enqueue() and prune(), so keyed enqueues don't scan every job
+    jobsByKey(data = this.store.load()) {
+        if (!this.keyIndex) {
+            this.keyIndex = new Map(data.jobs.filter(j => j.key).map(j => [j.key, j]));
+        }
+        return this.keyIndex;
+    }
+
+    // Queue a job. A `key` makes the enqueue idempotent: if a job with the same
+    // key already exists it is returned instead of creating another one (a
+    // completed job's key is free again once the job has been pruned).
+    // `tenant` records the tenant ID the handler should act for.
+    enqueue(type, payload, { key, reference, tenant, maxAttempts, delayMs = 0 } = {}) {
+        const existing = key ? this.jobsByKey().get(key) : null;
+        if (existing) return existing;
+
+        const job = this.store.update(data => {
+            const now = new Date();
+            const newJob = {
+                id: `job_${crypto.randomBytes(8).toString('hex')}`,
+                type,
+                key: key || null,
+                reference: reference || null,
+                tenant: tenant || undefined,
+                payload,
+                status: 'pending',
+                attempts: 0,
+                maxAttempts: maxAttempts || this.maxAttempts,
+                runAt: new Date(now.getTime() + delayMs).toISOString(),
+                lastError: null,
+                result: null,
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+                completedAt: null
+            };
+            data.jobs.push(newJob);
+            if (key) {
+                this.jobsByKey(data).set(key, newJob);
+            }
+            return newJob;
+        });
+
+        if (this.timer && job.status === 'pending' && delayMs === 0) {
+            setImmediate(() => this.tick());
+        }
+
+        return job;
+    }
+
+    getJobByKey(key) {
+        return this.jobsByKey().get(key) || null;
+    }
+
+    getJob(id) {
+        return this.store.load().jobs.find(j => j.id === id) || null;
+    }
+
+    listJobs({ status, type, reference, tenant } = {}) {
+        return this.store.load().jobs.filter(j =>
+            (!status || j.status === status)
+            && (!type || j.type === type)
+            && (!reference || j.reference === reference)
+            && (!tenant || tenantIdOf(j) === tenant)
+        );
+    }
+
+    listDeadLetters() {
+        return this.listJobs({ status: 'dead' });
+    }
+
+    // Put a dead-lettered job back on the queue with a fresh attempt budget
+    requeue(id) {
+        const job = this.store.update(data => {
+            const found = data.jobs.find(j => j.id === id);
+            if (!found) return null;
+            if (found.status !== 'dead') {
+                throw new Error(`Job ${id} is ${found.status}, only dead jobs can be retried`);
+            }
+            found.status = 'pending';
+            found.attempts = 0;
+            found.runAt = new Date().toISOString();
+            found.updatedAt = new Date().toISOString();
+            return found;
+        });
+
+        if (job && this.timer) {
+            setImmediate(() => this.tick());
+        }
+
+        return job;
+    }
+
+    backoffDelay(attempts) {
+        const exponential = Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, attempts - 1));
+        // Equal jitter: anywhere between half and the whole exponential delay
+        return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+    }
+
+    nextDueJob(jobs, now) {
+        return jobs
+            .filter(j => j.status === 'pending' && new Date(j.runAt).getTime() <= now)
+            .sort((a, b) => new Date(a.runAt) - new Date(b.runAt))[0] || null;
+    }
+
+    // Mark the next due job as running. jobs.json is only written when there
+    // is one to claim, not on every idle poll.
+    claimNextDueJob() {
+        const now = Date.now();
+        if (!this.nextDueJob(this.store.load().jobs, now)) {
+            return null;
+        }
+
+        return this.store.update(data => {
+            const job = this.nextDueJob(data.jobs, now);
+            if (!job) return null;
+
+            job.status = 'running';
+            job.attempts += 1;
+            job.updatedAt = new Date().toISOString();
+            return { ...job };
+        });
+    }
+
+    finishJob(id, patch) {
+        return this.store.update(data => {
+            const job = data.jobs.find(j => j.id === id);
+            if (!job) return null;
+            Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+            return job;
+        });
+    }
+
+    async runJob(job) {
+        const handler = this.handlers.get(job.type);
+
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type ${job.type}`);
+            }
+
+            const result = await handler(job.payload, job);
+            this.finishJob(job.id, {
+                status: 'completed',
+                result: result === undefined ? null : result,
+                lastError: null,
+                completedAt: new Date().toISOString()
+            });
+            console.log(`Job ${job.type} ${job.id} completed (attempt ${job.attempts})`);
+        } catch (error) {
+            const message = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+
+            if (job.attempts >= job.maxAttempts) {
+                this.finishJob(job.id, { status: 'dead', lastError: message });
+                console.error(`Job ${job.type} ${job.id} moved to dead-letter after ${job.attempts} attempts:`, message);
+                return;
+            }
+
+            const delay = this.backoffDelay(job.attempts);
+            this.finishJob(job.id, {
+                status: 'pending',
+                lastError: message,
+                runAt: new Date(Date.now() + delay).toISOString()
+            });
+            console.log(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, message);
+        }
+    }
+
+    // Drop completed jobs that finished more than JOB_RETENTION_DAYS ago.
+    // Returns how many were removed; the store is only written if any were.
+    prune(now = Date.now()) {
+        if (!(this.retentionMs > 0)) return 0;
+
+        const cutoff = now - this.retentionMs;
+        const expired = job => job.status === 'completed'
+            && new Date(job.completedAt || job.updatedAt).getTime() < cutoff;
+
+        if (!this.store.load().jobs.some(expired)) return 0;
+
+        return this.store.update(data => {
+            const before = data.jobs.length;
+            data.jobs = data.jobs.filter(job => {
+                if (!expired(job)) return true;
+                if (job.key && this.jobsByKey(data).get(job.key) === job) {
+                    this.jobsByKey(data).delete(job.key);
+                }
+                return false;
+            });
+            const removed = before - data.jobs.length;
+            console.log(`Pruned ${removed} completed job(s) older than ${this.retentionMs / DAY_MS} day(s)`);
+            return removed;
+        });
+    }
+
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            if (Date.now() - this.lastPrunedAt >= PRUNE_INTERVAL_MS) {
+                this.lastPrunedAt = Date.now();
+                this.prune();
+            }
+
+            let job = this.claimNextDueJob();
+            while (job) {
+                await this.runJob(job);
+                job = this.claimNextDueJob();
+            }
+        } catch (error) {
+            console.error('Job worker error:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+
+        // Jobs left running by a previous process never finished; run them again
+        this.store.update(data => {
+            data.jobs
+                .filter(j => j.status === 'running')
+                .forEach(j => {
+                    j.status = 'pending';
+                    j.updatedAt = new Date().toISOString();
+                });
+        });
+
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        setImmediate(() => this.tick());
+        console.log(`🔁 Job worker started (polling every ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,593 @@
+// services/paymentEventHandlers.js
+const webhookService = require('./webhookService');
+const promoService = require('./promoService');
+const pricingService = require('./pricingService');
+const taxService = require('./taxService');
+const webhookEventRegistry = require('./webhookEventRegistry');
+const orderRepository = require('../repositories/orderRepository');
+const webhookEventRepository = require('../repositories/webhookEventRepository');
+const jobQueue = require('./jobQueue');
+const subscriptionService = require('./subscriptionService');
+const receiptService = require('./receiptService');
+const fulfillmentService = require('./fulfillmentService');
+const checkoutRecoveryService = require('./checkoutRecoveryService');
+const tenantService = require('./tenantService');
+const money = require('../utils/money');
+
+// Queue a LeadConnector delivery to the event's tenant. `key` dedupes repeated
+// notifications for the same event.
+function notifyLeadConnector(event, payload, key) {
+    try {
+        return webhookService.queueLeadConnector(payload, { key, tenant: event.tenant.id });
+    } catch (err) {
+        console.log('LeadConnector queue error (non-fatal):', err.message);
+        return null;
+    }
+}
+
+// The parts of a normalized event worth persisting in a job payload. The
+// tenant is stored on the job itself.
+function toJobEvent(event) {
+    const { payment, resource, eventAttributes, tenant, ...rest } = event;
+    return rest;
+}
+
+// An event never touches another tenant's orders
+function ownOrder(event, order) {
+    return order && tenantService.owns(event.tenant, order) ? order : null;
+}
+
+function findOrderForEvent(event, metadata = event.metadata) {
+    return ownOrder(event, orderRepository.findForEvent({
+        reference: metadata.paymentReference,
+        paymentIntentId: event.paymentIntentId,
+        checkoutSessionId: event.checkoutSessionId,
+        paymentId: event.paymentId
+    }));
+}
+
+// Update the order ledger for an event. Ledger failures never block the webhook.
+function recordOrderEvent(event, status, { patch, note, details, metadata = event.metadata } = {}) {
+    try {
+        const order = findOrderForEvent(event, metadata);
+
+        if (!order) {
+            console.log('No order found for event:', event.eventType, metadata.paymentReference || event.paymentId || event.resourceId);
+            return null;
+        }
+
+        orderRepository.update(order.reference, {
+            ...patch,
+            paymongo: {
+                paymentIntentId: event.paymentIntentId || undefined,
+                checkoutSessionId: event.checkoutSessionId || undefined,
+                paymentIds: [event.paymentId],
+                ...patch?.paymongo
+            }
+        });
+
+        return orderRepository.addStatus(order.reference, status, {
+            event: event.eventType,
+            eventId: event.eventId,
+            note,
+            ...details
+        });
+    } catch (err) {
+        console.error('Order ledger update error (non-fatal):', err.message);
+        return null;
+    }
+}
+
+// Refund and source payloads don't always carry our metadata; fall back to the payment
+async function resolveMetadata(event) {
+    if (Object.keys(event.metadata).length > 0 || !event.paymentId) {
+        return event.metadata;
+    }
+
+    try {
+        const payment = await event.tenant.paymongo.getPayment(event.paymentId);
+        return payment?.attributes?.metadata || {};
+    } catch (err) {
+        console.log('Unable to load payment metadata (non-fatal):', err.message);
+        return {};
+    }
+}
+
+// Run one side-effect step for a payment at most once. Completed steps are
+// skipped on redelivery and their stored result is returned instead.
+async function runStep(event, step, fn) {
+    const key = event.paymentId || event.eventId;
+    const done = webhookEventRepository.getStep(key, step);
+    if (done) {
+        console.log(`Step ${step} already completed for ${key}, skipping`);
+        return done.result;
+    }
+
+    const result = await fn();
+    webhookEventRepository.completeStep(key, step, result);
+    return result;
+}
+
+// Issue the official receipt for a paid order. Returns { reference, number }
+// or null; a receipt failure never blocks the webhook.
+async function issueReceipt(event) {
+    try {
+        return await runStep(event, 'receipt', async () => {
+            const order = findOrderForEvent(event);
+            if (!order) return null;
+
+            const receipt = receiptService.issue(order, {
+                paymentId: event.paymentId,
+                paymentMethod: event.paymentMethod || event.metadata.paymentMethod
+            });
+            return { reference: order.reference, number: receipt.number };
+        });
+    } catch (err) {
+        console.error('Receipt error (non-fatal):', err.message);
+        return null;
+    }
+}
+
+// Invoice lines for a payment: one per cart line when the order has them,
+// otherwise a single line for the amount paid. Amounts are tax-inclusive, so
+// the tax breakdown goes in the item description rather than GHL's `taxes`
+// (which would add tax on top again).
+function buildInvoiceItems(event) {
+    const { metadata, amount } = event;
+    const currency = String(event.currency).toUpperCase();
+    const reference = metadata.paymentReference ? `Ref: ${metadata.paymentReference}` : undefined;
+    const order = ownOrder(event, orderRepository.findByReference(metadata.paymentReference));
+
+    const items = order?.items?.length
+        ? pricingService.toBillableLines({
+            lines: order.items,
+            promo: order.promoCode ? { code: order.promoCode } : null
+        }).map(line => ({
+            name: line.name,
+            description: [line.description, reference].filter(Boolean).join(' | ') || undefined,
+            currency,
+            amount: line.amount,
+            qty: line.quantity,
+            type: 'one_time'
+        }))
+        : [
+            {
+                name: metadata.product ? String(metadata.product) : 'PayMongo Payment',
+                description: [taxService.describe(taxService.fromMetadata(metadata.taxBreakdown)), reference]
+                    .filter(Boolean).join(' | ') || undefined,
+                currency,
+                amount,
+                qty: 1,
+                type: 'one_time'
+            }
+        ];
+
+    return items.map(item => {
+        Object.keys(item).forEach(k => item[k] === undefined && delete item[k]);
+        return item;
+    });
+}
+
+// GHL contact -> invoice -> record payment. Each call is its own step, so a
+// failure part-way (e.g. record-payment) is resumed on the next delivery
+// without creating a second invoice.
+async function syncPaymentToGhl(event) {
+    const { metadata, amount, currency } = event;
+    const { ghl } = event.tenant;
+
+    const fullName = metadata.fullName;
+    const email = metadata.email;
+    const phone = metadata.mobile;
+    const product = metadata.product;
+
+    const contactId = await runStep(event, 'ghl_contact', async () => {
+        const upsertResult = await ghl.upsertContact({
+            fullName,
+            email,
+            phone
+        });
+        return upsertResult?.contact?.id || upsertResult?.id || upsertResult?.contactId || null;
+    });
+
+    if (!contactId) {
+        console.log('GHL upsertContact did not return contact id, skipping invoice creation');
+        return {};
+    }
+
+    recordOrderEvent(event, null, { patch: { ghl: { contactId } } });
+
+    if (!amount) {
+        console.log('PayMongo amount missing, skipping invoice creation');
+        return { contactId };
+    }
+
+    const invoiceId = await runStep(event, 'ghl_invoice', async () => {
+        // Subscription cycles open their invoice when the cycle is issued
+        const order = ownOrder(event, orderRepository.findByReference(metadata.paymentReference));
+        if (order?.ghl?.invoiceId) {
+            return order.ghl.invoiceId;
+        }
+
+        const now = new Date();
+        const issueDate = now.toISOString().slice(0, 10);
+        const dueDate = issueDate;
+
+        const invoice = await ghl.createInvoice({
+            contactId,
+            contactDetails: {
+                name: fullName,
+                phoneNo: phone,
+                email
+            },
+            name: product ? String(product) : 'PayMongo Payment',
+            currency: String(currency).toUpperCase(),
+            issueDate,
+            dueDate,
+            items: buildInvoiceItems(event)
+        });
+
+        console.log('GHL invoice created:', invoice?.id || invoice?.invoice?.id || invoice);
+        return invoice?.invoice?._id || invoice?._id || invoice?.id || null;
+    });
+
+    if (!invoiceId) {
+        console.log('GHL invoice created but no invoiceId found for record-payment');
+        return { contactId };
+    }
+
+    recordOrderEvent(event, null, { patch: { ghl: { invoiceId } } });
+
+    const transactionId = await runStep(event, 'ghl_payment', async () => {
+        const paymentResult = await ghl.recordInvoicePayment({
+            invoiceId,
+            amount,
+            mode: 'card',
+            cardBrand: event.source.brand,
+            cardLast4: event.source.last4,
+            notes: `PayMongo payment ${event.paymentId}`,
+            fulfilledAt: new Date().toISOString()
+        });
+        console.log('GHL payment recorded, transaction created:', paymentResult?.id || paymentResult?.transaction?.id || 'OK');
+        return paymentResult?.id || paymentResult?.transaction?.id || paymentResult?._id || null;
+    });
+
+    return { contactId, invoiceId, transactionId };
+}
+
+// payment.paid / checkout_session.payment.paid
+// Both events fire for the same checkout payment; steps and job keys are per
+// payment ID so the second one only acknowledges.
+async function handlePaymentSuccess(event) {
+    console.log('Payment succeeded:', event.paymentId, event.metadata.paymentReference || '');
+
+    const { metadata } = event;
+
+    await runStep(event, 'order_paid', async () => {
+        recordOrderEvent(event, 'paid', {
+            patch: { paymentMethod: event.paymentMethod || metadata.paymentMethod || null, paidAt: new Date().toISOString() }
+        });
+        return true;
+    });
+
+    // No more abandoned checkout reminders for this order
+    await runStep(event, 'checkout_recovery', async () => {
+        const order = findOrderForEvent(event);
+        return order ? Boolean(checkoutRecoveryService.recordPayment(order)) : false;
+    });
+
+    if (metadata.subscriptionId) {
+        await runStep(event, 'subscription_cycle', async () => {
+            subscriptionService.recordPayment({
+                subscriptionId: metadata.subscriptionId,
+                cycle: Number(metadata.subscriptionCycle),
+                paymentId: event.paymentId
+            });
+            return true;
+        });
+    }
+
+    const receipt = await issueReceipt(event);
+
+    // GHL sync runs in the job worker so the webhook can return immediately
+    if (event.tenant.ghl.isConfigured()) {
+        jobQueue.enqueue('ghl.sync_payment', toJobEvent(event), {
+            key: `ghl.sync_payment:${event.paymentId || event.eventId}`,
+            reference: metadata.paymentReference,
+            tenant: event.tenant.id
+        });
+
+        // Grant the products bought (tags, workflows, pipeline) in the job worker too
+        await runStep(event, 'fulfillment', async () => {
+            const order = findOrderForEvent(event);
+            return order ? fulfillmentService.schedule(order)?.id || null : null;
+        });
+    }
+
+    if (metadata.promoCode) {
+        await runStep(event, 'promo_redemption', async () => promoService.recordRedemption({
+            code: metadata.promoCode,
+            email: metadata.email,
+            paymentReference: metadata.paymentReference
+        }));
+    }
+
+    notifyLeadConnector(event, {
+        ...metadata,
+        status: 'payment_successful',
+        paymentId: event.paymentId,
+        checkoutSessionId: event.checkoutSessionId || undefined,
+        paymentMethod: event.paymentMethod || metadata.paymentMethod,
+        paymentDetails: event.eventAttributes,
+        receiptNumber: receipt?.number,
+        receiptUrl: receipt ? receiptService.link(receipt.reference) : undefined,
+        completedAt: new Date().toISOString()
+    }, `leadconnector:payment_successful:${event.paymentId || event.eventId}`);
+}
+
+// Job handler for 'ghl.sync_payment'. Steps already completed by an earlier
+// attempt are skipped, so a retry resumes at the call that failed.
+async function syncPaymentJob(payload, job) {
+    const jobEvent = { ...payload, tenant: tenantService.forRecord(job) };
+    try {
+        const ghlIds = await syncPaymentToGhl(jobEvent);
+        recordOrderEvent(jobEvent, null, { patch: { ghl: ghlIds }, note: 'GHL sync completed' });
+        return ghlIds;
+    } catch (err) {
+        console.log('GHL sync error:', err.response?.data || err.message);
+        recordOrderEvent(jobEvent, null, { note: `GHL sync attempt ${job?.attempts || 1} failed: ${err.message}` });
+        throw err;
+    }
+}
+
+// payment.failed
+async function handlePaymentFailure(event) {
+    console.log('Payment failed:', event.paymentId);
+
+    recordOrderEvent(event, 'failed', {
+        note: event.payment?.attributes?.last_payment_error?.failed_message || undefined
+    });
+
+    notifyLeadConnector(event, {
+        ...event.metadata,
+        status: 'payment_failed',
+        paymentId: event.paymentId,
+        paymentDetails: event.eventAttributes,
+        completedAt: new Date().toISOString()
+    }, `leadconnector:payment_failed:${event.paymentId || event.eventId}`);
+}
+
+// payment.pending
+async function handlePaymentPending(event) {
+    console.log('Payment pending:', event.paymentId);
+
+    recordOrderEvent(event, 'processing');
+}
+
+// Mirror PayMongo refunds onto the order and move it to refunded / partially_refunded
+function syncOrderRefunds(event, refunds, metadata) {
+    const order = ownOrder(event, orderRepository.findForEvent({
+        reference: metadata.paymentReference,
+        paymentIntentId: event.paymentIntentId,
+        paymentId: event.paymentId
+    }));
+    if (!order) return null;
+
+    try {
+        let updated = order;
+        refunds.forEach(refund => {
+            const attrs = refund.attributes || {};
+            updated = orderRepository.upsertRefund(order.reference, {
+                refundId: refund.id,
+                paymentId: event.paymentId,
+                amount: Number.isSafeInteger(attrs.amount) ? money.fromCentavos(attrs.amount) : undefined,
+                reason: attrs.reason,
+                notes: attrs.notes,
+                status: attrs.status
+            });
+        });
+        return updated;
+    } catch (err) {
+        console.error('Order refund update error (non-fatal):', err.message);
+        return order;
+    }
+}
+
+function refundedStatus(order, paidAmount) {
+    const refunded = money.toCentavos(order?.amounts?.refundedAmount || 0);
+    const total = money.toCentavos(paidAmount || order?.amounts?.totalAmount || 0);
+    return refunded > 0 && refunded < total ? 'partially_refunded' : 'refunded';
+}
+
+// payment.refunded
+async function handlePaymentRefunded(event) {
+    console.log('Payment refunded:', event.paymentId);
+
+    const metadata = await resolveMetadata(event);
+    const refunds = event.payment?.attributes?.refunds || [];
+    const refundIds = refunds.map(r => r.id).filter(Boolean);
+    const refundedAmount = money.fromCentavos(money.sum(refunds
+        .filter(r => r.attributes?.status !== 'failed')
+        .map(r => Number(r.attributes?.amount || 0))));
+
+    const order = syncOrderRefunds(event, refunds, metadata);
+    const orderStatus = refundedStatus(order, event.amount);
+    recordOrderEvent(event, orderStatus, {
+        metadata,
+        note: refundedAmount ? `Refunded ${refundedAmount}` : undefined,
+        // The order's refunded total as of this refund; the sales report
+        // dates each refund by the entry that raised it
+        details: order ? { refundedAmount: order.amounts?.refundedAmount || 0 } : undefined
+    });
+
+    const ghlConfigured = event.tenant.ghl.isConfigured();
+    if (ghlConfigured && order && orderStatus === 'refunded') {
+        // Fully refunded: note it on the invoice, void it and take back access
+        await runStep(event, 'revoke_refund', async () => fulfillmentService.revoke(order, {
+            reason: 'refund',
+            amount: refundedAmount || event.amount,
+            currency: event.currency,
+            refundIds
+        }).id);
+    } else if (ghlConfigured) {
+        jobQueue.enqueue('ghl.refund_invoice', {
+            reference: metadata.paymentReference || order?.reference || null,
+            paymentId: event.paymentId,
+            amount: refundedAmount || event.amount,
+            currency: event.currency,
+            refundIds
+        }, {
+            key: `ghl.refund_invoice:${event.eventId || event.paymentId}`,
+            reference: metadata.paymentReference || order?.reference,
+            tenant: event.tenant.id
+        });
+    }
+
+    notifyLeadConnector(event, {
+        ...metadata,
+        status: 'payment_refunded',
+        paymentId: event.paymentId,
+        refundIds,
+        refundedAmount,
+        orderStatus,
+        paymentDetails: event.eventAttributes,
+        refundedAt: new Date().toISOString()
+    }, `leadconnector:payment_refunded:${event.eventId}`);
+}
+
+// Dispute (chargeback) events, for the types listed in PAYMONGO_DISPUTE_EVENTS.
+// The order keeps its status; access and the GHL invoice are revoked.
+async function handlePaymentDisputed(event) {
+    console.log('Payment disputed:', event.paymentId, event.resourceId);
+
+    const metadata = await resolveMetadata(event);
+    const order = findOrderForEvent(event, metadata);
+
+    recordOrderEvent(event, null, {
+        metadata,
+        note: `Dispute ${event.resourceId || ''} ${event.status || 'opened'}`.replace(/\s+/g, ' ').trim()
+    });
+
+    if (order && event.tenant.ghl.isConfigured()) {
+        await runStep(event, 'revoke_dispute', async () => fulfillmentService.revoke(order, { reason: 'dispute' }).id);
+    }
+
+    notifyLeadConnector(event, {
+        ...metadata,
+        status: 'payment_disputed',
+        paymentId: event.paymentId,
+        disputeId: event.resourceId,
+        paymentDetails: event.eventAttributes,
+        disputedAt: new Date().toISOString()
+    }, `leadconnector:payment_disputed:${event.eventId}`);
+}
+
+// Job handler for 'ghl.refund_invoice'. The invoice comes from the order; if
+// the GHL payment sync hasn't finished yet the job fails and retries later.
+async function refundInvoiceJob({ reference, paymentId, amount, currency, refundIds }, job) {
+    const tenant = tenantService.forRecord(job);
+    const order = [orderRepository.findByReference(reference), orderRepository.findByPaymentId(paymentId)]
+        .find(candidate => tenantService.owns(tenant, candidate));
+    const invoiceId = order?.ghl?.invoiceId;
+
+    if (!invoiceId) {
+        throw new Error(`No GHL invoice recorded yet for ${reference || paymentId}`);
+    }
+
+    await tenant.ghl.annotateInvoiceRefund(invoiceId, { amount, currency, refundIds });
+    orderRepository.addStatus(order.reference, null, {
+        event: 'ghl.invoice_refund_noted',
+        note: `GHL invoice ${invoiceId} updated for refund`
+    });
+    return { invoiceId };
+}
+
+// payment.refund.updated
+async function handleRefundUpdated(event) {
+    const refundAttributes = event.resource.attributes || {};
+    console.log('Refund updated:', event.refundId, refundAttributes.status);
+
+    const metadata = await resolveMetadata(event);
+
+    syncOrderRefunds(event, [event.resource], metadata);
+    recordOrderEvent(event, null, {
+        metadata,
+        note: `Refund ${event.refundId} ${refundAttributes.status || 'updated'}`
+    });
+
+    notifyLeadConnector(event, {
+        ...metadata,
+        status: 'refund_updated',
+        refundStatus: refundAttributes.status,
+        refundId: event.refundId,
+        refundAmount: event.amount,
+        refundReason: refundAttributes.reason,
+        paymentId: event.paymentId,
+        updatedAt: new Date().toISOString()
+    }, `leadconnector:refund_updated:${event.eventId}`);
+}
+
+// source.chargeable: the customer authorized a source, now charge it
+async function handleSourceChargeable(event) {
+    console.log('Source chargeable:', event.sourceId);
+
+    if (!event.amount) {
+        console.log('Chargeable source has no amount, skipping payment creation');
+        return;
+    }
+
+    const payment = await event.tenant.paymongo.createPayment({
+        sourceId: event.sourceId,
+        amount: event.amount,
+        currency: event.currency,
+        description: event.metadata.product
+            ? `${event.metadata.product} - ${event.metadata.fullName || ''}`.trim()
+            : 'PayMongo Payment',
+        metadata: Object.keys(event.metadata).length > 0 ? event.metadata : undefined
+    });
+
+    console.log('Payment created from source:', payment?.id);
+
+    recordOrderEvent({ ...event, paymentId: payment?.id }, 'processing', {
+        note: `Payment created from source ${event.sourceId}`
+    });
+}
+
+// qrph.expired: the QR code lapsed without payment
+async function handleQrphExpired(event) {
+    console.log('QR Ph expired:', event.resourceId);
+
+    const order = recordOrderEvent(event, 'expired');
+    if (order?.promoCode) {
+        promoService.release(order.reference, 'expired');
+    }
+
+    notifyLeadConnector(event, {
+        ...event.metadata,
+        status: 'payment_expired',
+        paymentIntentId: event.paymentIntentId || undefined,
+        expiredAt: new Date().toISOString()
+    }, `leadconnector:payment_expired:${event.eventId}`);
+}
+
+webhookEventRegistry.register(['payment.paid', 'checkout_session.payment.paid'], handlePaymentSuccess);
+webhookEventRegistry.register('payment.failed', handlePaymentFailure);
+webhookEventRegistry.register('payment.pending', handlePaymentPending);
+webhookEventRegistry.register('payment.refunded', handlePaymentRefunded);
+webhookEventRegistry.register('payment.refund.updated', handleRefundUpdated);
+webhookEventRegistry.register('source.chargeable', handleSourceChargeable);
+webhookEventRegistry.register('qrph.expired', handleQrphExpired);
+
+// PayMongo notifies chargebacks separately; list the webhook event types that
+// open a dispute for your account, if any
+const disputeEvents = String(process.env.PAYMONGO_DISPUTE_EVENTS || '')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean);
+if (disputeEvents.length) {
+    webhookEventRegistry.register(disputeEvents, handlePaymentDisputed);
+}
+
+jobQueue.registerHandler('ghl.sync_payment', syncPaymentJob);
+jobQueue.registerHandler('ghl.refund_invoice', refundInvoiceJob);
+
+module.exports = webhookEventRegistry;
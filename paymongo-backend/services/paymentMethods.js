@@ -0,0 +1,63 @@
+// services/paymentMethods.js
+
+// Map frontend payment method IDs to PayMongo identifiers
+const METHOD_MAP = {
+    'gcash': 'gcash',
+    'grabpay': 'grab_pay',
+    'maya': 'paymaya',
+    'shopeepay': 'shopee_pay',
+    'bpi': 'dob',
+    'unionbank': 'dob',
+    'qrph': 'qrph',
+    'card': 'card'
+};
+
+const ALL_SUPPORTED_PAYMONGO_METHODS = [
+    'qrph',
+    'gcash',
+    'grab_pay',
+    'paymaya',
+    'shopee_pay',
+    'dob'
+];
+
+// Turn the frontend's payment method choice into checkout session method types.
+// NOTE: If you only pass ['qrph'], the checkout page will only show the QRPh scan option.
+// To show the e-wallet + online banking list (GCash/GrabPay/Maya/ShopeePay/BPI/UnionBank),
+// you must include those method types in the checkout session.
+// `paymongo` is the tenant's PayMongo client, whose merchant account is checked.
+async function resolveCheckoutMethods(paymongo, paymentMethod) {
+    const selectedPaymentMethod = paymentMethod || 'qrph';
+    const normalized = METHOD_MAP[selectedPaymentMethod] || 'qrph';
+
+    // If the user didn’t pick a specific method (or picked qrph/all), show all options.
+    let paymentMethods = (selectedPaymentMethod === 'qrph' || selectedPaymentMethod === 'all')
+        ? ALL_SUPPORTED_PAYMONGO_METHODS
+        : [normalized];
+
+    // Filter by what PayMongo says your merchant account is eligible for.
+    // This also explains why UnionBank might not appear under Online Banking even if `dob` is included.
+    try {
+        const capabilities = await paymongo.getMerchantPaymentMethodCapabilities();
+        const allowed = new Set((capabilities || []).map(pm => pm?.attributes?.type).filter(Boolean));
+
+        // Keep only allowed types; if filtering removes everything, fall back to qrph.
+        const filtered = paymentMethods.filter(m => allowed.has(m));
+        if (filtered.length > 0) {
+            paymentMethods = filtered;
+        } else {
+            paymentMethods = ['qrph'];
+        }
+    } catch (capErr) {
+        console.log('Non-fatal: unable to fetch PayMongo capabilities, proceeding without filtering:', capErr.message);
+    }
+
+    console.log('Payment method selected:', selectedPaymentMethod, '-> PayMongo:', normalized, 'checkout types:', paymentMethods);
+    return paymentMethods;
+}
+
+module.exports = {
+    METHOD_MAP,
+    ALL_SUPPORTED_PAYMONGO_METHODS,
+    resolveCheckoutMethods
+};
@@ -1,13 +1,21 @@
 // services/paymongoService.js
 const axios = require('axios');
+const money = require('../utils/money');
 
+// PayMongo API client for one tenant's account. Built by tenantService from
+// the tenant's keys, statement descriptor and checkout redirect URLs.
 class PayMongoService {
-    constructor() {
-        this.baseURL = 'https://api.paymongo.com/v1';
-        this.secretKey = process.env.PAYMONGO_SECRET_KEY;
+    constructor({ tenantId, secretKey, webhookSecret, statementDescriptor, redirects = {} } = {}) {
+        // PAYMONGO_API_URL points the client at a local PayMongo stub for testing
+        this.baseURL = process.env.PAYMONGO_API_URL || 'https://api.paymongo.com/v1';
+        this.tenantId = tenantId;
+        this.secretKey = secretKey;
+        this.webhookSecret = webhookSecret || null;
+        this.statementDescriptor = statementDescriptor;
+        this.redirects = redirects;
 
         // Debug: Check if secret key is loaded (masked for security)
-        console.log('PayMongo Secret Key loaded:', this.secretKey ? '✅ Yes (starts with ' + this.secretKey.substring(0, 8) + '...)' : '❌ No');
+        console.log(`[${tenantId}] PayMongo Secret Key loaded:`, this.secretKey ? '✅ Yes (starts with ' + this.secretKey.substring(0, 8) + '...)' : '❌ No');
 
         this.client = axios.create({
             baseURL: this.baseURL,
@@ -23,6 +31,30 @@ class PayMongoService {
         return currency.toUpperCase();
     }
 
+    // Checkout session line items. lineItems are [{ name, amount, quantity, description }]
+    // with unit amounts in pesos; without them the whole amount is one line.
+    buildLineItems(lineItems, { amount, currency, description }) {
+        if (!Array.isArray(lineItems) || lineItems.length === 0) {
+            return [
+                {
+                    amount: money.toCentavos(amount, money.ROUNDING.FLOOR),
+                    currency,
+                    description,
+                    name: description,
+                    quantity: 1
+                }
+            ];
+        }
+
+        return lineItems.map(item => ({
+            amount: money.toCentavos(item.amount, money.ROUNDING.FLOOR),
+            currency,
+            name: item.name,
+            ...(item.description && { description: item.description }),
+            quantity: item.quantity
+        }));
+    }
+
     // Retrieve list of possible merchant payment methods (capabilities)
     async getMerchantPaymentMethodCapabilities() {
         try {
@@ -35,7 +67,7 @@ class PayMongoService {
     }
 
     // Create a payment intent
-    async createPaymentIntent({ amount, currency, description, paymentMethodAllowed, metadata, paymentMethodTypes }) {
+    async createPaymentIntent({ amount, currency, description, paymentMethodAllowed, metadata, paymentMethodTypes, lineItems }) {
         try {
             const formattedCurrency = this.formatCurrency(currency);
 
@@ -60,7 +92,7 @@ class PayMongoService {
             });
 
             console.log('1. Creating payment intent with:', {
-                amount: Math.floor(amount * 100),
+                amount: money.toCentavos(amount, money.ROUNDING.FLOOR),
                 currency: formattedCurrency,
                 description,
                 paymentMethodAllowed: paymentMethodAllowed || ['qrph'],
@@ -72,10 +104,10 @@ class PayMongoService {
             const paymentIntentResponse = await this.client.post('/payment_intents', {
                 data: {
                     attributes: {
-                        amount: Math.floor(amount * 100),
+                        amount: money.toCentavos(amount, money.ROUNDING.FLOOR),
                         currency: formattedCurrency,
                         description,
-                        statement_descriptor: 'Nexistry Academy',
+                        statement_descriptor: this.statementDescriptor,
                         payment_method_allowed: paymentMethodAllowed || ['qrph'],
                         metadata
                     }
@@ -96,21 +128,13 @@ class PayMongoService {
                         send_email_receipt: true,
                         show_description: true,
                         show_line_items: true,
-                        line_items: [
-                            {
-                                amount: Math.floor(amount * 100),
-                                currency: formattedCurrency,
-                                description,
-                                name: description,
-                                quantity: 1
-                            }
-                        ],
+                        line_items: this.buildLineItems(lineItems, { amount, currency: formattedCurrency, description }),
                         payment_method_types: checkoutMethodTypes,
                         description,
                         metadata,
-                        success_url: process.env.FRONTEND_SUCCESS_URL || 'https://nxacademy.nexistrydigitalsolutions.com/success?session_id={CHECKOUT_SESSION_ID}',
-                        failure_url: process.env.FRONTEND_FAILURE_URL || 'https://nxacademy.nexistrydigitalsolutions.com/failed',
-                        cancel_url: process.env.FRONTEND_CANCEL_URL || 'https://nxacademy.nexistrydigitalsolutions.com/cancelled'
+                        success_url: this.redirects.success,
+                        failure_url: this.redirects.failure,
+                        cancel_url: this.redirects.cancel
                     }
                 }
             });
@@ -165,33 +189,25 @@ class PayMongoService {
         }
     }
 
-    // Create a checkout session (kept for backward compatibility)
-    async createCheckoutSession(paymentIntentId, { amount, currency, description, metadata }) {
+    // Create a standalone checkout session (used for payment retries)
+    async createCheckoutSession(paymentIntentId, { amount, currency, description, metadata, paymentMethodTypes, lineItems }) {
         try {
             const formattedCurrency = this.formatCurrency(currency);
 
             const response = await this.client.post('/checkout_sessions', {
                 data: {
                     attributes: {
-                        payment_intent_id: paymentIntentId,
+                        ...(paymentIntentId && { payment_intent_id: paymentIntentId }),
                         send_email_receipt: true,
                         show_description: true,
                         show_line_items: true,
-                        line_items: [
-                            {
-                                amount: Math.floor(amount * 100),
-                                currency: formattedCurrency,
-                                description,
-                                name: description,
-                                quantity: 1
-                            }
-                        ],
-                        payment_method_types: ['qrph'],
+                        line_items: this.buildLineItems(lineItems, { amount, currency: formattedCurrency, description }),
+                        payment_method_types: paymentMethodTypes || ['qrph'],
                         description,
                         metadata,
-                        success_url: process.env.FRONTEND_SUCCESS_URL || 'https://nxacademy.nexistrydigitalsolutions.com/success?session_id={CHECKOUT_SESSION_ID}',
-                        failure_url: process.env.FRONTEND_FAILURE_URL || 'https://nxacademy.nexistrydigitalsolutions.com/failed',
-                        cancel_url: process.env.FRONTEND_CANCEL_URL || 'https://nxacademy.nexistrydigitalsolutions.com/cancelled'
+                        success_url: this.redirects.success,
+                        failure_url: this.redirects.failure,
+                        cancel_url: this.redirects.cancel
                     }
                 }
             });
@@ -249,19 +265,83 @@ class PayMongoService {
         }
     }
 
-    // List all payments
-    async listPayments(limit = 10) {
+    // Create a payment from a chargeable source (Sources API flow)
+    async createPayment({ sourceId, amount, currency, description, metadata }) {
         try {
-            const response = await this.client.get('/payments', {
-                params: { limit }
+            const response = await this.client.post('/payments', {
+                data: {
+                    attributes: {
+                        amount: money.toCentavos(amount, money.ROUNDING.FLOOR),
+                        currency: this.formatCurrency(currency || 'PHP'),
+                        description,
+                        statement_descriptor: this.statementDescriptor,
+                        source: {
+                            id: sourceId,
+                            type: 'source'
+                        },
+                        metadata
+                    }
+                }
             });
             return response.data.data;
+        } catch (error) {
+            console.error('PayMongo create payment error:', error.response?.data || error.message);
+            throw new Error('Failed to create payment');
+        }
+    }
+
+    // List payments, newest first. Pass a limit, or { limit, after, before }
+    // cursors (payment IDs) to page through the list.
+    async listPayments(options = 10) {
+        const page = await this.listPaymentsPage(typeof options === 'number' ? { limit: options } : options);
+        return page.payments;
+    }
+
+    // One page of payments plus PayMongo's has_more flag
+    async listPaymentsPage({ limit = 10, after, before } = {}) {
+        try {
+            const response = await this.client.get('/payments', {
+                params: { limit, after, before }
+            });
+            return {
+                payments: response.data.data || [],
+                hasMore: response.data.has_more === true
+            };
         } catch (error) {
             console.error('PayMongo list payments error:', error.response?.data || error.message);
             throw new Error('Failed to list payments');
         }
     }
 
+    // Every payment created between `from` and `to` (Dates). Pages back from
+    // the newest payment until one is older than `from`; stops after
+    // `maxPages` and reports `truncated` if there was more.
+    async listPaymentsBetween(from, to, { pageSize = 100, maxPages = 20 } = {}) {
+        const fromSeconds = Math.floor(from.getTime() / 1000);
+        const toSeconds = Math.floor(to.getTime() / 1000);
+        const payments = [];
+        let after;
+
+        for (let page = 0; page < maxPages; page++) {
+            const { payments: batch, hasMore } = await this.listPaymentsPage({ limit: pageSize, after });
+
+            batch.forEach(payment => {
+                const createdAt = Number(payment.attributes?.created_at);
+                if (createdAt >= fromSeconds && createdAt <= toSeconds) {
+                    payments.push(payment);
+                }
+            });
+
+            const oldest = batch[batch.length - 1];
+            if (!hasMore || !oldest || Number(oldest.attributes?.created_at) < fromSeconds) {
+                return { payments, truncated: false };
+            }
+            after = oldest.id;
+        }
+
+        return { payments, truncated: true };
+    }
+
     // Get payment by ID
     async getPayment(paymentId) {
         try {
@@ -274,14 +354,16 @@ class PayMongoService {
     }
 
     // Refund payment
-    async refundPayment(paymentId, amount, reason = 'requested_by_customer') {
+    async refundPayment(paymentId, amount, reason = 'requested_by_customer', { notes, metadata } = {}) {
         try {
             const response = await this.client.post('/refunds', {
                 data: {
                     attributes: {
                         payment_id: paymentId,
-                        amount: Math.floor(amount * 100),
-                        reason
+                        amount: money.toCentavos(amount, money.ROUNDING.FLOOR),
+                        reason,
+                        notes,
+                        metadata
                     }
                 }
             });
@@ -342,6 +424,45 @@ class PayMongoService {
             throw new Error('Failed to create webhook');
         }
     }
+
+    // Change a webhook's URL and/or events. The secret key stays the same.
+    async updateWebhook(webhookId, { url, events }) {
+        try {
+            const response = await this.client.put(`/webhooks/${webhookId}`, {
+                data: {
+                    attributes: {
+                        url,
+                        events
+                    }
+                }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('PayMongo update webhook error:', error.response?.data || error.message);
+            throw new Error('Failed to update webhook');
+        }
+    }
+
+    // Stop deliveries to a webhook without deleting it
+    async disableWebhook(webhookId) {
+        try {
+            const response = await this.client.post(`/webhooks/${webhookId}/disable`);
+            return response.data;
+        } catch (error) {
+            console.error('PayMongo disable webhook error:', error.response?.data || error.message);
+            throw new Error('Failed to disable webhook');
+        }
+    }
+
+    async enableWebhook(webhookId) {
+        try {
+            const response = await this.client.post(`/webhooks/${webhookId}/enable`);
+            return response.data;
+        } catch (error) {
+            console.error('PayMongo enable webhook error:', error.response?.data || error.message);
+            throw new Error('Failed to enable webhook');
+        }
+    }
 }
 
-module.exports = new PayMongoService();
\ No newline at end of file
+module.exports = PayMongoService;
\ No newline at end of file
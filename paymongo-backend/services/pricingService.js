@@ -0,0 +1,184 @@
+// services/pricingService.js
+const promoService = require('./promoService');
+const taxService = require('./taxService');
+const money = require('../utils/money');
+
+// PayMongo won't create a payment below PHP 20.00
+const MIN_CHARGE_CENTAVOS = money.toCentavos(process.env.PAYMONGO_MIN_AMOUNT || 20);
+
+// Server-side pricing for catalogue products. Each product is taxed by its
+// tax category (services/taxService.js). All arithmetic is done in integer
+// centavos (utils/money.js) and converted to pesos for the quote, so
+// subtotal - discountAmount === baseAmount + taxAmount === finalAmount
+// exactly, per line and in total. Base and tax (and the taxBreakdown) are
+// what is charged, after any promo discount.
+class PricingService {
+    // Base/tax/total for a product's list price, in pesos
+    priceProduct(product) {
+        const { baseCentavos, taxCentavos, totalCentavos, tax } = taxService.priceCentavos(product);
+        return {
+            taxCategory: tax.key,
+            taxLabel: tax.label,
+            taxRate: tax.rate,
+            taxInclusive: tax.inclusive,
+            baseAmount: money.fromCentavos(baseCentavos),
+            taxAmount: money.fromCentavos(taxCentavos),
+            totalAmount: money.fromCentavos(totalCentavos)
+        };
+    }
+
+    // Base and tax of what a line is charged. An undiscounted line keeps its
+    // list-price split; a discounted one is split again from its amount after
+    // discount, so the promo reduces base and tax alike. Lines whose base and
+    // tax don't add up to the subtotal (orders saved before quotes were split
+    // after discount) are split again too.
+    chargedSplit({ baseCentavos, taxCentavos, subtotalCentavos, discountCentavos, rate }) {
+        if (discountCentavos === 0 && baseCentavos + taxCentavos === subtotalCentavos) {
+            return { baseCentavos, taxCentavos };
+        }
+        const split = money.splitTax(subtotalCentavos - discountCentavos, rate);
+        return { baseCentavos: split.baseCentavos, taxCentavos: split.taxCentavos };
+    }
+
+    // Quote one or more catalogue products.
+    // items: [{ product, quantity }] where product is a catalogue entry.
+    // Returns the quote, or { error } when it can't be priced.
+    quoteCart(items, { promoCode, email } = {}) {
+        const currencies = new Set(items.map(({ product }) => product.currency));
+        if (currencies.size > 1) {
+            return { error: 'All items must use the same currency' };
+        }
+
+        const lines = items.map(({ product, quantity }) => {
+            const unit = taxService.priceCentavos(product);
+            return {
+                product,
+                quantity,
+                unit,
+                tax: unit.tax,
+                baseCentavos: unit.baseCentavos * quantity,
+                taxCentavos: unit.taxCentavos * quantity,
+                subtotalCentavos: unit.totalCentavos * quantity,
+                discountCentavos: 0
+            };
+        });
+
+        let promo = null;
+
+        if (promoCode) {
+            // Eligibility and usage limits are checked per line; the discount is
+            // computed once on the eligible subtotal (so fixed amounts aren't
+            // applied per line) and split across eligible lines by value.
+            const results = lines.map(line => promoService.validate({
+                code: promoCode,
+                product: line.product.name,
+                sku: line.product.sku,
+                email,
+                subtotal: money.fromCentavos(line.subtotalCentavos)
+            }));
+
+            const eligible = lines.filter((line, i) => results[i].valid);
+            if (eligible.length === 0) {
+                return { error: results[0].error };
+            }
+
+            promo = results.find(r => r.valid).promo;
+
+            const eligibleSubtotal = money.sum(eligible.map(line => line.subtotalCentavos));
+            const shares = money.allocate(
+                promoService.calculateDiscount(promo, eligibleSubtotal),
+                eligible.map(line => line.subtotalCentavos)
+            );
+            eligible.forEach((line, i) => {
+                line.discountCentavos = shares[i];
+            });
+        }
+
+        const total = key => money.sum(lines.map(line => line[key]));
+        const subtotalCentavos = total('subtotalCentavos');
+        const discountCentavos = total('discountCentavos');
+
+        // A promo may not bring the charge to zero or below what PayMongo accepts
+        if (discountCentavos > 0 && subtotalCentavos - discountCentavos < MIN_CHARGE_CENTAVOS) {
+            return { error: `Promo code can't bring the total below PHP ${money.format(MIN_CHARGE_CENTAVOS)}` };
+        }
+
+        lines.forEach(line => {
+            Object.assign(line, this.chargedSplit({ ...line, rate: line.tax.rate }));
+        });
+
+        const rates = new Set(lines.map(line => line.tax.rate));
+
+        return {
+            product: lines.map(line => line.product.name).join(' + '),
+            sku: lines.length === 1 ? lines[0].product.sku : null,
+            currency: lines[0].product.currency,
+            // A single rate when every line shares one; see taxBreakdown otherwise
+            taxRate: rates.size === 1 ? lines[0].tax.rate : null,
+            baseAmount: money.fromCentavos(total('baseCentavos')),
+            taxAmount: money.fromCentavos(total('taxCentavos')),
+            subtotal: money.fromCentavos(subtotalCentavos),
+            discountAmount: money.fromCentavos(discountCentavos),
+            finalAmount: money.fromCentavos(subtotalCentavos - discountCentavos),
+            taxBreakdown: taxService.summarize(lines),
+            promo,
+            lines: lines.map(line => ({
+                sku: line.product.sku,
+                name: line.product.name,
+                currency: line.product.currency,
+                quantity: line.quantity,
+                taxCategory: line.tax.key,
+                taxRate: line.tax.rate,
+                taxInclusive: line.tax.inclusive,
+                unitBaseAmount: money.fromCentavos(line.unit.baseCentavos),
+                unitTaxAmount: money.fromCentavos(line.unit.taxCentavos),
+                unitAmount: money.fromCentavos(line.unit.totalCentavos),
+                // After the line's discount
+                baseAmount: money.fromCentavos(line.baseCentavos),
+                taxAmount: money.fromCentavos(line.taxCentavos),
+                subtotal: money.fromCentavos(line.subtotalCentavos),
+                discountAmount: money.fromCentavos(line.discountCentavos)
+            }))
+        };
+    }
+
+    // Quote a single product, applying a promo code if one is given
+    quote(product, { promoCode, email } = {}) {
+        return this.quoteCart([{ product, quantity: 1 }], { promoCode, email });
+    }
+
+    // Lines as they should appear on a PayMongo checkout or GHL invoice. A
+    // discounted line is billed as one unit at its net total so the lines
+    // always add up to the amount charged. The description carries the line's
+    // tax breakdown and any promo.
+    toBillableLines(quote) {
+        return quote.lines.map(line => {
+            const tax = taxService.lineBreakdown(line);
+            const notes = [tax && taxService.describe([tax])];
+
+            if (line.discountAmount > 0) {
+                if (quote.promo) {
+                    notes.push(`Promo ${quote.promo.code}: -${money.format(money.toCentavos(line.discountAmount))}`);
+                }
+
+                return {
+                    sku: line.sku,
+                    name: line.quantity > 1 ? `${line.name} x${line.quantity}` : line.name,
+                    description: notes.filter(Boolean).join(' | ') || undefined,
+                    amount: money.fromCentavos(money.toCentavos(line.subtotal) - money.toCentavos(line.discountAmount)),
+                    quantity: 1
+                };
+            }
+
+            return {
+                sku: line.sku,
+                name: line.name,
+                description: notes.filter(Boolean).join(' | ') || undefined,
+                amount: line.unitAmount,
+                quantity: line.quantity
+            };
+        });
+    }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,206 @@
+// services/productCatalog.js
+const FileStore = require('../utils/fileStore');
+const money = require('../utils/money');
+const taxService = require('./taxService');
+const { validateActions } = require('./fulfillmentActions');
+
+const SKU_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// One tenant's product catalogue, keyed by SKU. Seeded from `seedProducts`
+// (the tenant's catalogue file) on first run; admin changes are persisted in
+// DATA_DIR/<storeName>.json (products.json for the default tenant). Products
+// stored before the seed gave them a tax category pick it up on load (see
+// migrateTaxCategories).
+class ProductCatalog {
+    constructor({ storeName = 'products', seedProducts = [] } = {}) {
+        this.store = new FileStore(storeName, { products: null });
+        this.seedProducts = seedProducts;
+        this.migrated = false;
+    }
+
+    // Give stored products without a taxCategory the seed's category, tax flag
+    // and price, but only when that charges the customer exactly what they
+    // pay now. Products whose total would change (edited prices, another
+    // TAX_RATE) are left alone and logged; set their category by hand.
+    migrateTaxCategories() {
+        const stored = this.store.load().products;
+        const charged = product => taxService.priceCentavos(product).totalCentavos;
+
+        const updates = this.seedProducts
+            .filter(seed => seed.taxCategory && stored[seed.sku] && !stored[seed.sku].taxCategory)
+            .filter(seed => {
+                if (charged(seed) === charged(stored[seed.sku])) return true;
+                console.error(`Product ${seed.sku} has no taxCategory and its price differs from the catalogue; `
+                    + `set one with PUT /api/admin/products/${seed.sku}`);
+                return false;
+            });
+
+        if (updates.length === 0) return;
+
+        this.store.update(data => {
+            const now = new Date().toISOString();
+            updates.forEach(({ sku, taxCategory, taxInclusive, price }) => {
+                Object.assign(data.products[sku], { taxCategory, taxInclusive, price, updatedAt: now });
+            });
+        });
+        console.log(`Tax categories added to ${updates.map(seed => seed.sku).join(', ')} (totals unchanged)`);
+    }
+
+    load() {
+        const data = this.store.load();
+        if (!data.products) {
+            this.store.update(d => {
+                d.products = this.seedProducts.reduce((acc, product) => {
+                    const now = new Date().toISOString();
+                    acc[product.sku] = { ...product, createdAt: now, updatedAt: now };
+                    return acc;
+                }, {});
+            });
+        } else if (!this.migrated) {
+            this.migrateTaxCategories();
+        }
+        this.migrated = true;
+        return this.store.load().products;
+    }
+
+    list({ includeInactive = false } = {}) {
+        return Object.values(this.load()).filter(p => includeInactive || p.active !== false);
+    }
+
+    getBySku(sku) {
+        if (!sku) return null;
+        return this.load()[sku] || null;
+    }
+
+    // Landing pages still send the display name ("Freelancer Plan"); accept either
+    resolve(skuOrName) {
+        if (!skuOrName) return null;
+        const products = this.load();
+        return products[skuOrName]
+            || Object.values(products).find(p => p.name === skuOrName)
+            || null;
+    }
+
+    // Resolve a product that can be sold right now
+    resolveActive(skuOrName) {
+        const product = this.resolve(skuOrName);
+        return product && product.active !== false ? product : null;
+    }
+
+    validate(fields, { partial = false } = {}) {
+        const errors = [];
+
+        if (!partial || fields.sku !== undefined) {
+            if (!fields.sku || !SKU_PATTERN.test(fields.sku)) {
+                errors.push('sku must be lowercase letters, digits and dashes');
+            }
+        }
+
+        if (!partial || fields.name !== undefined) {
+            if (!fields.name || String(fields.name).trim().length < 2) {
+                errors.push('name must be at least 2 characters');
+            }
+        }
+
+        if (!partial || fields.price !== undefined) {
+            if (!Number.isFinite(Number(fields.price)) || Number(fields.price) <= 0) {
+                errors.push('price must be a positive number');
+            }
+        }
+
+        if (fields.currency !== undefined && !/^[A-Z]{3}$/.test(String(fields.currency))) {
+            errors.push('currency must be a 3-letter ISO code');
+        }
+
+        if (fields.taxCategory !== undefined && fields.taxCategory !== null && !taxService.isCategory(fields.taxCategory)) {
+            errors.push(`taxCategory must be one of ${taxService.listCategories().map(c => c.key).join(', ')}`);
+        }
+
+        if (fields.billing !== undefined && fields.billing !== null) {
+            const { monthly, installments } = fields.billing;
+            if (typeof fields.billing !== 'object' || Array.isArray(fields.billing)) {
+                errors.push('billing must be an object');
+            } else {
+                if (monthly !== undefined && typeof monthly !== 'boolean') {
+                    errors.push('billing.monthly must be a boolean');
+                }
+                if (installments !== undefined && (!Array.isArray(installments)
+                    || !installments.every(n => Number.isInteger(n) && n >= 2 && n <= 24))) {
+                    errors.push('billing.installments must be a list of whole numbers from 2 to 24');
+                }
+            }
+        }
+
+        if (fields.accessInstructions !== undefined && fields.accessInstructions !== null
+            && (typeof fields.accessInstructions !== 'string' || fields.accessInstructions.length > 2000)) {
+            errors.push('accessInstructions must be text of at most 2000 characters');
+        }
+
+        if (fields.fulfillment !== undefined && fields.fulfillment !== null) {
+            errors.push(...validateActions(fields.fulfillment));
+        }
+
+        ['taxInclusive', 'active'].forEach(flag => {
+            if (fields[flag] !== undefined && typeof fields[flag] !== 'boolean') {
+                errors.push(`${flag} must be a boolean`);
+            }
+        });
+
+        return errors;
+    }
+
+    pick(fields) {
+        const allowed = ['sku', 'name', 'description', 'price', 'currency', 'taxCategory', 'taxInclusive', 'billing', 'fulfillment', 'accessInstructions', 'active'];
+        return allowed.reduce((acc, key) => {
+            if (fields[key] !== undefined) {
+                acc[key] = key === 'price' ? money.fromCentavos(money.toCentavos(fields[key])) : fields[key];
+            }
+            return acc;
+        }, {});
+    }
+
+    create(fields) {
+        const product = {
+            description: '',
+            currency: 'PHP',
+            taxInclusive: false,
+            active: true,
+            ...this.pick(fields)
+        };
+
+        this.load();
+        return this.store.update(data => {
+            if (data.products[product.sku]) {
+                throw new Error(`Product ${product.sku} already exists`);
+            }
+            const now = new Date().toISOString();
+            data.products[product.sku] = { ...product, createdAt: now, updatedAt: now };
+            return data.products[product.sku];
+        });
+    }
+
+    update(sku, fields) {
+        const changes = this.pick(fields);
+        delete changes.sku;
+
+        this.load();
+        return this.store.update(data => {
+            const product = data.products[sku];
+            if (!product) return null;
+            Object.assign(product, changes, { updatedAt: new Date().toISOString() });
+            return product;
+        });
+    }
+
+    remove(sku) {
+        this.load();
+        return this.store.update(data => {
+            const product = data.products[sku];
+            if (!product) return null;
+            delete data.products[sku];
+            return product;
+        });
+    }
+}
+
+module.exports = ProductCatalog;
@@ -0,0 +1,363 @@
+// services/promoService.js
+const FileStore = require('../utils/fileStore');
+const money = require('../utils/money');
+
+// Default promo codes. Override with a JSON array in PROMO_CODES, e.g.
+// [{"code":"LAUNCH100","type":"fixed","value":100,"products":["freelancer-plan"]}]
+//
+// type:            'percent' (value is 0-100) or 'fixed' (value in PHP)
+// products:        product SKUs (or names) the code applies to (omit or [] for all)
+// startsAt/endsAt: ISO dates bounding the validity window (optional)
+// maxUses:         total successful redemptions allowed (optional)
+// maxUsesPerEmail: successful redemptions allowed per customer email (optional)
+//
+// A checkout started with a code reserves one use (reserve()) until it is
+// paid (recordRedemption()), cancelled or expires (release()), so parallel
+// checkouts can't go past maxUses/maxUsesPerEmail. Reservations lapse on
+// their own after PROMO_RESERVATION_HOURS (default 24).
+const DEFAULT_PROMO_CODES = [
+    {
+        code: 'NXACADEARLY5',
+        type: 'percent',
+        value: 5,
+        products: [
+            'ghl-practice-access',
+            'freelancer-plan',
+            'dedicated-coaching',
+            'customization-plan',
+            'client-finder-tool'
+        ],
+        maxUsesPerEmail: 1,
+        active: true
+    }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PROMO_TYPES = ['percent', 'fixed'];
+
+class PromoService {
+    constructor() {
+        this.codes = this.loadCodes();
+        this.store = new FileStore('promo-redemptions', { redemptions: [] });
+        this.reservationMs = Number(process.env.PROMO_RESERVATION_HOURS || 24) * HOUR_MS;
+    }
+
+    loadCodes() {
+        if (!process.env.PROMO_CODES) {
+            return DEFAULT_PROMO_CODES;
+        }
+
+        try {
+            const parsed = JSON.parse(process.env.PROMO_CODES);
+            if (!Array.isArray(parsed)) {
+                throw new Error('PROMO_CODES must be a JSON array');
+            }
+            // A code with a bad definition is left out rather than loaded
+            // without the limits it was meant to have
+            return parsed.filter(promo => {
+                const errors = this.validateDefinition(promo);
+                if (errors.length > 0) {
+                    console.error(`Invalid promo code ${promo?.code || '(no code)'} ignored: ${errors.join('; ')}`);
+                    return false;
+                }
+                return true;
+            });
+        } catch (error) {
+            console.error('Invalid PROMO_CODES, falling back to defaults:', error.message);
+            return DEFAULT_PROMO_CODES;
+        }
+    }
+
+    // Errors for one PROMO_CODES entry (empty when it is usable)
+    validateDefinition(promo) {
+        const errors = [];
+        if (!promo || typeof promo !== 'object') {
+            return ['must be an object'];
+        }
+
+        if (!this.normalizeCode(promo.code)) {
+            errors.push('code is required');
+        }
+        if (!PROMO_TYPES.includes(promo.type)) {
+            errors.push(`type must be one of ${PROMO_TYPES.join(', ')}`);
+        }
+        const value = Number(promo.value);
+        if (!Number.isFinite(value) || value <= 0 || (promo.type === 'percent' && value > 100)) {
+            errors.push(promo.type === 'percent' ? 'value must be above 0 and at most 100' : 'value must be above 0');
+        }
+
+        for (const field of ['startsAt', 'endsAt']) {
+            if (promo[field] !== undefined && promo[field] !== null && Number.isNaN(new Date(promo[field]).getTime())) {
+                errors.push(`${field} is not a valid date`);
+            }
+        }
+        if (promo.startsAt && promo.endsAt && new Date(promo.startsAt) >= new Date(promo.endsAt)) {
+            errors.push('startsAt must be before endsAt');
+        }
+
+        for (const field of ['maxUses', 'maxUsesPerEmail']) {
+            if (promo[field] !== undefined && promo[field] !== null
+                && (!Number.isInteger(promo[field]) || promo[field] < 1)) {
+                errors.push(`${field} must be a positive integer`);
+            }
+        }
+
+        if (promo.products !== undefined && !Array.isArray(promo.products)) {
+            errors.push('products must be an array');
+        }
+
+        return errors;
+    }
+
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    findCode(code) {
+        const normalized = this.normalizeCode(code);
+        return this.codes.find(promo => this.normalizeCode(promo.code) === normalized);
+    }
+
+    normalizeEmail(email) {
+        return email ? String(email).trim().toLowerCase() : null;
+    }
+
+    // Whether a redemption entry uses up the code: paid (entries recorded
+    // before reservations existed have no status), or reserved by a checkout
+    // that is still open
+    isHeld(entry, now) {
+        if (!entry.status || entry.status === 'redeemed') return true;
+        return entry.status === 'reserved' && new Date(entry.expiresAt) > now;
+    }
+
+    // Uses of a code counting towards its limits, overall and for one email.
+    // With `excluding`, that customer's open reservations are left out: a new
+    // checkout of theirs replaces them (see reserve()).
+    usage(redemptions, code, email, { excluding = null, now = new Date() } = {}) {
+        const normalized = this.normalizeCode(code);
+        const normalizedEmail = this.normalizeEmail(email);
+        const held = redemptions.filter(r =>
+            r.code === normalized
+            && this.isHeld(r, now)
+            && !(excluding && r.status === 'reserved' && r.email === excluding)
+        );
+
+        return {
+            total: held.length,
+            byEmail: normalizedEmail ? held.filter(r => r.email === normalizedEmail).length : 0
+        };
+    }
+
+    countRedemptions(code, email) {
+        const { total, byEmail } = this.usage(this.store.load().redemptions, code, email);
+        return email ? byEmail : total;
+    }
+
+    // The limit error for `email` taking one more use of `promo`, or null
+    limitError(promo, { total, byEmail }, email) {
+        if (promo.maxUses && total >= promo.maxUses) {
+            return 'Promo code usage limit reached';
+        }
+        if (promo.maxUsesPerEmail && email && byEmail >= promo.maxUsesPerEmail) {
+            return 'Promo code already used by this customer';
+        }
+        return null;
+    }
+
+    // The error for using `promo` at `now`, outside its startsAt/endsAt window, or null
+    windowError(promo, now) {
+        if (promo.startsAt && now < new Date(promo.startsAt)) {
+            return 'Promo code is not yet active';
+        }
+        if (promo.endsAt && now > new Date(promo.endsAt)) {
+            return 'Promo code has expired';
+        }
+        return null;
+    }
+
+    // Discount in centavos for a subtotal in centavos, never more than the subtotal
+    calculateDiscount(promo, subtotalCentavos) {
+        const value = Number(promo.value);
+        if (!Number.isFinite(value) || value <= 0) return 0;
+
+        const discountCentavos = promo.type === 'fixed'
+            ? money.toCentavos(promo.value)
+            : money.applyPercent(subtotalCentavos, promo.value, money.ROUNDING.HALF_UP);
+
+        return Math.min(discountCentavos, subtotalCentavos);
+    }
+
+    // Check a code against a product and customer. subtotal is in pesos. Returns
+    // { valid: true, promo, discountAmount } or { valid: false, error }.
+    validate({ code, product, sku, email, subtotal, now = new Date() }) {
+        if (!code) {
+            return { valid: false, error: 'Promo code required' };
+        }
+
+        const promo = this.findCode(code);
+        if (!promo || promo.active === false) {
+            return { valid: false, error: 'Invalid promo code' };
+        }
+
+        const windowError = this.windowError(promo, now);
+        if (windowError) {
+            return { valid: false, error: windowError };
+        }
+
+        if (Array.isArray(promo.products) && promo.products.length > 0
+            && !promo.products.includes(sku) && !promo.products.includes(product)) {
+            return { valid: false, error: 'Promo code is not valid for this product' };
+        }
+
+        const normalizedEmail = this.normalizeEmail(email);
+        const limitError = this.limitError(
+            promo,
+            this.usage(this.store.load().redemptions, promo.code, normalizedEmail, { excluding: normalizedEmail, now }),
+            normalizedEmail
+        );
+        if (limitError) {
+            return { valid: false, error: limitError };
+        }
+
+        const discountAmount = money.fromCentavos(this.calculateDiscount(promo, money.toCentavos(subtotal)));
+
+        return {
+            valid: true,
+            promo: {
+                code: this.normalizeCode(promo.code),
+                type: promo.type,
+                value: promo.value
+            },
+            discountAmount
+        };
+    }
+
+    // Reserve one use of a code for a checkout, checking the limits and
+    // writing the reservation in the same store update so parallel checkouts
+    // can't both take the last use. Reserving again for the same reference
+    // extends its reservation. By default the customer's other open
+    // reservations of the code are released and returned in `superseded` (the
+    // caller cancels those checkouts); with { supersede: false } they count
+    // towards maxUsesPerEmail instead. A code outside its startsAt/endsAt
+    // window can't be reserved, even again for the same checkout (reminder
+    // and retry links). Returns { reserved: true, superseded } or
+    // { reserved: false, error }.
+    reserve({ code, email, paymentReference, supersede = true, now = new Date() }) {
+        const promo = this.findCode(code);
+        if (!promo || promo.active === false) {
+            return { reserved: false, error: 'Invalid promo code' };
+        }
+
+        const windowError = this.windowError(promo, now);
+        if (windowError) {
+            return { reserved: false, error: windowError };
+        }
+
+        const normalized = this.normalizeCode(promo.code);
+        const normalizedEmail = this.normalizeEmail(email);
+        const expiresAt = new Date(now.getTime() + this.reservationMs).toISOString();
+
+        return this.store.update(data => {
+            const existing = data.redemptions.find(r => r.paymentReference === paymentReference && r.code === normalized);
+            if (existing && (!existing.status || existing.status === 'redeemed')) {
+                return { reserved: true, superseded: [] };
+            }
+            if (existing && this.isHeld(existing, now)) {
+                existing.expiresAt = expiresAt;
+                return { reserved: true, superseded: [] };
+            }
+
+            const others = data.redemptions.filter(r => r !== existing);
+            const error = this.limitError(
+                promo,
+                this.usage(others, normalized, normalizedEmail, { excluding: supersede ? normalizedEmail : null, now }),
+                normalizedEmail
+            );
+            if (error) {
+                return { reserved: false, error };
+            }
+
+            const superseded = [];
+            if (supersede && normalizedEmail) {
+                for (const entry of others) {
+                    if (entry.code === normalized && entry.email === normalizedEmail
+                        && entry.status === 'reserved' && this.isHeld(entry, now)) {
+                        entry.status = 'released';
+                        entry.releasedAt = now.toISOString();
+                        entry.releaseReason = `superseded by ${paymentReference}`;
+                        superseded.push(entry.paymentReference);
+                    }
+                }
+            }
+
+            if (existing) {
+                Object.assign(existing, { status: 'reserved', reservedAt: now.toISOString(), expiresAt });
+                delete existing.releasedAt;
+                delete existing.releaseReason;
+            } else {
+                data.redemptions.push({
+                    code: normalized,
+                    email: normalizedEmail,
+                    paymentReference,
+                    status: 'reserved',
+                    reservedAt: now.toISOString(),
+                    expiresAt
+                });
+            }
+            return { reserved: true, superseded };
+        });
+    }
+
+    // Give back the use reserved for a checkout that won't be paid (failed
+    // to start, cancelled or expired). Paid redemptions are kept.
+    release(paymentReference, reason) {
+        if (!paymentReference) return false;
+
+        return this.store.update(data => {
+            const entry = data.redemptions.find(r => r.paymentReference === paymentReference && r.status === 'reserved');
+            if (!entry) return false;
+
+            entry.status = 'released';
+            entry.releasedAt = new Date().toISOString();
+            entry.releaseReason = reason || null;
+            return true;
+        });
+    }
+
+    // Record a successful redemption, turning the checkout's reservation into
+    // a used code. Keyed by payment reference so webhook retries for the same
+    // payment are only counted once. A payment landing after its reservation
+    // lapsed or was released is still recorded.
+    recordRedemption({ code, email, paymentReference }) {
+        const normalized = this.normalizeCode(code);
+        if (!normalized) return false;
+
+        return this.store.update(data => {
+            const existing = paymentReference
+                ? data.redemptions.find(r => r.paymentReference === paymentReference)
+                : null;
+            if (existing && (!existing.status || existing.status === 'redeemed')) {
+                return false;
+            }
+
+            const redeemedAt = new Date().toISOString();
+            if (existing) {
+                existing.status = 'redeemed';
+                existing.redeemedAt = redeemedAt;
+                return true;
+            }
+
+            data.redemptions.push({
+                code: normalized,
+                email: this.normalizeEmail(email),
+                paymentReference: paymentReference || null,
+                status: 'redeemed',
+                redeemedAt
+            });
+            return true;
+        });
+    }
+}
+
+module.exports = new PromoService();
@@ -0,0 +1,248 @@
+// services/receiptService.js
+const crypto = require('crypto');
+const receiptRepository = require('../repositories/receiptRepository');
+const orderRepository = require('../repositories/orderRepository');
+const taxService = require('./taxService');
+const pricingService = require('./pricingService');
+const tenantService = require('./tenantService');
+const PdfDocument = require('../utils/pdfDocument');
+const money = require('../utils/money');
+
+// Official receipts (BIR-style) for paid orders. A receipt is issued once per
+// order when its payment succeeds, numbered from a gap-free sequence, and
+// snapshots the business details, lines and VAT breakdown at that moment so
+// the PDF never changes afterwards. Business details and the number prefix
+// are the order's tenant's (`receipt` in the tenant config; for the default
+// tenant RECEIPT_BUSINESS_NAME (or GHL_BUSINESS_NAME), RECEIPT_BUSINESS_ADDRESS,
+// RECEIPT_BUSINESS_TIN, RECEIPT_VAT_REGISTERED, RECEIPT_PERMIT and
+// RECEIPT_PREFIX), and each tenant is numbered from its own sequence.
+class ReceiptService {
+    constructor() {
+        this.digits = Number(process.env.RECEIPT_NUMBER_DIGITS || 8);
+    }
+
+    businessDetails(tenant) {
+        const { businessName, address, tin, vatRegistered, permit } = tenant.receipt;
+        return { name: businessName, address, tin, vatRegistered, permit };
+    }
+
+    formatNumber(tenant, sequence) {
+        return `${tenant.receipt.prefix}-${String(sequence).padStart(this.digits, '0')}`;
+    }
+
+    // One line for orders saved before they carried priced items
+    legacyLine(order) {
+        const amounts = order.amounts || {};
+        const gross = money.fromCentavos(money.toCentavos(amounts.totalAmount || 0) + money.toCentavos(amounts.discountAmount || 0));
+        return {
+            name: order.product,
+            quantity: 1,
+            unitAmount: gross,
+            subtotal: gross,
+            baseAmount: amounts.baseAmount,
+            taxAmount: amounts.taxAmount,
+            discountAmount: amounts.discountAmount || 0,
+            taxRate: amounts.taxRate
+        };
+    }
+
+    // Receipt lines and the VAT summary in centavos, from each line's base and
+    // tax after discount (pricingService.chargedSplit, which also re-splits
+    // orders saved while quotes carried the list-price split)
+    summarize(order) {
+        const lines = (order.items?.length ? order.items : [this.legacyLine(order)]).map(line => {
+            const gross = money.toCentavos(line.subtotal || 0);
+            const discount = money.toCentavos(line.discountAmount || 0);
+            const treatment = taxService.lineBreakdown(line)?.treatment || 'taxable';
+            const rate = Number(line.taxRate || 0);
+            const { baseCentavos, taxCentavos } = pricingService.chargedSplit({
+                baseCentavos: money.toCentavos(line.baseAmount || 0),
+                taxCentavos: money.toCentavos(line.taxAmount || 0),
+                subtotalCentavos: gross,
+                discountCentavos: discount,
+                rate: treatment === 'taxable' ? rate : 0
+            });
+
+            return {
+                name: line.name,
+                quantity: line.quantity || 1,
+                unitCentavos: money.toCentavos(line.unitAmount ?? line.subtotal ?? 0),
+                grossCentavos: gross,
+                discountCentavos: discount,
+                treatment,
+                rate,
+                baseCentavos,
+                taxCentavos
+            };
+        });
+
+        const total = (field, treatment) => money.sum(lines
+            .filter(line => !treatment || line.treatment === treatment)
+            .map(line => line[field]));
+
+        const rates = [...new Set(lines.filter(l => l.treatment === 'taxable' && l.rate > 0).map(l => l.rate))];
+
+        return {
+            lines: lines.map(line => ({
+                name: line.name,
+                quantity: line.quantity,
+                unitAmount: money.fromCentavos(line.unitCentavos),
+                amount: money.fromCentavos(line.grossCentavos)
+            })),
+            grossAmount: money.fromCentavos(total('grossCentavos')),
+            discountAmount: money.fromCentavos(total('discountCentavos')),
+            vatableSales: money.fromCentavos(total('baseCentavos', 'taxable')),
+            vatAmount: money.fromCentavos(total('taxCentavos', 'taxable')),
+            vatExemptSales: money.fromCentavos(total('baseCentavos', 'exempt')),
+            zeroRatedSales: money.fromCentavos(total('baseCentavos', 'zero_rated')),
+            vatRates: rates,
+            totalAmount: money.fromCentavos(total('grossCentavos') - total('discountCentavos'))
+        };
+    }
+
+    // Issue (or return) the receipt for a paid order
+    issue(order, { paymentId, paymentMethod, paidAt } = {}) {
+        const existing = receiptRepository.findByReference(order.reference);
+        if (existing) return existing;
+
+        const tenant = tenantService.forRecord(order);
+        const summary = this.summarize(order);
+        const receipt = receiptRepository.issue(order.reference, sequence => ({
+            number: this.formatNumber(tenant, sequence),
+            issuedAt: new Date().toISOString(),
+            paidAt: paidAt || order.paidAt || new Date().toISOString(),
+            paymentId: paymentId || null,
+            paymentMethod: paymentMethod || order.paymentMethod || null,
+            currency: String(order.currency || 'PHP').toUpperCase(),
+            business: this.businessDetails(tenant),
+            customer: {
+                fullName: order.customer?.fullName || null,
+                email: order.customer?.email || null
+            },
+            promoCode: order.promoCode || null,
+            ...summary
+        }), { tenant: tenant.id });
+
+        orderRepository.update(order.reference, { receipt: { number: receipt.number, issuedAt: receipt.issuedAt } });
+        orderRepository.addStatus(order.reference, null, {
+            event: 'receipt.issued',
+            note: `Official receipt ${receipt.number}`
+        });
+
+        return receipt;
+    }
+
+    // Receipt links carry an HMAC of the reference so receipts can't be
+    // fetched by guessing references
+    linkToken(reference) {
+        const secret = process.env.RECEIPT_LINK_SECRET || receiptRepository.getSecret();
+        return crypto.createHmac('sha256', secret).update(String(reference)).digest('base64url').slice(0, 32);
+    }
+
+    verifyToken(reference, token) {
+        const expected = Buffer.from(this.linkToken(reference));
+        const given = Buffer.from(String(token || ''));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    // Absolute when PUBLIC_BASE_URL is set, otherwise a path on this server
+    link(reference) {
+        const baseUrl = String(process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+        return `${baseUrl}/api/payments/receipts/${encodeURIComponent(reference)}?token=${this.linkToken(reference)}`;
+    }
+
+    renderPdf(receipt) {
+        const doc = new PdfDocument();
+        const left = 50;
+        const right = doc.width - 50;
+        const amountX = right;
+        const unitX = right - 110;
+        const qtyX = right - 190;
+        const peso = value => money.format(money.toCentavos(value));
+        const { business, customer, currency } = receipt;
+        let y = doc.height - 60;
+
+        const next = (step = 14) => {
+            y -= step;
+            if (y < 60) {
+                doc.addPage();
+                y = doc.height - 60;
+            }
+        };
+
+        doc.text(business.name, doc.width / 2, y, { size: 14, bold: true, align: 'center' });
+        if (business.address) {
+            next();
+            doc.text(business.address, doc.width / 2, y, { size: 9, align: 'center' });
+        }
+        if (business.tin) {
+            next(12);
+            doc.text(`${business.vatRegistered ? 'VAT Reg.' : 'Non-VAT Reg.'} TIN: ${business.tin}`, doc.width / 2, y, { size: 9, align: 'center' });
+        }
+
+        next(28);
+        doc.text('OFFICIAL RECEIPT', doc.width / 2, y, { size: 13, bold: true, align: 'center' });
+
+        next(26);
+        doc.text(`No. ${receipt.number}`, left, y, { bold: true });
+        doc.text(`Date: ${receipt.paidAt.slice(0, 10)}`, right, y, { align: 'right' });
+        next();
+        doc.text(`Sold to: ${customer.fullName || ''}`, left, y);
+        doc.text(`Ref: ${receipt.reference}`, right, y, { align: 'right' });
+        if (customer.email) {
+            next();
+            doc.text(customer.email, left, y, { size: 9 });
+        }
+
+        next(24);
+        doc.text('Description', left, y, { bold: true });
+        doc.text('Qty', qtyX, y, { bold: true, align: 'right' });
+        doc.text('Unit Price', unitX, y, { bold: true, align: 'right' });
+        doc.text(`Amount (${currency})`, amountX, y, { bold: true, align: 'right' });
+        next(6);
+        doc.line(left, y, right, y);
+
+        receipt.lines.forEach(line => {
+            next();
+            doc.text(line.name, left, y);
+            doc.text(String(line.quantity), qtyX, y, { align: 'right' });
+            doc.text(peso(line.unitAmount), unitX, y, { align: 'right' });
+            doc.text(peso(line.amount), amountX, y, { align: 'right' });
+        });
+
+        next(8);
+        doc.line(left, y, right, y);
+
+        const row = (label, value, { bold = false } = {}) => {
+            next();
+            doc.text(label, unitX - 120, y, { bold });
+            doc.text(value, amountX, y, { bold, align: 'right' });
+        };
+
+        row('Total Sales', peso(receipt.grossAmount));
+        if (receipt.discountAmount > 0) {
+            row(`Less: Discount${receipt.promoCode ? ` (${receipt.promoCode})` : ''}`, `-${peso(receipt.discountAmount)}`);
+        }
+        row('TOTAL AMOUNT PAID', `${currency} ${peso(receipt.totalAmount)}`, { bold: true });
+
+        next(10);
+        const rates = receipt.vatRates.map(rate => `${Number((rate * 100).toFixed(4))}%`).join(', ');
+        row('VATable Sales', peso(receipt.vatableSales));
+        row(`VAT Amount${rates ? ` (${rates})` : ''}`, peso(receipt.vatAmount));
+        row('VAT-Exempt Sales', peso(receipt.vatExemptSales));
+        row('Zero-Rated Sales', peso(receipt.zeroRatedSales));
+
+        next(24);
+        doc.text(`Paid via ${receipt.paymentMethod || 'PayMongo'}${receipt.paymentId ? ` (${receipt.paymentId})` : ''}`, left, y, { size: 9 });
+        if (business.permit) {
+            next(12);
+            doc.text(business.permit, left, y, { size: 8 });
+        }
+        next(12);
+        doc.text(`Issued ${receipt.issuedAt.replace('T', ' ').slice(0, 19)} UTC`, left, y, { size: 8 });
+
+        return doc.toBuffer();
+    }
+}
+
+module.exports = new ReceiptService();
@@ -0,0 +1,298 @@
+// services/reconciliationService.js
+const jobQueue = require('./jobQueue');
+const webhookEventRegistry = require('./webhookEventRegistry');
+const orderRepository = require('../repositories/orderRepository');
+const webhookEventRepository = require('../repositories/webhookEventRepository');
+const { parseDateRange, tenantIdOf } = require('../utils/helpers');
+const money = require('../utils/money');
+
+// GHL invoice statuses that mean the payment was recorded
+const GHL_PAID_STATUSES = ['paid', 'partially_paid'];
+
+// Order statuses whose PayMongo payment was given back in full or in part
+const REFUNDED_STATUSES = ['refunded', 'partially_refunded'];
+
+// Compares PayMongo (the source of truth for money received) with the order
+// ledger and GHL for a date range, and reports three groups:
+//   paidNotInvoiced  - paid in PayMongo, but GHL has no invoice or no payment on it
+//   invoicedNotPaid  - an order has a GHL invoice, but no paid PayMongo payment
+//   amountMismatches - the PayMongo amount differs from the order or the GHL invoice
+// Payments for refunded orders or voided invoices are expected to disagree
+// with GHL; they are listed under refundedOrVoided instead and never repaired.
+// With `repair`, paid-but-not-invoiced payments are synced to GHL again.
+// A run covers one tenant: its PayMongo account, orders and GHL location.
+class ReconciliationService {
+    constructor() {
+        this.pageSize = Number(process.env.RECONCILE_PAGE_SIZE || 100);
+        this.maxPages = Number(process.env.RECONCILE_MAX_PAGES || 20);
+    }
+
+    // `from` is required; `to` defaults to now
+    parseRange(from, to) {
+        if (!from) {
+            return { error: 'from is required, e.g. 2024-05-01' };
+        }
+
+        const range = parseDateRange(from, to);
+        if (range.error) return range;
+
+        return { from: range.from, to: range.to || new Date() };
+    }
+
+    findOrder(tenant, payment) {
+        const attributes = payment.attributes || {};
+        return [
+            orderRepository.findByPaymentId(payment.id),
+            orderRepository.findByReference(attributes.metadata?.paymentReference),
+            orderRepository.findByPaymentIntentId(attributes.payment_intent_id)
+        ].find(order => order && tenantIdOf(order) === tenant.id) || null;
+    }
+
+    // The GHL IDs for a payment: the order's, else what the sync steps recorded
+    ghlRecord(order, paymentId) {
+        const steps = webhookEventRepository.getSteps(paymentId);
+        return {
+            contactId: order?.ghl?.contactId || steps.ghl_contact?.result || null,
+            invoiceId: order?.ghl?.invoiceId || steps.ghl_invoice?.result || null,
+            transactionId: order?.ghl?.transactionId || steps.ghl_payment?.result || null,
+            paymentStepDone: Boolean(steps.ghl_payment)
+        };
+    }
+
+    async loadInvoice(tenant, invoiceId) {
+        if (!invoiceId || !tenant.ghl.isConfigured()) return { invoice: null };
+
+        try {
+            return { invoice: await tenant.ghl.getInvoice(invoiceId) };
+        } catch (error) {
+            return { invoice: null, error: error.response?.data?.message || error.message };
+        }
+    }
+
+    async run({ tenant, from, to, repair = false }) {
+        const { payments, truncated } = await tenant.paymongo.listPaymentsBetween(from, to, {
+            pageSize: this.pageSize,
+            maxPages: this.maxPages
+        });
+
+        const report = {
+            tenant: tenant.id,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            checkedPayments: payments.length,
+            truncated,
+            ghlChecked: tenant.ghl.isConfigured(),
+            paidNotInvoiced: [],
+            invoicedNotPaid: [],
+            amountMismatches: [],
+            refundedOrVoided: [],
+            repairs: []
+        };
+
+        const paidReferences = new Set();
+
+        for (const payment of payments) {
+            const attributes = payment.attributes || {};
+            if (attributes.status !== 'paid') continue;
+
+            const order = this.findOrder(tenant, payment);
+            if (order) paidReferences.add(order.reference);
+
+            const ghl = this.ghlRecord(order, payment.id);
+            const { invoice, error: ghlError } = await this.loadInvoice(tenant, ghl.invoiceId);
+            const paidCentavos = Number(attributes.amount);
+
+            const entry = {
+                paymentId: payment.id,
+                reference: order?.reference || attributes.metadata?.paymentReference || null,
+                email: attributes.metadata?.email || order?.customer?.email || null,
+                paidAt: attributes.paid_at ? new Date(attributes.paid_at * 1000).toISOString() : null,
+                amount: money.fromCentavos(paidCentavos),
+                currency: attributes.currency || 'PHP',
+                orderStatus: order?.status || null,
+                ghlInvoiceId: ghl.invoiceId,
+                ghlInvoiceStatus: invoice?.status || null,
+                ghlError: ghlError || undefined
+            };
+
+            const settled = this.refundedOrVoided(order, invoice);
+            if (settled) {
+                report.refundedOrVoided.push({ ...entry, reason: settled });
+                continue;
+            }
+
+            const reason = this.missingGhlRecord(ghl, invoice);
+            if (reason) {
+                report.paidNotInvoiced.push({ ...entry, reason });
+
+                if (repair) {
+                    report.repairs.push(await this.repairPayment(tenant, payment, order, ghl, reason));
+                }
+            }
+
+            const mismatch = this.amountMismatch(paidCentavos, order, invoice);
+            if (mismatch) {
+                report.amountMismatches.push({ ...entry, ...mismatch });
+            }
+        }
+
+        report.invoicedNotPaid = this.findUnpaidInvoices(tenant, from, to, paidReferences);
+
+        console.log(`Reconciliation [${tenant.id}] ${report.from} - ${report.to}: ${payments.length} payments, `
+            + `${report.paidNotInvoiced.length} not invoiced, ${report.invoicedNotPaid.length} invoiced but unpaid, `
+            + `${report.amountMismatches.length} amount mismatches, ${report.refundedOrVoided.length} refunded or voided${repair ? `, ${report.repairs.length} repairs` : ''}`);
+
+        return report;
+    }
+
+    // Whether GHL's invoice was voided, from GHL when it could be loaded, else
+    // from the order's revocation
+    invoiceVoided(order, invoice) {
+        if (invoice) return invoice.status === 'void';
+        return Boolean(order?.revocation?.steps?.some(step => step.step === 'void_invoice' && step.status === 'completed'));
+    }
+
+    // 'invoice_void', 'refunded' or 'partially_refunded' for a payment that
+    // shouldn't be compared with GHL, or null
+    refundedOrVoided(order, invoice) {
+        if (this.invoiceVoided(order, invoice)) return 'invoice_void';
+        return REFUNDED_STATUSES.includes(order?.status) ? order.status : null;
+    }
+
+    // Why a paid payment is missing from GHL, or null if it isn't. Without GHL
+    // access the local sync records are all there is to go on.
+    missingGhlRecord(ghl, invoice) {
+        if (!ghl.invoiceId) return 'no_invoice';
+
+        if (invoice) {
+            const recorded = GHL_PAID_STATUSES.includes(invoice.status) || Number(invoice.amountPaid) > 0;
+            return recorded ? null : 'payment_not_recorded';
+        }
+
+        return ghl.paymentStepDone ? null : 'payment_not_recorded';
+    }
+
+    amountMismatch(paidCentavos, order, invoice) {
+        const orderTotal = order?.amounts?.totalAmount;
+        const invoiceTotal = invoice?.total;
+
+        const orderCentavos = orderTotal === undefined || orderTotal === null ? null : money.toCentavos(orderTotal);
+        const invoiceCentavos = invoiceTotal === undefined || invoiceTotal === null ? null : money.toCentavos(invoiceTotal);
+
+        const orderDiffers = orderCentavos !== null && orderCentavos !== paidCentavos;
+        const invoiceDiffers = invoiceCentavos !== null && invoiceCentavos !== paidCentavos;
+
+        if (!orderDiffers && !invoiceDiffers) return null;
+
+        return {
+            orderAmount: orderCentavos === null ? null : money.fromCentavos(orderCentavos),
+            ghlInvoiceAmount: invoiceCentavos === null ? null : money.fromCentavos(invoiceCentavos)
+        };
+    }
+
+    // Orders created in the range that have a GHL invoice but no paid PayMongo
+    // payment. Subscription cycles awaiting payment are listed too (with
+    // their order status) until the customer pays. Refunded orders and
+    // voided invoices are left out.
+    findUnpaidInvoices(tenant, from, to, paidReferences) {
+        return orderRepository.list()
+            .filter(order => {
+                const createdAt = new Date(order.createdAt);
+                return tenantIdOf(order) === tenant.id
+                    && order.ghl?.invoiceId
+                    && createdAt >= from && createdAt <= to
+                    && !paidReferences.has(order.reference)
+                    && !this.refundedOrVoided(order, null);
+            })
+            .map(order => ({
+                reference: order.reference,
+                email: order.customer?.email || null,
+                amount: order.amounts?.totalAmount ?? null,
+                currency: order.currency,
+                orderStatus: order.status,
+                ghlInvoiceId: order.ghl.invoiceId,
+                paymentIds: order.paymongo?.paymentIds || [],
+                subscriptionId: order.subscription?.id || undefined
+            }));
+    }
+
+    // Re-run the GHL sync for a paid payment. A dead sync job is retried; if
+    // the sync already ran but GHL still shows the invoice unpaid, the payment
+    // is recorded on the invoice directly.
+    async repairPayment(tenant, payment, order, ghl, reason) {
+        const metadata = payment.attributes?.metadata || {};
+        const result = { paymentId: payment.id, reference: order?.reference || null, reason };
+
+        if (!metadata.email && !order?.customer?.email) {
+            return { ...result, action: 'skipped', note: 'Payment has no customer details to sync' };
+        }
+
+        try {
+            if (reason === 'payment_not_recorded' && ghl.paymentStepDone) {
+                const paymentResult = await tenant.ghl.recordInvoicePayment({
+                    invoiceId: ghl.invoiceId,
+                    amount: money.fromCentavos(Number(payment.attributes.amount)),
+                    mode: 'card',
+                    notes: `PayMongo payment ${payment.id} (reconciliation)`,
+                    fulfilledAt: new Date().toISOString()
+                });
+                const transactionId = paymentResult?.id || paymentResult?.transaction?.id || paymentResult?._id || null;
+                this.noteRepair(order, `GHL payment recorded on invoice ${ghl.invoiceId} by reconciliation`, { transactionId });
+                return { ...result, action: 'payment_recorded', invoiceId: ghl.invoiceId, transactionId };
+            }
+
+            const job = this.queueSync(tenant, payment, order);
+            this.noteRepair(order, `GHL sync queued by reconciliation (${job.id})`);
+            return { ...result, action: 'sync_queued', jobId: job.id, jobStatus: job.status };
+        } catch (error) {
+            console.error('Reconciliation repair error:', payment.id, error.response?.data || error.message);
+            return { ...result, action: 'failed', error: error.message };
+        }
+    }
+
+    // Queue the same 'ghl.sync_payment' job the webhook uses, built from the
+    // payment as a payment.paid event. Completed steps are skipped by the job.
+    queueSync(tenant, payment, order) {
+        const key = `ghl.sync_payment:${payment.id}`;
+        const existing = jobQueue.getJobByKey(key);
+
+        if (existing?.status === 'dead') {
+            return jobQueue.requeue(existing.id);
+        }
+        if (existing && existing.status !== 'completed') {
+            return existing;
+        }
+
+        const event = webhookEventRegistry.normalize({
+            data: {
+                id: `reconcile_${payment.id}`,
+                attributes: { type: 'payment.paid', livemode: payment.attributes?.livemode, data: payment }
+            }
+        });
+        if (order && !event.metadata.paymentReference) {
+            event.metadata = { ...event.metadata, paymentReference: order.reference };
+        }
+
+        const { payment: _payment, resource, eventAttributes, ...jobEvent } = event;
+        return jobQueue.enqueue('ghl.sync_payment', jobEvent, {
+            key: `${key}:reconcile:${Date.now()}`,
+            reference: order?.reference || event.metadata.paymentReference,
+            tenant: tenant.id
+        });
+    }
+
+    noteRepair(order, note, ghlPatch) {
+        if (!order) return;
+
+        try {
+            if (ghlPatch) {
+                orderRepository.update(order.reference, { ghl: ghlPatch });
+            }
+            orderRepository.addStatus(order.reference, null, { event: 'reconciliation.repair', note });
+        } catch (error) {
+            console.error('Order ledger update error (non-fatal):', error.message);
+        }
+    }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,284 @@
+// services/salesReportService.js
+const orderRepository = require('../repositories/orderRepository');
+const { METHOD_MAP } = require('./paymentMethods');
+const pricingService = require('./pricingService');
+const taxService = require('./taxService');
+const { calculateFees, tenantIdOf } = require('../utils/helpers');
+const money = require('../utils/money');
+
+// Orders that took money. Refunded orders stay in: the sale still happened.
+const SALE_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const REFUND_STATUSES = ['partially_refunded', 'refunded'];
+
+// Report columns, in CSV order. Money columns are pesos.
+const COLUMNS = [
+    'rowType', 'date', 'reference', 'paymentId', 'customerName', 'customerEmail',
+    'sku', 'product', 'quantity', 'paymentMethod', 'promoCode', 'currency',
+    'count', 'baseAmount', 'taxAmount', 'discountAmount', 'grossAmount',
+    'refundedAmount', 'netAmount', 'estimatedFee', 'netAfterFees'
+];
+
+const AMOUNT_FIELDS = ['base', 'tax', 'discount', 'gross', 'refunded', 'net', 'fee', 'netAfterFees'];
+
+// Sales for accounting. One `sale` row per order line (a single-product
+// order is one line), dated by when it was paid, and one `refund` row per
+// line for each refund, dated by when the refund was processed; each is in
+// the report whose range holds its own date. Then `product_subtotal`,
+// `method_subtotal` and `total` rows. Base and tax are after discount.
+// Fees are estimated from the payment method (calculateFees) on the amount
+// paid, since PayMongo keeps its fee on refunds.
+class SalesReportService {
+    constructor() {
+        this.columns = COLUMNS;
+    }
+
+    // When the order was paid (older orders only have it in their history)
+    saleDate(order) {
+        return order.paidAt
+            || order.statusHistory?.find(entry => entry.status === 'paid')?.at
+            || null;
+    }
+
+    // Refunds PayMongo processed for an order, oldest first, as
+    // [{ date, centavos }]. They come from the order's payment.refunded
+    // history entries (and, for older orders, its moves to refunded or
+    // partially_refunded). Each entry records the order's refunded total at
+    // that point, so a refund is the increase over the entry before; entries
+    // saved without it get the rest of the order's refunded total, dated by
+    // the last of them.
+    refunds(order, grossTotal) {
+        const history = order.statusHistory || [];
+        const entries = history.filter((entry, i) => entry.event === 'payment.refunded'
+            || (REFUND_STATUSES.includes(entry.status) && history[i - 1]?.status !== entry.status));
+
+        const refunds = [];
+        let recorded = 0;
+        let lastUnrecorded = null;
+
+        entries.forEach(entry => {
+            if (entry.refundedAmount === undefined) {
+                lastUnrecorded = entry;
+                return;
+            }
+            const total = Math.min(money.toCentavos(entry.refundedAmount), grossTotal);
+            if (total > recorded) {
+                refunds.push({ date: entry.at, centavos: total - recorded });
+                recorded = total;
+            }
+        });
+
+        if (lastUnrecorded) {
+            const rest = Math.min(money.toCentavos(order.amounts?.refundedAmount || 0), grossTotal) - recorded;
+            if (rest > 0) {
+                refunds.push({ date: lastUnrecorded.at, centavos: rest });
+            }
+        }
+
+        return refunds.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Sales paid and refunds processed in the range, by date:
+    // [{ type: 'sale' | 'refund', order, date, centavos }]
+    listEntries({ from, to, tenant }) {
+        const inRange = date => date && new Date(date) >= from && new Date(date) <= to;
+
+        return orderRepository.list()
+            .filter(order => SALE_STATUSES.includes(order.status) && (!tenant || tenantIdOf(order) === tenant))
+            .flatMap(order => {
+                const grossTotal = money.sum(this.orderLines(order).map(line => line.gross));
+                return [
+                    { type: 'sale', order, date: this.saleDate(order) },
+                    ...this.refunds(order, grossTotal).map(refund => ({ type: 'refund', order, ...refund }))
+                ];
+            })
+            .filter(({ date }) => inRange(date))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.order.reference.localeCompare(b.order.reference));
+    }
+
+    // Lines in centavos: the order's priced items, else one line from its
+    // amounts. Base and tax are what was charged, after discount
+    // (pricingService.chargedSplit re-splits orders saved with list-price
+    // base and tax).
+    orderLines(order) {
+        const charged = ({ baseAmount, taxAmount, subtotal, discountAmount, rate }) => {
+            const subtotalCentavos = money.toCentavos(subtotal || 0);
+            const discountCentavos = money.toCentavos(discountAmount || 0);
+            const { baseCentavos, taxCentavos } = pricingService.chargedSplit({
+                baseCentavos: money.toCentavos(baseAmount || 0),
+                taxCentavos: money.toCentavos(taxAmount || 0),
+                subtotalCentavos,
+                discountCentavos,
+                rate: Number(rate || 0)
+            });
+            return { base: baseCentavos, tax: taxCentavos, discount: discountCentavos, gross: subtotalCentavos - discountCentavos };
+        };
+
+        if (order.items?.length) {
+            return order.items.map(line => ({
+                sku: line.sku || order.sku,
+                name: line.name,
+                quantity: line.quantity || 1,
+                ...charged({
+                    ...line,
+                    rate: (taxService.lineBreakdown(line)?.treatment || 'taxable') === 'taxable' ? line.taxRate : 0
+                })
+            }));
+        }
+
+        const amounts = order.amounts || {};
+        return [{
+            sku: order.sku,
+            name: order.product,
+            quantity: 1,
+            ...charged({
+                baseAmount: amounts.baseAmount,
+                taxAmount: amounts.taxAmount,
+                subtotal: money.fromCentavos(money.toCentavos(amounts.totalAmount || 0) + money.toCentavos(amounts.discountAmount || 0)),
+                discountAmount: amounts.discountAmount,
+                rate: amounts.taxRate
+            })
+        }];
+    }
+
+    // PayMongo type for a frontend or PayMongo method name (e.g. maya -> paymaya)
+    normalizeMethod(paymentMethod) {
+        if (!paymentMethod) return 'unknown';
+        return METHOD_MAP[paymentMethod] || paymentMethod;
+    }
+
+    // Columns shared by an order's sale and refund rows
+    rowDetails(order, line, date) {
+        return {
+            date,
+            reference: order.reference,
+            paymentId: (order.paymongo?.paymentIds || []).join(' '),
+            customerName: order.customer?.fullName || '',
+            customerEmail: order.customer?.email || '',
+            sku: line.sku || '',
+            product: line.name || '',
+            quantity: line.quantity,
+            paymentMethod: this.normalizeMethod(order.paymentMethod),
+            promoCode: order.promoCode || '',
+            currency: order.currency || 'PHP'
+        };
+    }
+
+    // Sale rows for one order, with the fee split across its lines
+    saleRows(order, date) {
+        const lines = this.orderLines(order);
+        const grossWeights = lines.map(line => line.gross);
+        const grossTotal = money.sum(grossWeights);
+        const paymentMethod = this.normalizeMethod(order.paymentMethod);
+        const fee = grossTotal > 0 ? calculateFees(money.fromCentavos(grossTotal), paymentMethod).feeCentavos : 0;
+        const feeParts = money.allocate(fee, grossWeights);
+
+        return lines.map((line, i) => ({
+            rowType: 'sale',
+            ...this.rowDetails(order, line, date),
+            amounts: {
+                base: line.base,
+                tax: line.tax,
+                discount: line.discount,
+                gross: line.gross,
+                refunded: 0,
+                net: line.gross,
+                fee: feeParts[i],
+                netAfterFees: line.gross - feeParts[i]
+            }
+        }));
+    }
+
+    // Refund rows for one refund of an order: the amount is split across the
+    // lines by what each was charged, and each part into base and tax in the
+    // line's proportion. Base, tax and net are negative; there is no fee.
+    refundRows(order, date, centavos) {
+        const lines = this.orderLines(order);
+        const parts = money.allocate(centavos, lines.map(line => line.gross));
+
+        return lines.map((line, i) => {
+            const [base, tax] = line.base + line.tax > 0
+                ? money.allocate(parts[i], [line.base, line.tax])
+                : [parts[i], 0];
+
+            return {
+                rowType: 'refund',
+                ...this.rowDetails(order, line, date),
+                amounts: {
+                    base: -base,
+                    tax: -tax,
+                    discount: 0,
+                    gross: 0,
+                    refunded: parts[i],
+                    net: -parts[i],
+                    fee: 0,
+                    netAfterFees: -parts[i]
+                }
+            };
+        });
+    }
+
+    addTo(groups, key, template, row) {
+        const group = groups.get(key) || {
+            ...template,
+            quantity: 0,
+            count: 0,
+            amounts: Object.fromEntries(AMOUNT_FIELDS.map(f => [f, 0]))
+        };
+        // Quantity and count are of sales; a refund row only moves the amounts
+        if (row.rowType === 'sale') {
+            group.quantity += row.quantity;
+            group.count += 1;
+        }
+        AMOUNT_FIELDS.forEach(f => { group.amounts[f] += row.amounts[f]; });
+        groups.set(key, group);
+    }
+
+    // Row with amounts converted from centavos to pesos and blanks filled in
+    toOutputRow(row) {
+        const { amounts, ...rest } = row;
+        const output = Object.fromEntries(COLUMNS.map(column => [column, rest[column] ?? '']));
+        Object.assign(output, {
+            baseAmount: money.fromCentavos(amounts.base),
+            taxAmount: money.fromCentavos(amounts.tax),
+            discountAmount: money.fromCentavos(amounts.discount),
+            grossAmount: money.fromCentavos(amounts.gross),
+            refundedAmount: money.fromCentavos(amounts.refunded),
+            netAmount: money.fromCentavos(amounts.net),
+            estimatedFee: money.fromCentavos(amounts.fee),
+            netAfterFees: money.fromCentavos(amounts.netAfterFees)
+        });
+        return output;
+    }
+
+    // Yield the report rows in order: sales and refunds by date, product
+    // subtotals, payment method subtotals, then a total per currency. `tenant` limits the report
+    // to one tenant's orders.
+    * rows({ from, to, tenant }) {
+        const byProduct = new Map();
+        const byMethod = new Map();
+        const totals = new Map();
+
+        for (const { type, order, date, centavos } of this.listEntries({ from, to, tenant })) {
+            const entryRows = type === 'sale' ? this.saleRows(order, date) : this.refundRows(order, date, centavos);
+            for (const row of entryRows) {
+                // By SKU, so subscription cycle labels ("Month 2") don't split a product
+                this.addTo(byProduct, `${row.currency}|${row.sku || row.product}`,
+                    { rowType: 'product_subtotal', sku: row.sku, product: row.product, currency: row.currency }, row);
+                this.addTo(byMethod, `${row.currency}|${row.paymentMethod}`,
+                    { rowType: 'method_subtotal', paymentMethod: row.paymentMethod, currency: row.currency }, row);
+                this.addTo(totals, row.currency, { rowType: 'total', currency: row.currency }, row);
+
+                yield this.toOutputRow(row);
+            }
+        }
+
+        for (const groups of [byProduct, byMethod, totals]) {
+            for (const group of groups.values()) {
+                yield this.toOutputRow(group);
+            }
+        }
+    }
+}
+
+module.exports = new SalesReportService();
@@ -0,0 +1,628 @@
+// services/subscriptionService.js
+const webhookService = require('./webhookService');
+const tenantService = require('./tenantService');
+const pricingService = require('./pricingService');
+const taxService = require('./taxService');
+const jobQueue = require('./jobQueue');
+const orderRepository = require('../repositories/orderRepository');
+const subscriptionRepository = require('../repositories/subscriptionRepository');
+const { generateId, tenantIdOf } = require('../utils/helpers');
+const money = require('../utils/money');
+
+const PLANS = ['monthly', 'installments'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recurring billing. A subscription is billed one cycle at a time: each cycle
+// gets its own order, PayMongo checkout session and GHL invoice, and the link
+// is sent to the customer through LeadConnector. The scheduler (start(), run
+// from index.js) issues cycles when they fall due and runs dunning on unpaid
+// ones: a fresh link on each DUNNING_RETRY_DAYS offset, then escalation.
+// Every cycle is billed through the subscription's tenant (PayMongo, GHL and
+// LeadConnector).
+class SubscriptionService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+
+        this.pollIntervalMs = Number(process.env.SUBSCRIPTION_POLL_INTERVAL_MS || 15 * 60 * 1000);
+        this.retryDays = String(process.env.DUNNING_RETRY_DAYS || '1,3,7')
+            .split(',')
+            .map(d => Number(d.trim()))
+            .filter(d => Number.isFinite(d) && d > 0)
+            .sort((a, b) => a - b);
+        this.escalateAfterDays = Number(process.env.DUNNING_ESCALATE_DAYS || 10);
+
+        jobQueue.registerHandler('ghl.cycle_invoice', payload => this.createCycleInvoice(payload));
+    }
+
+    // Same day next month(s), clamped to the month's last day (Jan 31 -> Feb 28)
+    addMonths(date, months) {
+        const start = new Date(date);
+        const result = new Date(start);
+        result.setUTCDate(1);
+        result.setUTCMonth(result.getUTCMonth() + months);
+        const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+        result.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+        return result;
+    }
+
+    // Check a requested plan against the product's billing options.
+    // Returns an error message, or null when the plan is allowed.
+    checkPlan(product, plan, installments) {
+        const billing = product.billing || {};
+
+        if (!PLANS.includes(plan)) {
+            return `plan must be one of ${PLANS.join(', ')}`;
+        }
+
+        if (plan === 'monthly' && !billing.monthly) {
+            return `${product.name} is not available as a monthly plan`;
+        }
+
+        if (plan === 'installments') {
+            const allowed = billing.installments || [];
+            if (allowed.length === 0) {
+                return `${product.name} is not available in installments`;
+            }
+            if (!allowed.includes(Number(installments))) {
+                return `${product.name} can be paid in ${allowed.join(', ')} installments`;
+            }
+        }
+
+        return null;
+    }
+
+    // Per-cycle amounts. A monthly plan bills the product's price every cycle;
+    // installments split the price into N parts that add up to it exactly.
+    buildCycleAmounts(product, plan, installments) {
+        const quote = pricingService.quote(product);
+        const [line] = quote.lines;
+        const tax = {
+            taxCategory: line.taxCategory,
+            taxRate: line.taxRate,
+            taxInclusive: line.taxInclusive
+        };
+
+        if (plan === 'monthly') {
+            return [{ ...tax, baseAmount: quote.baseAmount, taxAmount: quote.taxAmount, totalAmount: quote.finalAmount }];
+        }
+
+        const weights = Array(Number(installments)).fill(1);
+        const bases = money.allocate(money.toCentavos(quote.baseAmount), weights);
+        const taxes = money.allocate(money.toCentavos(quote.taxAmount), weights);
+
+        return bases.map((base, i) => ({
+            ...tax,
+            baseAmount: money.fromCentavos(base),
+            taxAmount: money.fromCentavos(taxes[i]),
+            totalAmount: money.fromCentavos(base + taxes[i])
+        }));
+    }
+
+    cycleAmounts(subscription, number) {
+        return subscription.plan === 'monthly'
+            ? subscription.cycleAmounts[0]
+            : subscription.cycleAmounts[number - 1];
+    }
+
+    cycleLabel(subscription, number) {
+        return subscription.plan === 'monthly'
+            ? `Month ${number}`
+            : `Installment ${number} of ${subscription.totalCycles}`;
+    }
+
+    // Cycles fall due monthly from startAt; once a subscription is resumed,
+    // from the day the resumed cycle was reopened (billingAnchor)
+    cycleDueAt(subscription, number) {
+        const anchor = subscription.billingAnchor;
+        if (anchor && number >= anchor.cycle) {
+            return this.addMonths(anchor.at, number - anchor.cycle).toISOString();
+        }
+        return this.addMonths(subscription.startAt, number - 1).toISOString();
+    }
+
+    // The cycle as a quote line, so orders, checkout line items and invoices
+    // are built the same way as one-time purchases
+    cycleLine(subscription, number) {
+        const amounts = this.cycleAmounts(subscription, number);
+        return {
+            sku: subscription.sku,
+            name: `${subscription.product} (${this.cycleLabel(subscription, number)})`,
+            currency: subscription.currency,
+            quantity: 1,
+            taxCategory: amounts.taxCategory,
+            taxRate: amounts.taxRate,
+            taxInclusive: amounts.taxInclusive,
+            unitBaseAmount: amounts.baseAmount,
+            unitTaxAmount: amounts.taxAmount,
+            unitAmount: amounts.totalAmount,
+            baseAmount: amounts.baseAmount,
+            taxAmount: amounts.taxAmount,
+            subtotal: amounts.totalAmount,
+            discountAmount: 0
+        };
+    }
+
+    notify(subscription, status, details, key) {
+        try {
+            webhookService.queueLeadConnector({
+                fullName: subscription.customer.fullName,
+                email: subscription.customer.email,
+                mobile: subscription.customer.mobile,
+                product: subscription.product,
+                sku: subscription.sku,
+                subscriptionId: subscription.id,
+                subscriptionPlan: subscription.plan,
+                currency: subscription.currency,
+                status,
+                ...details,
+                timestamp: new Date().toISOString()
+            }, { key, reference: details.paymentReference || subscription.id, tenant: tenantIdOf(subscription) });
+        } catch (err) {
+            console.log('LeadConnector queue error (non-fatal):', err.message);
+        }
+    }
+
+    // Start a subscription with `tenant` and issue its first cycle right away.
+    // Returns { subscription, cycle } or { error }.
+    async subscribe({ tenant, customer, product, plan, installments, paymentMethod, paymentMethodTypes, source }) {
+        const planError = this.checkPlan(product, plan, installments);
+        if (planError) {
+            return { error: planError };
+        }
+
+        const subscription = subscriptionRepository.create({
+            tenant: tenant.id,
+            plan,
+            customer,
+            product: product.name,
+            sku: product.sku,
+            currency: product.currency,
+            cycleAmounts: this.buildCycleAmounts(product, plan, installments),
+            totalCycles: plan === 'installments' ? Number(installments) : null,
+            paymentMethod,
+            paymentMethodTypes,
+            source
+        });
+
+        let updated;
+        try {
+            updated = await this.issueCycle(subscription.id, 1);
+        } catch (err) {
+            // Don't leave a subscription behind that the scheduler would keep billing
+            subscriptionRepository.update(subscription.id, { nextBillingAt: null });
+            subscriptionRepository.addStatus(subscription.id, 'cancelled', {
+                event: 'subscription.start_failed',
+                note: err.message
+            });
+            throw err;
+        }
+
+        return {
+            subscription: updated,
+            cycle: updated.cycles.find(c => c.number === 1)
+        };
+    }
+
+    async createCycleCheckout(subscription, number, paymentReference) {
+        const line = this.cycleLine(subscription, number);
+        const { customer } = subscription;
+
+        const metadata = {
+            fullName: String(customer.fullName || ''),
+            email: String(customer.email || ''),
+            mobile: String(customer.mobile || ''),
+            product: String(subscription.product),
+            sku: String(subscription.sku),
+            paymentReference,
+            subscriptionId: subscription.id,
+            subscriptionPlan: subscription.plan,
+            subscriptionCycle: String(number),
+            baseAmount: String(line.baseAmount),
+            taxRate: String(line.taxRate),
+            taxAmount: String(line.taxAmount),
+            taxBreakdown: taxService.toMetadata([taxService.lineBreakdown(line)]),
+            totalAmount: String(line.subtotal),
+            paymentMethod: String(subscription.paymentMethod || 'qrph'),
+            source: String(subscription.source || 'nexistry_academy'),
+            timestamp: new Date().toISOString()
+        };
+
+        const result = await tenantService.forRecord(subscription).paymongo.createCheckoutSession(null, {
+            amount: line.subtotal,
+            currency: subscription.currency,
+            description: `${line.name} - ${customer.fullName}`,
+            lineItems: pricingService.toBillableLines({ lines: [line], promo: null }),
+            metadata,
+            paymentMethodTypes: subscription.paymentMethodTypes
+        });
+
+        return result.data;
+    }
+
+    // Open a billing cycle: order, checkout session, GHL invoice job and the
+    // payment link to the customer
+    async issueCycle(subscriptionId, number) {
+        const subscription = subscriptionRepository.findById(subscriptionId);
+        const line = this.cycleLine(subscription, number);
+        const paymentReference = generateId('SUB');
+        const checkoutSession = await this.createCycleCheckout(subscription, number, paymentReference);
+        const checkoutUrl = checkoutSession.attributes?.checkout_url || null;
+
+        orderRepository.create({
+            reference: paymentReference,
+            tenant: tenantIdOf(subscription),
+            customer: subscription.customer,
+            product: line.name,
+            sku: subscription.sku,
+            items: [line],
+            currency: subscription.currency,
+            amounts: {
+                baseAmount: line.baseAmount,
+                taxRate: line.taxRate,
+                taxAmount: line.taxAmount,
+                taxBreakdown: [taxService.lineBreakdown(line)],
+                discountAmount: 0,
+                totalAmount: line.subtotal
+            },
+            paymentMethod: subscription.paymentMethod,
+            source: subscription.source,
+            subscription: { id: subscription.id, plan: subscription.plan, cycle: number },
+            paymongo: { checkoutSessionId: checkoutSession.id }
+        });
+
+        const updated = subscriptionRepository.addCycle(subscription.id, {
+            number,
+            status: 'open',
+            dueAt: this.cycleDueAt(subscription, number),
+            amount: line.subtotal,
+            paymentReference,
+            checkoutSessionId: checkoutSession.id,
+            checkoutUrl,
+            attempts: 1,
+            lastAttemptAt: new Date().toISOString(),
+            paidAt: null,
+            paymentId: null,
+            ghlInvoiceId: null
+        });
+        subscriptionRepository.update(subscription.id, { nextBillingAt: null });
+
+        if (tenantService.forRecord(subscription).ghl.isConfigured()) {
+            jobQueue.enqueue('ghl.cycle_invoice', { subscriptionId: subscription.id, cycle: number, paymentReference }, {
+                key: `ghl.cycle_invoice:${paymentReference}`,
+                reference: paymentReference,
+                tenant: tenantIdOf(subscription)
+            });
+        }
+
+        this.notify(subscription, 'subscription_payment_due', {
+            cycle: number,
+            cycleLabel: this.cycleLabel(subscription, number),
+            amount: line.subtotal,
+            paymentReference,
+            checkoutUrl,
+            dueAt: this.cycleDueAt(subscription, number)
+        }, `leadconnector:subscription_payment_due:${paymentReference}`);
+
+        console.log(`Subscription ${subscription.id} cycle ${number} issued:`, paymentReference);
+        return subscriptionRepository.findById(updated.id);
+    }
+
+    async expireSession(subscription, checkoutSessionId) {
+        if (!checkoutSessionId) return;
+        try {
+            await tenantService.forRecord(subscription).paymongo.expireCheckoutSession(checkoutSessionId);
+        } catch (err) {
+            console.log('Unable to expire checkout session (non-fatal):', checkoutSessionId, err.message);
+        }
+    }
+
+    // Dunning for an unpaid cycle: send a fresh link on each retry offset, and
+    // escalate once DUNNING_ESCALATE_DAYS have passed since the due date
+    async dunCycle(subscription, cycle, now = new Date()) {
+        const overdueMs = now.getTime() - new Date(cycle.dueAt).getTime();
+
+        if (overdueMs >= this.escalateAfterDays * DAY_MS) {
+            return this.escalateCycle(subscription, cycle);
+        }
+
+        const nextRetryDay = this.retryDays[cycle.attempts - 1];
+        if (nextRetryDay === undefined || overdueMs < nextRetryDay * DAY_MS) {
+            return null;
+        }
+
+        await this.expireSession(subscription, cycle.checkoutSessionId);
+        const checkoutSession = await this.createCycleCheckout(subscription, cycle.number, cycle.paymentReference);
+        const checkoutUrl = checkoutSession.attributes?.checkout_url || null;
+        const attempt = cycle.attempts + 1;
+
+        subscriptionRepository.updateCycle(subscription.id, cycle.number, {
+            checkoutSessionId: checkoutSession.id,
+            checkoutUrl,
+            attempts: attempt,
+            lastAttemptAt: now.toISOString()
+        });
+        orderRepository.update(cycle.paymentReference, { paymongo: { checkoutSessionId: checkoutSession.id } });
+        orderRepository.addStatus(cycle.paymentReference, null, {
+            event: 'subscription.dunning_retry',
+            note: `Payment link re-sent (attempt ${attempt})`
+        });
+
+        if (subscription.status === 'active') {
+            subscriptionRepository.addStatus(subscription.id, 'past_due', {
+                event: 'subscription.past_due',
+                note: `Cycle ${cycle.number} unpaid`
+            });
+        }
+
+        this.notify(subscription, 'subscription_payment_retry', {
+            cycle: cycle.number,
+            cycleLabel: this.cycleLabel(subscription, cycle.number),
+            amount: cycle.amount,
+            paymentReference: cycle.paymentReference,
+            checkoutUrl,
+            attempt,
+            dueAt: cycle.dueAt
+        }, `leadconnector:subscription_payment_retry:${cycle.paymentReference}:${attempt}`);
+
+        console.log(`Subscription ${subscription.id} cycle ${cycle.number}: dunning attempt ${attempt}`);
+        return subscriptionRepository.findById(subscription.id);
+    }
+
+    async escalateCycle(subscription, cycle) {
+        await this.expireSession(subscription, cycle.checkoutSessionId);
+
+        subscriptionRepository.updateCycle(subscription.id, cycle.number, {
+            status: 'failed',
+            failedAt: new Date().toISOString()
+        });
+        orderRepository.addStatus(cycle.paymentReference, 'expired', {
+            event: 'subscription.escalated',
+            note: `Unpaid after ${cycle.attempts} attempts`
+        });
+        subscriptionRepository.addStatus(subscription.id, 'unpaid', {
+            event: 'subscription.escalated',
+            note: `Cycle ${cycle.number} unpaid after ${cycle.attempts} attempts`
+        });
+
+        this.notify(subscription, 'subscription_payment_escalated', {
+            cycle: cycle.number,
+            cycleLabel: this.cycleLabel(subscription, cycle.number),
+            amount: cycle.amount,
+            paymentReference: cycle.paymentReference,
+            attempts: cycle.attempts,
+            dueAt: cycle.dueAt
+        }, `leadconnector:subscription_payment_escalated:${cycle.paymentReference}`);
+
+        console.log(`Subscription ${subscription.id} cycle ${cycle.number} escalated after ${cycle.attempts} attempts`);
+        return subscriptionRepository.findById(subscription.id);
+    }
+
+    // Resume an `unpaid` subscription: the failed cycle is reopened with a
+    // fresh checkout link, due now, and later cycles are billed monthly from
+    // today rather than from the original schedule. Dunning starts over for
+    // the reopened cycle. Returns the subscription, or null when there is no
+    // failed cycle to reopen.
+    async resume(subscriptionId, { by = 'admin', now = new Date() } = {}) {
+        const subscription = subscriptionRepository.findById(subscriptionId);
+        const cycle = subscription?.cycles.filter(c => c.status === 'failed').pop();
+        if (!cycle) return null;
+
+        const resumed = subscriptionRepository.update(subscription.id, {
+            billingAnchor: { cycle: cycle.number, at: now.toISOString() }
+        });
+        const checkoutSession = await this.createCycleCheckout(resumed, cycle.number, cycle.paymentReference);
+        const checkoutUrl = checkoutSession.attributes?.checkout_url || null;
+
+        subscriptionRepository.updateCycle(subscription.id, cycle.number, {
+            status: 'open',
+            dueAt: now.toISOString(),
+            checkoutSessionId: checkoutSession.id,
+            checkoutUrl,
+            attempts: 1,
+            lastAttemptAt: now.toISOString(),
+            failedAt: null
+        });
+        orderRepository.update(cycle.paymentReference, { paymongo: { checkoutSessionId: checkoutSession.id } });
+        orderRepository.addStatus(cycle.paymentReference, 'pending', {
+            event: 'subscription.resumed',
+            note: 'New payment link issued'
+        });
+        subscriptionRepository.addStatus(subscription.id, 'active', {
+            event: 'subscription.resumed',
+            note: `Cycle ${cycle.number} reopened`,
+            by
+        });
+
+        this.notify(subscription, 'subscription_resumed', {
+            cycle: cycle.number,
+            cycleLabel: this.cycleLabel(subscription, cycle.number),
+            amount: cycle.amount,
+            paymentReference: cycle.paymentReference,
+            checkoutUrl,
+            dueAt: now.toISOString()
+        }, `leadconnector:subscription_resumed:${cycle.paymentReference}:${now.getTime()}`);
+
+        console.log(`Subscription ${subscription.id} resumed at cycle ${cycle.number}`);
+        return subscriptionRepository.findById(subscription.id);
+    }
+
+    // Mark a cycle paid (called from the payment.paid handler) and schedule
+    // the next one, or complete the subscription after the last installment
+    recordPayment({ subscriptionId, cycle: number, paymentId }) {
+        const subscription = subscriptionRepository.findById(subscriptionId);
+        const cycle = subscription?.cycles.find(c => c.number === number);
+        if (!cycle) {
+            console.log('No subscription cycle for payment:', subscriptionId, number);
+            return null;
+        }
+        if (cycle.status === 'paid') {
+            return subscription;
+        }
+
+        subscriptionRepository.updateCycle(subscription.id, number, {
+            status: 'paid',
+            paidAt: new Date().toISOString(),
+            paymentId: paymentId || null
+        });
+
+        // A payment that lands after cancellation is recorded but doesn't restart billing
+        if (subscription.status === 'cancelled') {
+            return subscriptionRepository.findById(subscription.id);
+        }
+
+        const paidCycles = subscription.cycles.filter(c => c.status === 'paid').length + 1;
+        if (subscription.totalCycles && paidCycles >= subscription.totalCycles) {
+            subscriptionRepository.update(subscription.id, { nextBillingAt: null });
+            subscriptionRepository.addStatus(subscription.id, 'completed', {
+                event: 'subscription.completed',
+                note: `All ${subscription.totalCycles} installments paid`
+            });
+            this.notify(subscription, 'subscription_completed', {}, `leadconnector:subscription_completed:${subscription.id}`);
+            return subscriptionRepository.findById(subscription.id);
+        }
+
+        subscriptionRepository.update(subscription.id, { nextBillingAt: this.cycleDueAt(subscription, number + 1) });
+        if (subscription.status !== 'active') {
+            subscriptionRepository.addStatus(subscription.id, 'active', {
+                event: 'subscription.payment_recovered',
+                note: `Cycle ${number} paid`
+            });
+        }
+
+        return subscriptionRepository.findById(subscription.id);
+    }
+
+    // Stop billing: no further cycles, and any open cycle's link is expired
+    async cancel(subscriptionId, { reason, by = 'customer' } = {}) {
+        const subscription = subscriptionRepository.findById(subscriptionId);
+        if (!subscription) return null;
+
+        const openCycles = subscription.cycles.filter(c => c.status === 'open');
+        for (const cycle of openCycles) {
+            await this.expireSession(subscription, cycle.checkoutSessionId);
+            subscriptionRepository.updateCycle(subscription.id, cycle.number, { status: 'void' });
+            orderRepository.addStatus(cycle.paymentReference, 'cancelled', {
+                event: 'subscription.cancelled',
+                note: reason || undefined
+            });
+        }
+
+        subscriptionRepository.update(subscription.id, {
+            nextBillingAt: null,
+            cancelledAt: new Date().toISOString(),
+            cancelReason: reason || null
+        });
+        subscriptionRepository.addStatus(subscription.id, 'cancelled', {
+            event: 'subscription.cancelled',
+            note: reason || undefined,
+            by
+        });
+
+        this.notify(subscription, 'subscription_cancelled', {
+            cancelReason: reason || null,
+            cancelledBy: by
+        }, `leadconnector:subscription_cancelled:${subscription.id}`);
+
+        return subscriptionRepository.findById(subscription.id);
+    }
+
+    // Job handler for 'ghl.cycle_invoice': an open GHL invoice per issued
+    // cycle. The payment.paid sync records the payment against it.
+    async createCycleInvoice({ subscriptionId, cycle: number, paymentReference }) {
+        const order = orderRepository.findByReference(paymentReference);
+        const subscription = subscriptionRepository.findById(subscriptionId);
+        if (!order || !subscription) {
+            throw new Error(`Order ${paymentReference} or subscription ${subscriptionId} not found`);
+        }
+        if (order.ghl.invoiceId) {
+            return { invoiceId: order.ghl.invoiceId };
+        }
+
+        const { customer } = subscription;
+        const { ghl } = tenantService.forRecord(subscription);
+        const upsertResult = await ghl.upsertContact({
+            fullName: customer.fullName,
+            email: customer.email,
+            phone: customer.mobile
+        });
+        const contactId = upsertResult?.contact?.id || upsertResult?.id || upsertResult?.contactId || null;
+        if (!contactId) {
+            throw new Error('GHL upsertContact did not return a contact id');
+        }
+
+        const currency = String(subscription.currency).toUpperCase();
+        const dueDate = this.cycleDueAt(subscription, number).slice(0, 10);
+        const invoice = await ghl.createInvoice({
+            contactId,
+            contactDetails: {
+                name: customer.fullName,
+                phoneNo: customer.mobile,
+                email: customer.email
+            },
+            name: order.product,
+            currency,
+            issueDate: new Date().toISOString().slice(0, 10),
+            dueDate,
+            items: pricingService.toBillableLines({ lines: order.items, promo: null }).map(line => ({
+                name: line.name,
+                description: [line.description, `Ref: ${paymentReference}`].filter(Boolean).join(' | '),
+                currency,
+                amount: line.amount,
+                qty: line.quantity,
+                // Each cycle is invoiced on its own; a GHL recurring item would
+                // make GHL schedule its own charges on top of ours
+                type: 'one_time'
+            }))
+        });
+        const invoiceId = invoice?.invoice?._id || invoice?._id || invoice?.id || null;
+
+        orderRepository.update(paymentReference, { ghl: { contactId, invoiceId } });
+        subscriptionRepository.updateCycle(subscriptionId, number, { ghlInvoiceId: invoiceId });
+        console.log(`GHL invoice for subscription ${subscriptionId} cycle ${number}:`, invoiceId);
+        return { contactId, invoiceId };
+    }
+
+    // Scheduler pass: dunning for open cycles, new cycles for those now due
+    async runDue(now = new Date()) {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const billable = subscriptionRepository.list()
+                .filter(s => s.status === 'active' || s.status === 'past_due');
+
+            for (const subscription of billable) {
+                try {
+                    const open = subscription.cycles.find(c => c.status === 'open');
+                    if (open) {
+                        await this.dunCycle(subscription, open, now);
+                    } else if (subscription.nextBillingAt && now >= new Date(subscription.nextBillingAt)
+                        && (!subscription.totalCycles || subscription.cycles.length < subscription.totalCycles)) {
+                        await this.issueCycle(subscription.id, subscription.cycles.length + 1);
+                    }
+                } catch (err) {
+                    console.error(`Subscription ${subscription.id} billing error:`, err.message);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runDue(), this.pollIntervalMs);
+        setImmediate(() => this.runDue());
+        console.log(`📅 Subscription scheduler started (every ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,261 @@
+// services/taxService.js
+const money = require('../utils/money');
+
+// Tax categories a product can belong to. Override or extend with a JSON
+// object in TAX_CATEGORIES, e.g.
+// {"vat_inclusive":{"label":"VAT","rate":"12%","inclusive":true}}
+//
+// rate:      decimal (0.12), percent string ("12%") or decimal string ("0.12")
+// inclusive: true if catalogue prices already include the tax; omit to use
+//            the product's own taxInclusive flag
+// treatment: 'taxable', 'exempt' or 'zero_rated' (how receipts group the sale)
+const DEFAULT_TAX_CATEGORIES = {
+    // The original flat rate added on top of the price (TAX_RATE, default 10%)
+    standard: {
+        label: null,
+        rate: null,
+        treatment: 'taxable'
+    },
+    vat_inclusive: {
+        label: 'VAT 12%',
+        rate: '0.12',
+        inclusive: true,
+        treatment: 'taxable'
+    },
+    vat_exempt: {
+        label: 'VAT-exempt',
+        rate: '0',
+        treatment: 'exempt'
+    },
+    zero_rated: {
+        label: 'Zero-rated',
+        rate: '0',
+        treatment: 'zero_rated'
+    }
+};
+
+const TREATMENTS = ['taxable', 'exempt', 'zero_rated'];
+const DEFAULT_TAX_RATE = 0.10;
+
+class TaxService {
+    constructor() {
+        this.defaultRate = this.loadDefaultRate();
+        this.categories = this.loadCategories();
+        this.defaultCategory = this.loadDefaultCategory();
+    }
+
+    // Parse a rate given as 0.12, "0.12" or "12%". Returns a number in [0, 1]
+    // or throws; a string rate must never reach arithmetic unparsed.
+    parseRate(value) {
+        const text = String(value ?? '').trim();
+        const isPercent = text.endsWith('%');
+        const numeric = isPercent ? text.slice(0, -1).trim() : text;
+
+        if (!/^\d+(\.\d+)?$/.test(numeric)) {
+            throw new Error(`Invalid tax rate: ${value}`);
+        }
+
+        const rate = isPercent ? Number(numeric) / 100 : Number(numeric);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+            throw new Error(`Tax rate must be between 0 and 1 (or 0% and 100%): ${value}`);
+        }
+
+        // Keep the rate exact to 6 decimals so money.applyRate stays in integer range
+        return Number(rate.toFixed(6));
+    }
+
+    loadDefaultRate() {
+        if (process.env.TAX_RATE === undefined || process.env.TAX_RATE === '') {
+            return DEFAULT_TAX_RATE;
+        }
+
+        try {
+            return this.parseRate(process.env.TAX_RATE);
+        } catch (error) {
+            console.error('Invalid TAX_RATE, falling back to default:', error.message);
+            return DEFAULT_TAX_RATE;
+        }
+    }
+
+    normalizeCategory(key, category) {
+        const treatment = category.treatment || 'taxable';
+        if (!TREATMENTS.includes(treatment)) {
+            throw new Error(`Tax category ${key}: treatment must be one of ${TREATMENTS.join(', ')}`);
+        }
+
+        const rate = category.rate === null || category.rate === undefined
+            ? this.defaultRate
+            : this.parseRate(category.rate);
+
+        if (treatment !== 'taxable' && rate !== 0) {
+            throw new Error(`Tax category ${key}: ${treatment} categories must have a 0 rate`);
+        }
+
+        if (category.inclusive !== undefined && typeof category.inclusive !== 'boolean') {
+            throw new Error(`Tax category ${key}: inclusive must be a boolean`);
+        }
+
+        return {
+            key,
+            label: String(category.label || `Tax ${Number((rate * 100).toFixed(4))}%`),
+            rate,
+            inclusive: category.inclusive,
+            treatment
+        };
+    }
+
+    loadCategories() {
+        let configured = DEFAULT_TAX_CATEGORIES;
+
+        if (process.env.TAX_CATEGORIES) {
+            try {
+                const parsed = JSON.parse(process.env.TAX_CATEGORIES);
+                if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                    throw new Error('TAX_CATEGORIES must be a JSON object keyed by category');
+                }
+                configured = { ...DEFAULT_TAX_CATEGORIES, ...parsed };
+            } catch (error) {
+                console.error('Invalid TAX_CATEGORIES, falling back to defaults:', error.message);
+            }
+        }
+
+        try {
+            return this.buildCategories(configured);
+        } catch (error) {
+            console.error('Invalid TAX_CATEGORIES, falling back to defaults:', error.message);
+            return this.buildCategories(DEFAULT_TAX_CATEGORIES);
+        }
+    }
+
+    buildCategories(configured) {
+        return Object.entries(configured).reduce((acc, [key, category]) => {
+            acc[key] = this.normalizeCategory(key, category || {});
+            return acc;
+        }, {});
+    }
+
+    loadDefaultCategory() {
+        const key = process.env.DEFAULT_TAX_CATEGORY || 'standard';
+        if (!this.categories[key]) {
+            console.error(`Unknown DEFAULT_TAX_CATEGORY ${key}, using standard`);
+            return 'standard';
+        }
+        return key;
+    }
+
+    listCategories() {
+        return Object.values(this.categories);
+    }
+
+    isCategory(key) {
+        return Boolean(this.categories[key]);
+    }
+
+    // The category and effective inclusive flag for a catalogue product
+    resolve(product) {
+        const category = this.categories[product.taxCategory] || this.categories[this.defaultCategory];
+        return {
+            ...category,
+            inclusive: category.inclusive ?? Boolean(product.taxInclusive)
+        };
+    }
+
+    // Unit base/tax/total centavos for a product's list price
+    priceCentavos(product) {
+        const tax = this.resolve(product);
+        const priceCentavos = money.toCentavos(product.price);
+        const amounts = tax.inclusive
+            ? money.splitTax(priceCentavos, tax.rate)
+            : money.addTax(priceCentavos, tax.rate);
+        return { ...amounts, tax };
+    }
+
+    // Group taxed lines ({ tax, baseCentavos, taxCentavos }) into one entry per
+    // category, in pesos, for quotes, metadata, invoices and receipts.
+    summarize(lines) {
+        const byCategory = new Map();
+
+        lines.forEach(({ tax, baseCentavos, taxCentavos }) => {
+            const groupKey = `${tax.key}:${tax.inclusive}`;
+            const entry = byCategory.get(groupKey) || {
+                category: tax.key,
+                label: tax.label,
+                treatment: tax.treatment,
+                rate: tax.rate,
+                inclusive: tax.inclusive,
+                baseCentavos: 0,
+                taxCentavos: 0
+            };
+            entry.baseCentavos += baseCentavos;
+            entry.taxCentavos += taxCentavos;
+            byCategory.set(groupKey, entry);
+        });
+
+        return [...byCategory.values()].map(({ baseCentavos, taxCentavos, ...entry }) => ({
+            ...entry,
+            taxableAmount: money.fromCentavos(baseCentavos),
+            taxAmount: money.fromCentavos(taxCentavos)
+        }));
+    }
+
+    // Breakdown entry for one priced quote line (null for lines priced before
+    // tax categories existed)
+    lineBreakdown(line) {
+        if (!line.taxCategory) return null;
+
+        const known = this.categories[line.taxCategory];
+        return {
+            category: line.taxCategory,
+            label: known?.label || line.taxCategory,
+            treatment: known?.treatment || 'taxable',
+            rate: line.taxRate,
+            inclusive: line.taxInclusive,
+            taxableAmount: line.baseAmount,
+            taxAmount: line.taxAmount
+        };
+    }
+
+    // Flat metadata string for a breakdown (PayMongo metadata values must be
+    // strings): "category:rate:incl|excl:taxable:tax" per category, comma-separated
+    toMetadata(breakdown) {
+        return breakdown.map(entry => [
+            entry.category,
+            entry.rate,
+            entry.inclusive ? 'incl' : 'excl',
+            money.format(money.toCentavos(entry.taxableAmount)),
+            money.format(money.toCentavos(entry.taxAmount))
+        ].join(':')).join(',');
+    }
+
+    // Inverse of toMetadata. Unknown categories keep their key as the label.
+    fromMetadata(value) {
+        if (!value) return [];
+
+        return String(value).split(',').map(part => {
+            const [category, rate, inclusive, taxableAmount, taxAmount] = part.split(':');
+            const known = this.categories[category];
+            return {
+                category,
+                label: known?.label || category,
+                treatment: known?.treatment || 'taxable',
+                rate: Number(rate),
+                inclusive: inclusive === 'incl',
+                taxableAmount: money.fromCentavos(money.toCentavos(taxableAmount)),
+                taxAmount: money.fromCentavos(money.toCentavos(taxAmount))
+            };
+        });
+    }
+
+    // One-line description of a breakdown, e.g. "VAT 12% (incl.) 375.00 on 3125.00"
+    describe(breakdown) {
+        return breakdown.map(entry => {
+            if (entry.treatment !== 'taxable') {
+                return `${entry.label} ${money.format(money.toCentavos(entry.taxableAmount))}`;
+            }
+            const inclusive = entry.inclusive ? ' (incl.)' : '';
+            return `${entry.label}${inclusive} ${money.format(money.toCentavos(entry.taxAmount))} on ${money.format(money.toCentavos(entry.taxableAmount))}`;
+        }).join('; ');
+    }
+}
+
+module.exports = new TaxService();
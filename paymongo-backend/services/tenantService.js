@@ -0,0 +1,280 @@
+// services/tenantService.js
+const fs = require('fs');
+const path = require('path');
+const PayMongoService = require('./paymongoService');
+const GhlService = require('./ghlService');
+const ProductCatalog = require('./productCatalog');
+const GhlTokenRepository = require('../repositories/ghlTokenRepository');
+const defaultCatalog = require('../catalog/products.json');
+const { DEFAULT_TENANT_ID, tenantIdOf } = require('../utils/helpers');
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const DEFAULT_REDIRECTS = {
+    success: 'https://nxacademy.nexistrydigitalsolutions.com/success?session_id={CHECKOUT_SESSION_ID}',
+    failure: 'https://nxacademy.nexistrydigitalsolutions.com/failed',
+    cancel: 'https://nxacademy.nexistrydigitalsolutions.com/cancelled'
+};
+
+// "https://brand.com/some/page" -> "https://brand.com"
+function normalizeOrigin(value) {
+    try {
+        return new URL(String(value)).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The brands (tenants) served by this deployment. Each tenant has its own
+// PayMongo account, GHL location, product catalogue, checkout redirect URLs
+// and LeadConnector webhook. The brand configured by the env vars is the
+// `default` tenant; TENANTS_FILE (a JSON array) adds the others. Orders,
+// subscriptions and jobs record the tenant they belong to, so webhooks, jobs
+// and the billing scheduler use that tenant's accounts.
+class TenantService {
+    constructor() {
+        this.tenants = new Map();
+
+        [this.defaultConfig(), ...this.loadFile(process.env.TENANTS_FILE)]
+            .forEach(config => this.add(config));
+    }
+
+    // The brand configured by the env vars
+    defaultConfig() {
+        const env = process.env;
+        const businessName = env.GHL_BUSINESS_NAME || 'Nexistry Academy';
+
+        return {
+            id: DEFAULT_TENANT_ID,
+            name: businessName,
+            businessName,
+            statementDescriptor: env.PAYMONGO_STATEMENT_DESCRIPTOR || 'Nexistry Academy',
+            origins: [],
+            apiKey: null,
+            paymongo: {
+                secretKey: env.PAYMONGO_SECRET_KEY,
+                webhookSecret: env.PAYMONGO_WEBHOOK_SECRET
+            },
+            ghl: {
+                privateKey: env.GHL_PRIVATE_KEY,
+                privateKeyFile: env.GHL_PRIVATE_KEY_FILE,
+                locationId: env.GHL_LOCATION_ID,
+                clientId: env.GHL_CLIENT_ID,
+                clientSecret: env.GHL_CLIENT_SECRET,
+                oauthRedirectUri: env.GHL_OAUTH_REDIRECT_URI,
+                oauthScopes: env.GHL_OAUTH_SCOPES,
+                refreshToken: env.GHL_REFRESH_TOKEN
+            },
+            redirects: {
+                success: env.FRONTEND_SUCCESS_URL || DEFAULT_REDIRECTS.success,
+                failure: env.FRONTEND_FAILURE_URL || DEFAULT_REDIRECTS.failure,
+                cancel: env.FRONTEND_CANCEL_URL || DEFAULT_REDIRECTS.cancel
+            },
+            leadConnectorWebhook: env.LEADCONNECTOR_WEBHOOK || null,
+            receipt: {
+                businessName: env.RECEIPT_BUSINESS_NAME || businessName,
+                address: env.RECEIPT_BUSINESS_ADDRESS || null,
+                tin: env.RECEIPT_BUSINESS_TIN || null,
+                vatRegistered: String(env.RECEIPT_VAT_REGISTERED || 'true').toLowerCase() !== 'false',
+                permit: env.RECEIPT_PERMIT || null,
+                prefix: env.RECEIPT_PREFIX || 'OR'
+            },
+            seedProducts: defaultCatalog
+        };
+    }
+
+    // Tenants from TENANTS_FILE. A bad file stops the server from starting
+    // rather than sending a brand's payments to the wrong account.
+    loadFile(file) {
+        if (!file) return [];
+
+        const filePath = path.resolve(file);
+        let entries;
+        try {
+            entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to read TENANTS_FILE ${filePath}: ${error.message}`);
+        }
+
+        if (!Array.isArray(entries)) {
+            throw new Error('TENANTS_FILE must contain a JSON array of tenants');
+        }
+
+        return entries.map(entry => this.fromFile(entry, path.dirname(filePath)));
+    }
+
+    validate(entry) {
+        const errors = [];
+        const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+        if (!entry || typeof entry !== 'object') {
+            return ['tenant must be an object'];
+        }
+
+        if (!isText(entry.id) || !TENANT_ID_PATTERN.test(entry.id)) {
+            errors.push('id must be lowercase letters, digits and dashes');
+        }
+
+        if (!isText(entry.paymongo?.secretKey)) {
+            errors.push('paymongo.secretKey is required');
+        }
+
+        ['success', 'failure', 'cancel'].forEach(key => {
+            if (!normalizeOrigin(entry.redirects?.[key])) {
+                errors.push(`redirects.${key} must be a URL`);
+            }
+        });
+
+        if (entry.origins !== undefined
+            && (!Array.isArray(entry.origins) || !entry.origins.every(origin => normalizeOrigin(origin)))) {
+            errors.push('origins must be a list of URLs, e.g. ["https://brand.com"]');
+        }
+
+        ['apiKey', 'catalog', 'leadConnectorWebhook'].forEach(key => {
+            if (entry[key] !== undefined && !isText(entry[key])) {
+                errors.push(`${key} must be text`);
+            }
+        });
+
+        return errors;
+    }
+
+    fromFile(entry, baseDir) {
+        const errors = this.validate(entry);
+        if (errors.length > 0) {
+            throw new Error(`Invalid tenant ${entry?.id || '(no id)'} in TENANTS_FILE: ${errors.join('; ')}`);
+        }
+
+        const name = entry.name || entry.id;
+        const businessName = entry.businessName || name;
+        const catalogPath = entry.catalog ? path.resolve(baseDir, entry.catalog) : null;
+
+        let seedProducts = [];
+        if (catalogPath) {
+            try {
+                seedProducts = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Unable to read the catalogue for tenant ${entry.id} (${catalogPath}): ${error.message}`);
+            }
+        }
+
+        return {
+            id: entry.id,
+            name,
+            businessName,
+            statementDescriptor: entry.statementDescriptor || businessName,
+            origins: (entry.origins || []).map(normalizeOrigin),
+            apiKey: entry.apiKey || null,
+            paymongo: entry.paymongo,
+            ghl: entry.ghl || {},
+            redirects: entry.redirects,
+            leadConnectorWebhook: entry.leadConnectorWebhook || null,
+            receipt: {
+                businessName,
+                address: null,
+                tin: null,
+                permit: null,
+                prefix: 'OR',
+                ...entry.receipt,
+                vatRegistered: entry.receipt?.vatRegistered !== false
+            },
+            seedProducts
+        };
+    }
+
+    // Build a tenant's clients. Per-tenant stores are suffixed with the
+    // tenant ID; the default tenant keeps the original file names.
+    add(config) {
+        if (this.tenants.has(config.id)) {
+            throw new Error(`Tenant ${config.id} is configured more than once`);
+        }
+
+        const storeName = name => (config.id === DEFAULT_TENANT_ID ? name : `${name}-${config.id}`);
+        const { paymongo, ghl, seedProducts, ...settings } = config;
+
+        const tenant = {
+            ...settings,
+            paymongo: new PayMongoService({
+                tenantId: config.id,
+                ...paymongo,
+                statementDescriptor: config.statementDescriptor,
+                redirects: config.redirects
+            }),
+            ghl: new GhlService({
+                tenantId: config.id,
+                businessName: config.businessName,
+                config: ghl,
+                tokenStore: new GhlTokenRepository(storeName('ghl-oauth'))
+            }),
+            catalog: new ProductCatalog({ storeName: storeName('products'), seedProducts })
+        };
+
+        this.tenants.set(tenant.id, tenant);
+        return tenant;
+    }
+
+    list() {
+        return Array.from(this.tenants.values());
+    }
+
+    // A tenant by ID (the default tenant when no ID is given), or null
+    get(id) {
+        return this.tenants.get(id || DEFAULT_TENANT_ID) || null;
+    }
+
+    getDefault() {
+        return this.get(DEFAULT_TENANT_ID);
+    }
+
+    // The tenant an order, subscription or job belongs to
+    forRecord(record) {
+        const tenant = this.get(tenantIdOf(record));
+        if (!tenant) {
+            throw new Error(`Tenant ${tenantIdOf(record)} is not configured`);
+        }
+        return tenant;
+    }
+
+    owns(tenant, record) {
+        return Boolean(record) && tenantIdOf(record) === tenant.id;
+    }
+
+    // The tenant a request is for: the one whose API key it carries, else the
+    // one named by x-tenant-id, else the one whose site it comes from
+    // (Origin or Referer), else the default. Null for an unknown x-tenant-id.
+    resolve({ apiKey, tenantId, origin }) {
+        const byKey = apiKey ? this.list().find(tenant => tenant.apiKey && tenant.apiKey === apiKey) : null;
+        if (byKey) return byKey;
+
+        if (tenantId) return this.get(tenantId);
+
+        const requestOrigin = origin ? normalizeOrigin(origin) : null;
+        return (requestOrigin && this.list().find(tenant => tenant.origins.includes(requestOrigin)))
+            || this.getDefault();
+    }
+
+    // Every tenant's site origins, for CORS
+    origins() {
+        return this.list().flatMap(tenant => tenant.origins);
+    }
+
+    // What the admin API shows about a tenant (no secrets)
+    describe(tenant) {
+        return {
+            id: tenant.id,
+            name: tenant.name,
+            businessName: tenant.businessName,
+            statementDescriptor: tenant.statementDescriptor,
+            origins: tenant.origins,
+            redirects: tenant.redirects,
+            paymongo: {
+                configured: Boolean(tenant.paymongo.secretKey),
+                webhookSecretConfigured: Boolean(tenant.paymongo.webhookSecret)
+            },
+            ghl: tenant.ghl.credentials.status(),
+            leadConnectorConfigured: Boolean(tenant.leadConnectorWebhook)
+        };
+    }
+}
+
+module.exports = new TenantService();
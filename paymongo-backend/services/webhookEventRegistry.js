@@ -0,0 +1,135 @@
+// services/webhookEventRegistry.js
+const money = require('../utils/money');
+
+// Pick the payment out of a checkout session: prefer the paid one, else the latest
+function pickSessionPayment(sessionAttributes) {
+    const payments = sessionAttributes?.payments
+        || sessionAttributes?.payment_intent?.attributes?.payments
+        || [];
+    return payments.find(p => p?.attributes?.status === 'paid') || payments[payments.length - 1] || null;
+}
+
+function mergeMetadata(...sources) {
+    return sources.reduce((merged, source) => {
+        if (source && typeof source === 'object') {
+            Object.assign(merged, source);
+        }
+        return merged;
+    }, {});
+}
+
+// Flatten the different PayMongo payload shapes (payment, checkout_session,
+// refund, source, ...) into one object the handlers can rely on.
+function normalizeEvent(event) {
+    const eventData = event?.data || {};
+    const eventAttributes = eventData.attributes || eventData;
+    const eventType = eventData.attributes?.type || eventData.type || event?.type;
+
+    const resource = eventAttributes.data || {};
+    const resourceType = resource.type;
+    const resourceAttributes = resource.attributes || {};
+
+    let payment = null;
+    let paymentIntent = null;
+    let checkoutSessionId = null;
+
+    switch (resourceType) {
+        case 'checkout_session':
+            checkoutSessionId = resource.id;
+            payment = pickSessionPayment(resourceAttributes);
+            paymentIntent = resourceAttributes.payment_intent || null;
+            break;
+        case 'payment':
+            payment = resource;
+            break;
+        case 'payment_intent':
+            paymentIntent = resource;
+            payment = (resourceAttributes.payments || [])[0] || null;
+            break;
+        default:
+            break;
+    }
+
+    const paymentAttributes = payment?.attributes || {};
+    const source = paymentAttributes.source || (resourceType === 'source' ? resourceAttributes : {}) || {};
+
+    // Payment metadata wins over intent metadata, which wins over session metadata
+    const metadata = mergeMetadata(
+        resourceType === 'checkout_session' ? resourceAttributes.metadata : null,
+        paymentIntent?.attributes?.metadata,
+        resourceType !== 'checkout_session' ? resourceAttributes.metadata : null,
+        paymentAttributes.metadata
+    );
+
+    const amountCentavos = Number(paymentAttributes.amount ?? resourceAttributes.amount);
+
+    return {
+        eventId: eventData.id,
+        eventType,
+        livemode: eventAttributes.livemode === true,
+        resourceType,
+        resourceId: resource.id,
+        paymentId: payment?.id || resourceAttributes.payment_id || null,
+        paymentIntentId: paymentAttributes.payment_intent_id || paymentIntent?.id || resourceAttributes.payment_intent_id || null,
+        checkoutSessionId,
+        refundId: resourceType === 'refund' ? resource.id : null,
+        sourceId: resourceType === 'source' ? resource.id : (source.id || null),
+        status: paymentAttributes.status || resourceAttributes.status || null,
+        amountCentavos: Number.isSafeInteger(amountCentavos) ? amountCentavos : undefined,
+        // Convert centavos to whole currency units with decimals preserved (e.g., 165000 -> 1650.00)
+        amount: Number.isSafeInteger(amountCentavos) ? money.fromCentavos(amountCentavos) : undefined,
+        currency: paymentAttributes.currency || resourceAttributes.currency || 'PHP',
+        paymentMethod: resourceAttributes.payment_method_used || source.type || null,
+        source: {
+            type: source.type,
+            brand: source.brand || source.card_brand,
+            last4: source.last4 || source.last_4
+        },
+        metadata,
+        payment,
+        resource,
+        eventAttributes
+    };
+}
+
+// Maps PayMongo event types to handler functions. Handlers receive the
+// normalized event produced by normalizeEvent(), with `tenant` set to the
+// tenant whose webhook received it.
+class WebhookEventRegistry {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    register(eventTypes, handler) {
+        [].concat(eventTypes).forEach(type => {
+            this.handlers.set(type, handler);
+        });
+    }
+
+    has(eventType) {
+        return this.handlers.has(eventType);
+    }
+
+    eventTypes() {
+        return Array.from(this.handlers.keys());
+    }
+
+    normalize(event) {
+        return normalizeEvent(event);
+    }
+
+    async dispatch(event, { tenant } = {}) {
+        const normalized = { ...this.normalize(event), tenant };
+        const handler = this.handlers.get(normalized.eventType);
+
+        if (!handler) {
+            console.log('Unhandled event type:', normalized.eventType);
+            return { handled: false, event: normalized };
+        }
+
+        await handler(normalized);
+        return { handled: true, event: normalized };
+    }
+}
+
+module.exports = new WebhookEventRegistry();
@@ -1,23 +1,36 @@
 // services/webhookService.js
 const axios = require('axios');
+const jobQueue = require('./jobQueue');
+const tenantService = require('./tenantService');
 
 class WebhookService {
     constructor() {
-        this.leadConnectorWebhook = process.env.LEADCONNECTOR_WEBHOOK;
+        // Deliveries go to the LeadConnector webhook of the job's tenant
+        jobQueue.registerHandler('leadconnector.send', (data, job) =>
+            this.sendToLeadConnector(data, tenantService.forRecord(job).leadConnectorWebhook));
     }
 
-    async sendToLeadConnector(data) {
+    // Queue a LeadConnector delivery; the job worker sends it and retries on failure
+    queueLeadConnector(data, { key, reference, tenant } = {}) {
+        return jobQueue.enqueue('leadconnector.send', data, {
+            key,
+            reference: reference || data.paymentReference,
+            tenant
+        });
+    }
+
+    async sendToLeadConnector(data, webhookUrl) {
         if (String(process.env.DISABLE_LEADCONNECTOR_WEBHOOK).toLowerCase() === 'true') {
             return;
         }
 
-        if (!this.leadConnectorWebhook) {
+        if (!webhookUrl) {
             console.log('LeadConnector webhook URL not configured');
             return;
         }
 
         try {
-            const response = await axios.post(this.leadConnectorWebhook, data, {
+            const response = await axios.post(webhookUrl, data, {
                 headers: {
                     'Content-Type': 'application/json',
                 },
@@ -27,22 +40,8 @@ class WebhookService {
             console.log('LeadConnector webhook sent successfully');
             return response.data;
         } catch (error) {
+            // Retries are handled by the job queue (see queueLeadConnector)
             console.error('Failed to send to LeadConnector:', error.message);
-
-            // Retry once after 5 seconds
-            setTimeout(async () => {
-                try {
-                    await axios.post(this.leadConnectorWebhook, {
-                        ...data,
-                        retry: true,
-                        originalError: error.message
-                    });
-                    console.log('LeadConnector webhook retry successful');
-                } catch (retryError) {
-                    console.error('LeadConnector webhook retry failed:', retryError.message);
-                }
-            }, 5000);
-
             throw error;
         }
     }
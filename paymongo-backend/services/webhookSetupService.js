@@ -0,0 +1,150 @@
+// services/webhookSetupService.js
+const webhookEventRegistry = require('./paymentEventHandlers');
+const { DEFAULT_TENANT_ID } = require('../utils/helpers');
+
+// Path of the webhook route (routes/payments.js, mounted at /api/payments)
+const WEBHOOK_PATH = '/api/payments/webhook';
+
+// Keeps a tenant's PayMongo webhook in line with config:
+//   PUBLIC_BASE_URL          where this server is reachable, e.g. https://api.yourdomain.com
+//   PAYMONGO_WEBHOOK_EVENTS  comma-separated event types (default: every type we handle)
+// The default tenant's webhook posts to WEBHOOK_PATH, other tenants' to
+// WEBHOOK_PATH/<tenant id>. A webhook is "stale" when it points at the
+// tenant's webhook path on another base URL (an old domain or tunnel).
+// Webhooks for other paths are never touched.
+class WebhookSetupService {
+    webhookPath(tenant) {
+        return tenant.id === DEFAULT_TENANT_ID ? WEBHOOK_PATH : `${WEBHOOK_PATH}/${tenant.id}`;
+    }
+
+    desiredWebhook(tenant) {
+        const baseUrl = String(process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+        if (!baseUrl) {
+            throw new Error('PUBLIC_BASE_URL is not configured (e.g. https://api.yourdomain.com)');
+        }
+
+        const path = this.webhookPath(tenant);
+        const url = `${baseUrl}${path}`;
+        try {
+            new URL(url);
+        } catch (error) {
+            throw new Error(`PUBLIC_BASE_URL is not a valid URL: ${baseUrl}`);
+        }
+
+        const handled = webhookEventRegistry.eventTypes();
+        const events = process.env.PAYMONGO_WEBHOOK_EVENTS
+            ? process.env.PAYMONGO_WEBHOOK_EVENTS.split(',').map(e => e.trim()).filter(Boolean)
+            : handled;
+
+        const warnings = events
+            .filter(e => !handled.includes(e))
+            .map(e => `${e} has no handler; it will be acknowledged and ignored`);
+
+        return { url, path, events: [...new Set(events)].sort(), warnings };
+    }
+
+    toWebhook(resource) {
+        const attributes = resource.attributes || {};
+        return {
+            id: resource.id,
+            url: attributes.url,
+            events: [...(attributes.events || [])].sort(),
+            status: attributes.status || 'enabled',
+            livemode: attributes.livemode === true,
+            secretKey: attributes.secret_key || null
+        };
+    }
+
+    async listWebhooks(tenant) {
+        const webhooks = await tenant.paymongo.listWebhooks();
+        return (webhooks || []).map(w => this.toWebhook(w));
+    }
+
+    pathOf(url) {
+        try {
+            return new URL(url).pathname.replace(/\/+$/, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    sameUrl(a, b) {
+        return String(a || '').replace(/\/+$/, '') === String(b || '').replace(/\/+$/, '');
+    }
+
+    sameEvents(a, b) {
+        return a.length === b.length && a.every((e, i) => e === b[i]);
+    }
+
+    // Work out what has to change. With `replace`, a stale webhook is moved to
+    // the new URL (keeping its secret key) instead of creating a new one and
+    // disabling the old.
+    plan(existing, desired, { replace = false } = {}) {
+        const actions = [];
+        const exact = existing.filter(w => this.sameUrl(w.url, desired.url));
+        const stale = existing.filter(w =>
+            !exact.includes(w) && w.status === 'enabled' && this.pathOf(w.url) === desired.path
+        );
+
+        let primary = exact.find(w => w.status === 'enabled') || exact[0] || null;
+
+        if (primary) {
+            if (primary.status !== 'enabled') {
+                actions.push({ type: 'enable', webhook: primary });
+            }
+            if (!this.sameEvents(primary.events, desired.events)) {
+                actions.push({ type: 'update', webhook: primary, changes: { events: desired.events } });
+            }
+            exact
+                .filter(w => w !== primary && w.status === 'enabled')
+                .forEach(w => actions.push({ type: 'disable', webhook: w, reason: 'duplicate' }));
+        } else if (replace && stale.length > 0) {
+            primary = stale.shift();
+            actions.push({ type: 'update', webhook: primary, changes: { url: desired.url, events: desired.events } });
+        } else {
+            actions.push({ type: 'create', changes: { url: desired.url, events: desired.events } });
+        }
+
+        stale.forEach(w => actions.push({ type: 'disable', webhook: w, reason: 'stale URL' }));
+
+        return { primary, actions };
+    }
+
+    // List, plan and (unless dryRun) apply for a tenant. Returns the plan, the
+    // webhook now serving desired.url and its secret key.
+    async sync({ tenant, dryRun = false, replace = false } = {}) {
+        const desired = this.desiredWebhook(tenant);
+        const existing = await this.listWebhooks(tenant);
+        const { paymongo } = tenant;
+        const { primary, actions } = this.plan(existing, desired, { replace });
+
+        if (dryRun) {
+            return { desired, existing, actions, applied: false, webhook: primary, secretKey: primary?.secretKey || null };
+        }
+
+        let webhook = primary;
+
+        // Create/update/enable before disabling, so deliveries never stop
+        for (const action of actions) {
+            if (action.type === 'create') {
+                const created = await paymongo.createWebhook(action.changes.url, action.changes.events);
+                webhook = this.toWebhook(created.data || created);
+            } else if (action.type === 'update') {
+                const updated = await paymongo.updateWebhook(action.webhook.id, action.changes);
+                const result = this.toWebhook(updated.data || updated);
+                webhook = { ...result, secretKey: result.secretKey || action.webhook.secretKey };
+            } else if (action.type === 'enable') {
+                await paymongo.enableWebhook(action.webhook.id);
+                webhook = { ...webhook, status: 'enabled' };
+            }
+        }
+
+        for (const action of actions.filter(a => a.type === 'disable')) {
+            await paymongo.disableWebhook(action.webhook.id);
+        }
+
+        return { desired, existing, actions, applied: true, webhook, secretKey: webhook?.secretKey || null };
+    }
+}
+
+module.exports = new WebhookSetupService();
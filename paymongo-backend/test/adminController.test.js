@@ -0,0 +1,138 @@
+// test/adminController.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Orders and queued jobs are written under DATA_DIR; keep them out of the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-controller-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const adminController = require('../controllers/adminController');
+const orderRepository = require('../repositories/orderRepository');
+const { mockResponse } = require('./support/http');
+
+let payments = 0;
+
+// A paid PayMongo payment of `amount` centavos with `refunds` (centavos)
+// already listed, and an order for it. Returns the tenant's PayMongo stand-in,
+// which records the calls made to it.
+function paidPayment({ amount = 100000, refunds = [], ledgerRefunded = 0 } = {}) {
+    const paymentId = `pay_${++payments}`;
+    const reference = `REF-REFUND-${payments}`;
+    orderRepository.create({
+        reference,
+        currency: 'PHP',
+        amounts: { totalAmount: amount / 100 },
+        paymongo: { paymentIds: [paymentId] }
+    });
+    if (ledgerRefunded) {
+        orderRepository.update(reference, { amounts: { totalAmount: amount / 100, refundedAmount: ledgerRefunded } });
+    }
+
+    const calls = [];
+    const paymongo = {
+        async getPayment(id) {
+            calls.push(['getPayment', id]);
+            return {
+                id,
+                attributes: {
+                    status: 'paid',
+                    amount,
+                    metadata: { paymentReference: reference },
+                    refunds: refunds.map((refundAmount, i) => ({ id: `ref_old_${i}`, attributes: { amount: refundAmount, status: 'succeeded' } }))
+                }
+            };
+        },
+        async refundPayment(id, refundAmount, reason) {
+            calls.push(['refundPayment', id, refundAmount, reason]);
+            return { data: { id: `ref_${payments}`, attributes: { status: 'pending', amount: refundAmount } } };
+        }
+    };
+    return { paymentId, reference, paymongo, calls };
+}
+
+async function refund(payment, body) {
+    const res = mockResponse();
+    await adminController.createRefund({
+        params: { paymentId: payment.paymentId },
+        body,
+        tenant: { id: 'default', paymongo: payment.paymongo }
+    }, res);
+    return res;
+}
+
+test('createRefund: amounts that are not plain decimals are rejected with 400 before PayMongo is called', async () => {
+    for (const amount of [true, '1e2', [5], { value: 5 }, 'abc', null, '', 'Infinity']) {
+        const payment = paidPayment();
+        const res = await refund(payment, { amount });
+        assert.equal(res.statusCode, 400, `amount ${JSON.stringify(amount)}`);
+        assert.deepEqual(payment.calls, [], `amount ${JSON.stringify(amount)}`);
+    }
+});
+
+test('createRefund: amounts below 0.01 are rejected with 400 before PayMongo is called', async () => {
+    for (const amount of [0, '0', '0.009', -5, '-1']) {
+        const payment = paidPayment();
+        const res = await refund(payment, { amount });
+        assert.equal(res.statusCode, 400, `amount ${amount}`);
+        assert.equal(res.body.error, 'Refund amount must be at least 0.01');
+        assert.deepEqual(payment.calls, []);
+    }
+});
+
+test('createRefund: an unknown reason is rejected with 400', async () => {
+    const payment = paidPayment();
+    const res = await refund(payment, { amount: 100, reason: 'changed_mind' });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(payment.calls, []);
+});
+
+test('createRefund: a refund above the unrefunded balance is rejected with 400', async () => {
+    const payment = paidPayment({ amount: 100000, refunds: [60000] });
+    const res = await refund(payment, { amount: '400.01' });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'Refund amount exceeds the unrefunded balance', remainingAmount: 400 });
+    assert.deepEqual(payment.calls.map(([name]) => name), ['getPayment']);
+});
+
+test('createRefund: refunds recorded on the order count when PayMongo lists fewer', async () => {
+    const payment = paidPayment({ amount: 100000, refunds: [10000], ledgerRefunded: 700 });
+    const res = await refund(payment, { amount: 300.01 });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.remainingAmount, 300);
+});
+
+test('createRefund: a partial refund is floored to the centavo and leaves the rest refundable', async () => {
+    const payment = paidPayment({ amount: 100000, refunds: [25000] });
+    const res = await refund(payment, { amount: '100.999' });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.amount, 100.99);
+    assert.equal(res.body.remainingAmount, 649.01);
+    assert.deepEqual(payment.calls[1], ['refundPayment', payment.paymentId, 100.99, 'requested_by_customer']);
+
+    const order = orderRepository.findByReference(payment.reference);
+    assert.equal(order.status, 'pending');
+    assert.deepEqual(order.refunds.map(r => [r.amount, r.status]), [[100.99, 'pending']]);
+});
+
+test('createRefund: without an amount the whole unrefunded balance is refunded', async () => {
+    const payment = paidPayment({ amount: 100000, refunds: [25000] });
+    const res = await refund(payment, {});
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.amount, 750);
+    assert.equal(res.body.remainingAmount, 0);
+});
+
+test('createRefund: a fully refunded payment gets 409', async () => {
+    const payment = paidPayment({ amount: 100000, refunds: [40000, 60000] });
+    const res = await refund(payment, { amount: 1 });
+
+    assert.equal(res.statusCode, 409);
+    assert.deepEqual(payment.calls.map(([name]) => name), ['getPayment']);
+});
@@ -0,0 +1,105 @@
+// test/auth.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tenant records are read from DATA_DIR; keep them out of the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+delete process.env.PAYMONGO_WEBHOOK_TOLERANCE;
+
+const { verifyPaymongoSignature } = require('../middleware/auth');
+const { mockResponse } = require('./support/http');
+
+const SECRET = 'whsk_test_secret';
+const now = () => Math.floor(Date.now() / 1000);
+const sign = (timestamp, rawBody, secret = SECRET) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+// A webhook request for `body`, signed in `te` (test) or `li` (live)
+function webhookRequest(body, { timestamp = now(), te, li, secret = SECRET, header } = {}) {
+    const rawBody = JSON.stringify(body);
+    const signature = sign(timestamp, rawBody);
+    return {
+        ip: '127.0.0.1',
+        originalUrl: '/api/payments/webhook',
+        tenant: { id: 'default', paymongo: { webhookSecret: secret } },
+        headers: {
+            'paymongo-signature': header ?? `t=${timestamp},te=${te ?? signature},li=${li ?? ''}`
+        },
+        rawBody: Buffer.from(rawBody),
+        body
+    };
+}
+
+// Run the middleware; returns whether it called next() and the response
+function verify(req) {
+    const res = mockResponse();
+    let passed = false;
+    verifyPaymongoSignature(req, res, () => { passed = true; });
+    return { passed, res };
+}
+
+const testEvent = { data: { id: 'evt_1', attributes: { type: 'payment.paid', livemode: false } } };
+const liveEvent = { data: { id: 'evt_2', attributes: { type: 'payment.paid', livemode: true } } };
+
+test('verifyPaymongoSignature: accepts a test event signed in te', () => {
+    const { passed } = verify(webhookRequest(testEvent));
+    assert.equal(passed, true);
+});
+
+test('verifyPaymongoSignature: rejects a body changed after signing', () => {
+    const req = webhookRequest(testEvent);
+    req.rawBody = Buffer.from(JSON.stringify({ ...testEvent, tampered: true }));
+
+    const { passed, res } = verify(req);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'Invalid webhook signature' });
+});
+
+test('verifyPaymongoSignature: rejects a signature made with another secret', () => {
+    const req = webhookRequest(testEvent);
+    req.tenant.paymongo.webhookSecret = 'whsk_other';
+    assert.equal(verify(req).passed, false);
+});
+
+test('verifyPaymongoSignature: live events are checked against li, test events against te', () => {
+    const timestamp = now();
+    const liveSignature = sign(timestamp, JSON.stringify(liveEvent));
+
+    // A live event with only a (valid) test signature is rejected
+    assert.equal(verify(webhookRequest(liveEvent, { timestamp, te: liveSignature, li: '' })).passed, false);
+    assert.equal(verify(webhookRequest(liveEvent, { timestamp, te: '', li: liveSignature })).passed, true);
+
+    // And a test event signed only in li is rejected
+    const testSignature = sign(timestamp, JSON.stringify(testEvent));
+    assert.equal(verify(webhookRequest(testEvent, { timestamp, te: '', li: testSignature })).passed, false);
+});
+
+test('verifyPaymongoSignature: the timestamp must be within PAYMONGO_WEBHOOK_TOLERANCE', () => {
+    assert.equal(verify(webhookRequest(testEvent, { timestamp: now() - 290 })).passed, true);
+    assert.equal(verify(webhookRequest(testEvent, { timestamp: now() - 310 })).passed, false);
+    assert.equal(verify(webhookRequest(testEvent, { timestamp: now() + 310 })).passed, false);
+
+    process.env.PAYMONGO_WEBHOOK_TOLERANCE = '600';
+    try {
+        assert.equal(verify(webhookRequest(testEvent, { timestamp: now() - 310 })).passed, true);
+    } finally {
+        delete process.env.PAYMONGO_WEBHOOK_TOLERANCE;
+    }
+});
+
+test('verifyPaymongoSignature: rejects a missing header or timestamp', () => {
+    const req = webhookRequest(testEvent);
+    delete req.headers['paymongo-signature'];
+    assert.equal(verify(req).passed, false);
+
+    assert.equal(verify(webhookRequest(testEvent, { header: `te=${sign(now(), JSON.stringify(testEvent))}` })).passed, false);
+});
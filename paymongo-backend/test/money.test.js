@@ -0,0 +1,83 @@
+// test/money.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const money = require('../utils/money');
+const { forAll } = require('./support/random');
+
+const MAX_CENTAVOS = 1000000000; // PHP 10,000,000.00
+
+// A tax rate as PayMongo/taxService would use it: "0" to "1" with up to 4 decimals
+const randomRate = random => random.pick(['0', '0.12', '0.1', random.decimal(1, 4)]);
+
+test('toCentavos/fromCentavos round-trip two-decimal amounts exactly', () => {
+    forAll(random => random.int(-MAX_CENTAVOS, MAX_CENTAVOS), centavos => {
+        assert.equal(money.toCentavos(money.fromCentavos(centavos)), centavos);
+        assert.equal(money.toCentavos(money.format(centavos)), centavos);
+    });
+});
+
+test('addTax: base + tax === total, tax is the rounded rate of base', () => {
+    forAll(random => ({ base: random.int(0, MAX_CENTAVOS), rate: randomRate(random) }), ({ base, rate }) => {
+        const { baseCentavos, taxCentavos, totalCentavos } = money.addTax(base, rate);
+
+        assert.equal(baseCentavos, base);
+        assert.equal(baseCentavos + taxCentavos, totalCentavos);
+        assert.ok(Number.isSafeInteger(taxCentavos) && taxCentavos >= 0);
+        assert.ok(Math.abs(taxCentavos - base * Number(rate)) <= 0.5 + 1e-6);
+    });
+});
+
+test('splitTax: base + tax === total, and the split agrees with addTax to a centavo', () => {
+    forAll(random => ({ total: random.int(0, MAX_CENTAVOS), rate: randomRate(random) }), ({ total, rate }) => {
+        const { baseCentavos, taxCentavos, totalCentavos } = money.splitTax(total, rate);
+
+        assert.equal(totalCentavos, total);
+        assert.equal(baseCentavos + taxCentavos, total);
+        assert.ok(baseCentavos >= 0 && taxCentavos >= 0);
+        assert.ok(Math.abs(money.applyRate(baseCentavos, rate) - taxCentavos) <= 1);
+    });
+});
+
+test('applyPercent: stays within [0, amount] and is the rounded percentage', () => {
+    forAll(random => ({ amount: random.int(0, MAX_CENTAVOS), percent: random.decimal(100, 2) }), ({ amount, percent }) => {
+        const part = money.applyPercent(amount, percent);
+
+        assert.ok(Number.isSafeInteger(part));
+        assert.ok(part >= 0 && part <= amount);
+        assert.ok(Math.abs(part - amount * Number(percent) / 100) <= 0.5 + 1e-6);
+    });
+});
+
+test('allocate: parts add up exactly and each is within a centavo of its share', () => {
+    forAll(random => {
+        const weights = Array.from({ length: random.int(1, 12) }, () => random.int(0, 10000000));
+        return { amount: random.int(0, MAX_CENTAVOS), weights };
+    }, ({ amount, weights }) => {
+        const parts = money.allocate(amount, weights);
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+        assert.equal(parts.length, weights.length);
+        assert.equal(money.sum(parts), amount);
+        parts.forEach((part, i) => {
+            assert.ok(Number.isSafeInteger(part) && part >= 0);
+            if (totalWeight > 0) {
+                assert.ok(Math.abs(part - amount * weights[i] / totalWeight) < 1);
+            }
+        });
+    });
+});
+
+test('divide: FLOOR <= HALF_UP/HALF_EVEN <= CEIL, at most one apart', () => {
+    forAll(random => ({ n: random.int(-MAX_CENTAVOS, MAX_CENTAVOS), d: random.int(1, 100000) }), ({ n, d }) => {
+        const floor = money.divide(n, d, money.ROUNDING.FLOOR);
+        const ceil = money.divide(n, d, money.ROUNDING.CEIL);
+
+        assert.equal(floor, Math.floor(n / d));
+        assert.ok(ceil - floor <= 1);
+        [money.ROUNDING.HALF_UP, money.ROUNDING.HALF_EVEN].forEach(mode => {
+            const rounded = money.divide(n, d, mode);
+            assert.ok(rounded >= floor && rounded <= ceil);
+        });
+    });
+});
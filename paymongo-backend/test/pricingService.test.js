@@ -0,0 +1,206 @@
+// test/pricingService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Promo redemptions are read from DATA_DIR; keep them out of the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const pricingService = require('../services/pricingService');
+const promoService = require('../services/promoService');
+const taxService = require('../services/taxService');
+const money = require('../utils/money');
+const { forAll } = require('./support/random');
+
+const MIN_CHARGE_CENTAVOS = 2000;
+const c = amount => money.toCentavos(amount);
+const sumOf = (items, key) => money.sum(items.map(item => c(item[key])));
+
+function randomProduct(random, i) {
+    return {
+        sku: `sku-${i}`,
+        name: `Product ${i}`,
+        price: money.fromCentavos(random.int(1, 10000000)),
+        currency: 'PHP',
+        taxCategory: random.pick(taxService.listCategories().map(category => category.key)),
+        taxInclusive: random.bool()
+    };
+}
+
+function randomPromo(random, skus) {
+    const type = random.pick(['percent', 'fixed']);
+    return {
+        code: 'PROPERTY',
+        type,
+        value: type === 'percent'
+            ? Number(random.decimal(100, 2)) || 1
+            : money.fromCentavos(random.int(1, 5000000)),
+        // Sometimes only part of the cart is eligible
+        products: random.bool() ? [] : skus.filter(() => random.bool())
+    };
+}
+
+function randomCart(random) {
+    const items = Array.from({ length: random.int(1, 5) }, (_, i) => ({
+        product: randomProduct(random, i),
+        quantity: random.int(1, 10)
+    }));
+    const promo = random.int(0, 3) > 0 ? randomPromo(random, items.map(item => item.product.sku)) : null;
+    return { items, promo };
+}
+
+function quoteWith({ items, promo }) {
+    promoService.codes = promo ? [promo] : [];
+    return pricingService.quoteCart(items, { promoCode: promo?.code });
+}
+
+function assertBalanced(quote) {
+    // Totals: base and tax are after discount, so base + tax === final and
+    // subtotal - discount === final
+    assert.equal(c(quote.baseAmount) + c(quote.taxAmount), c(quote.finalAmount));
+    assert.equal(c(quote.subtotal) - c(quote.discountAmount), c(quote.finalAmount));
+
+    // Lines add up to the totals
+    assert.equal(sumOf(quote.lines, 'baseAmount'), c(quote.baseAmount));
+    assert.equal(sumOf(quote.lines, 'taxAmount'), c(quote.taxAmount));
+    assert.equal(sumOf(quote.lines, 'subtotal'), c(quote.subtotal));
+    assert.equal(sumOf(quote.lines, 'discountAmount'), c(quote.discountAmount));
+
+    quote.lines.forEach(line => {
+        assert.equal(c(line.baseAmount) + c(line.taxAmount), c(line.subtotal) - c(line.discountAmount));
+        if (line.discountAmount === 0) {
+            assert.equal(c(line.baseAmount), c(line.unitBaseAmount) * line.quantity);
+            assert.equal(c(line.taxAmount), c(line.unitTaxAmount) * line.quantity);
+        }
+        if (line.taxRate === 0) {
+            assert.equal(line.taxAmount, 0);
+        }
+        assert.equal(c(line.unitBaseAmount) + c(line.unitTaxAmount), c(line.unitAmount));
+        assert.equal(c(line.unitAmount) * line.quantity, c(line.subtotal));
+        assert.ok(c(line.discountAmount) >= 0 && c(line.discountAmount) <= c(line.subtotal));
+    });
+
+    // The tax breakdown covers every line once, after discount
+    assert.equal(sumOf(quote.taxBreakdown, 'taxableAmount'), c(quote.baseAmount));
+    assert.equal(sumOf(quote.taxBreakdown, 'taxAmount'), c(quote.taxAmount));
+
+    // What PayMongo/GHL are billed is what the quote charges
+    const billed = money.sum(pricingService.toBillableLines(quote).map(line => c(line.amount) * line.quantity));
+    assert.equal(billed, c(quote.finalAmount));
+}
+
+test('quoteCart: amounts balance in centavos for random carts, rates and promos', () => {
+    forAll(randomCart, cart => {
+        const quote = quoteWith(cart);
+        const undiscounted = quoteWith({ items: cart.items, promo: null });
+        assertBalanced(undiscounted);
+
+        if (!cart.promo) {
+            assert.equal(quote.discountAmount, 0);
+            return;
+        }
+
+        const eligible = cart.items.filter(({ product }) =>
+            cart.promo.products.length === 0 || cart.promo.products.includes(product.sku));
+        if (eligible.length === 0) {
+            assert.equal(quote.error, 'Promo code is not valid for this product');
+            return;
+        }
+
+        const eligibleCentavos = money.sum(eligible.map(({ product, quantity }) =>
+            taxService.priceCentavos(product).totalCentavos * quantity));
+        const expectedDiscount = promoService.calculateDiscount(cart.promo, eligibleCentavos);
+
+        if (c(undiscounted.subtotal) - expectedDiscount < MIN_CHARGE_CENTAVOS) {
+            assert.match(quote.error, /can't bring the total below PHP 20\.00/);
+            return;
+        }
+
+        assert.equal(quote.error, undefined);
+        assert.equal(c(quote.discountAmount), expectedDiscount);
+        assert.equal(c(quote.subtotal), c(undiscounted.subtotal));
+        assertBalanced(quote);
+
+        // A discount reduces base and tax, never raises them
+        quote.lines.forEach((line, i) => {
+            assert.ok(c(line.baseAmount) <= c(undiscounted.lines[i].baseAmount));
+            assert.ok(c(line.taxAmount) <= c(undiscounted.lines[i].taxAmount));
+        });
+
+        // Only eligible lines are discounted
+        quote.lines.forEach(line => {
+            if (!eligible.some(({ product }) => product.sku === line.sku)) {
+                assert.equal(line.discountAmount, 0);
+            }
+        });
+    });
+});
+
+test('priceProduct: base + tax === total for every tax category', () => {
+    forAll(random => randomProduct(random, 0), product => {
+        const priced = pricingService.priceProduct(product);
+        assert.equal(c(priced.baseAmount) + c(priced.taxAmount), c(priced.totalAmount));
+        if (priced.taxInclusive) {
+            assert.equal(c(priced.totalAmount), c(product.price));
+        } else {
+            assert.equal(c(priced.baseAmount), c(product.price));
+        }
+    });
+});
+
+test('catalogue: every product has a known tax category', () => {
+    const products = require('../catalog/products.json');
+    products.forEach(product => {
+        assert.ok(taxService.isCategory(product.taxCategory), `${product.sku}: ${product.taxCategory}`);
+    });
+});
+
+// What each SKU charged before it had a tax category: its price plus the
+// standard TAX_RATE (10%) on top
+const PRICES_BEFORE_TAX_CATEGORIES = {
+    'startup-va-course': 1500,
+    'ghl-practice-access': 500,
+    'freelancer-plan': 3500,
+    'dedicated-coaching': 999,
+    'customization-plan': 5000,
+    'client-finder-tool': 500
+};
+
+test('catalogue: tax categories leave what customers are charged unchanged', () => {
+    const products = require('../catalog/products.json');
+    products.forEach(product => {
+        const before = taxService.priceCentavos({ price: PRICES_BEFORE_TAX_CATEGORIES[product.sku], taxCategory: 'standard' });
+        assert.equal(taxService.priceCentavos(product).totalCentavos, before.totalCentavos, product.sku);
+    });
+});
+
+test('catalogue: stored products without a tax category take the seed\'s when the total is unchanged', () => {
+    const FileStore = require('../utils/fileStore');
+    const ProductCatalog = require('../services/productCatalog');
+    const seedProducts = require('../catalog/products.json');
+
+    new FileStore('products-migration-test', { products: null }).update(data => {
+        data.products = Object.fromEntries(seedProducts.map(({ taxCategory, ...product }) => [product.sku, {
+            ...product,
+            taxInclusive: false,
+            price: PRICES_BEFORE_TAX_CATEGORIES[product.sku]
+        }]));
+        // Edited by an admin since: its total would change, so it is left alone
+        data.products['client-finder-tool'].price = 600;
+    });
+
+    const catalog = new ProductCatalog({ storeName: 'products-migration-test', seedProducts });
+    seedProducts.forEach(seed => {
+        const product = catalog.getBySku(seed.sku);
+        if (seed.sku === 'client-finder-tool') {
+            assert.equal(product.taxCategory, undefined);
+            assert.equal(product.price, 600);
+            return;
+        }
+        assert.equal(product.taxCategory, seed.taxCategory);
+        assert.equal(taxService.priceCentavos(product).totalCentavos, taxService.priceCentavos(seed).totalCentavos);
+    });
+});
@@ -0,0 +1,123 @@
+// test/promoService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Promo redemptions are kept under DATA_DIR; keep them out of the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'promo-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+delete process.env.PROMO_CODES;
+delete process.env.PROMO_RESERVATION_HOURS;
+
+const promoService = require('../services/promoService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date();
+const later = hours => new Date(NOW.getTime() + hours * HOUR_MS);
+
+let codes = 0;
+
+// A fresh code (so tests don't share redemptions) with the given limits
+function promoCode(definition = {}) {
+    const code = `TEST${++codes}`;
+    promoService.codes = [{ code, type: 'percent', value: 10, ...definition }];
+    return code;
+}
+
+const reserve = (code, email, paymentReference, options = {}) =>
+    promoService.reserve({ code, email, paymentReference, now: NOW, ...options });
+
+test('reserve: maxUses is shared by every customer\'s open checkouts', () => {
+    const code = promoCode({ maxUses: 2 });
+
+    assert.equal(reserve(code, 'a@example.com', 'R1-A').reserved, true);
+    assert.equal(reserve(code, 'b@example.com', 'R1-B').reserved, true);
+    assert.deepEqual(reserve(code, 'c@example.com', 'R1-C'), { reserved: false, error: 'Promo code usage limit reached' });
+
+    // A released checkout gives its use back
+    promoService.release('R1-A', 'cancelled');
+    assert.equal(reserve(code, 'c@example.com', 'R1-C').reserved, true);
+});
+
+test('reserve: redeemed uses count, and reserving again for a paid checkout succeeds', () => {
+    const code = promoCode({ maxUses: 1 });
+
+    reserve(code, 'a@example.com', 'R2-PAID');
+    promoService.recordRedemption({ code, email: 'a@example.com', paymentReference: 'R2-PAID' });
+
+    assert.equal(reserve(code, 'b@example.com', 'R2-OTHER').reserved, false);
+    assert.deepEqual(reserve(code, 'a@example.com', 'R2-PAID'), { reserved: true, superseded: [] });
+});
+
+test('reserve: reservations lapse after PROMO_RESERVATION_HOURS', () => {
+    const code = promoCode({ maxUses: 1 });
+
+    reserve(code, 'a@example.com', 'R3-A');
+    assert.equal(reserve(code, 'b@example.com', 'R3-B', { now: later(23) }).reserved, false);
+    assert.equal(reserve(code, 'b@example.com', 'R3-B', { now: later(25) }).reserved, true);
+});
+
+test('reserve: reserving again for the same checkout extends it without taking another use', () => {
+    const code = promoCode({ maxUses: 1 });
+
+    reserve(code, 'a@example.com', 'R4-A');
+    assert.deepEqual(reserve(code, 'a@example.com', 'R4-A', { now: later(20) }), { reserved: true, superseded: [] });
+
+    // Still held 40 hours in: the second reservation pushed the expiry out
+    assert.equal(reserve(code, 'b@example.com', 'R4-B', { now: later(40) }).reserved, false);
+    assert.equal(promoService.countRedemptions(code), 1);
+});
+
+test('reserve: a new checkout supersedes the customer\'s open ones under maxUsesPerEmail', () => {
+    const code = promoCode({ maxUsesPerEmail: 1 });
+
+    reserve(code, 'a@example.com', 'R5-1');
+    const second = reserve(code, ' A@Example.com ', 'R5-2');
+
+    assert.deepEqual(second, { reserved: true, superseded: ['R5-1'] });
+    assert.equal(promoService.countRedemptions(code, 'a@example.com'), 1);
+});
+
+test('reserve: with supersede: false the customer\'s open checkouts count towards maxUsesPerEmail', () => {
+    const code = promoCode({ maxUsesPerEmail: 1 });
+
+    reserve(code, 'a@example.com', 'R6-1');
+    promoService.release('R6-1', 'expired');
+    reserve(code, 'a@example.com', 'R6-2');
+
+    // Re-holding the first checkout (a reminder or retry link) must not take the second's place
+    assert.deepEqual(
+        reserve(code, 'a@example.com', 'R6-1', { supersede: false }),
+        { reserved: false, error: 'Promo code already used by this customer' }
+    );
+});
+
+test('reserve: a paid redemption is never superseded', () => {
+    const code = promoCode({ maxUsesPerEmail: 1 });
+
+    reserve(code, 'a@example.com', 'R7-1');
+    promoService.recordRedemption({ code, email: 'a@example.com', paymentReference: 'R7-1' });
+
+    assert.deepEqual(reserve(code, 'a@example.com', 'R7-2'), { reserved: false, error: 'Promo code already used by this customer' });
+});
+
+test('reserve: codes outside their startsAt/endsAt window can\'t be reserved, even for an existing checkout', () => {
+    const code = promoCode({ startsAt: later(1).toISOString(), endsAt: later(48).toISOString() });
+
+    assert.deepEqual(reserve(code, 'a@example.com', 'R8-1'), { reserved: false, error: 'Promo code is not yet active' });
+    assert.equal(reserve(code, 'a@example.com', 'R8-1', { now: later(2) }).reserved, true);
+    assert.deepEqual(
+        reserve(code, 'a@example.com', 'R8-1', { supersede: false, now: later(49) }),
+        { reserved: false, error: 'Promo code has expired' }
+    );
+});
+
+test('reserve: unknown and inactive codes are refused', () => {
+    const code = promoCode({ active: false });
+
+    assert.deepEqual(reserve(code, 'a@example.com', 'R9-1'), { reserved: false, error: 'Invalid promo code' });
+    assert.deepEqual(reserve('NOPE', 'a@example.com', 'R9-1'), { reserved: false, error: 'Invalid promo code' });
+});
@@ -0,0 +1,25 @@
+// test/support/http.js
+
+// Minimal stand-in for an Express response, for calling controllers and
+// middleware directly. Records the status code and the body sent.
+function mockResponse() {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        send(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+}
+
+module.exports = { mockResponse };
@@ -0,0 +1,91 @@
+// test/support/paymongoStub.js
+const http = require('http');
+
+// In-process stand-in for the PayMongo webhooks API, for tests that point
+// PAYMONGO_API_URL at it. Webhooks live in memory and every request is
+// recorded as { method, path, body }. Like PayMongo, only a new webhook's
+// response carries its secret key.
+function startPaymongoStub({ webhooks = [] } = {}) {
+    const state = {
+        webhooks: webhooks.map(webhook => ({ status: 'enabled', ...webhook })),
+        requests: []
+    };
+    let nextId = 1;
+
+    const resource = (webhook, { withSecret = false } = {}) => ({
+        id: webhook.id,
+        type: 'webhook',
+        attributes: {
+            url: webhook.url,
+            events: webhook.events,
+            status: webhook.status,
+            livemode: false,
+            secret_key: withSecret ? webhook.secretKey : undefined
+        }
+    });
+
+    const routes = [
+        ['GET', /^\/webhooks$/, () => ({ data: state.webhooks.map(w => resource(w, { withSecret: true })) })],
+        ['POST', /^\/webhooks$/, (match, body) => {
+            const webhook = {
+                id: `hook_new_${nextId++}`,
+                url: body.data.attributes.url,
+                events: body.data.attributes.events,
+                status: 'enabled',
+                secretKey: `whsk_new_${nextId}`
+            };
+            state.webhooks.push(webhook);
+            return { data: resource(webhook, { withSecret: true }) };
+        }],
+        ['PUT', /^\/webhooks\/([^/]+)$/, (match, body, webhook) => {
+            const { url, events } = body.data.attributes;
+            Object.assign(webhook, url ? { url } : {}, events ? { events } : {});
+            return { data: resource(webhook) };
+        }],
+        ['POST', /^\/webhooks\/([^/]+)\/(enable|disable)$/, (match, body, webhook) => {
+            webhook.status = match[2] === 'enable' ? 'enabled' : 'disabled';
+            return { data: resource(webhook) };
+        }]
+    ];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            state.requests.push({ method: req.method, path: req.url, body });
+
+            const send = (status, payload) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            };
+
+            for (const [method, pattern, handle] of routes) {
+                const match = req.method === method && req.url.match(pattern);
+                if (!match) continue;
+
+                const webhook = match[1] ? state.webhooks.find(w => w.id === match[1]) : null;
+                if (match[1] && !webhook) {
+                    return send(404, { errors: [{ code: 'resource_not_found', detail: `No webhook ${match[1]}` }] });
+                }
+                return send(200, handle(match, body, webhook));
+            }
+
+            send(404, { errors: [{ code: 'route_not_found', detail: `${req.method} ${req.url}` }] });
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                state,
+                // Requests that changed something (everything but the list)
+                writes: () => state.requests.filter(r => r.method !== 'GET'),
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startPaymongoStub };
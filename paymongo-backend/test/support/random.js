@@ -0,0 +1,56 @@
+// test/support/random.js
+// Seeded random inputs for the property tests. Each run prints its seed;
+// set TEST_SEED to replay a failing run and TEST_RUNS to change how many
+// cases are generated per property.
+const SEED = Number(process.env.TEST_SEED || Date.now() % 2147483647);
+const RUNS = Number(process.env.TEST_RUNS || 500);
+
+// mulberry32: small, fast and good enough for test inputs
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        // Integer in [min, max]
+        int(min, max) {
+            return min + Math.floor(next() * (max - min + 1));
+        },
+        bool() {
+            return next() < 0.5;
+        },
+        pick(values) {
+            return values[Math.floor(next() * values.length)];
+        },
+        // Decimal string with up to `places` decimals in [0, max]
+        decimal(max, places) {
+            const scale = Math.pow(10, places);
+            return String(this.int(0, max * scale) / scale);
+        }
+    };
+}
+
+// Check `property` against RUNS generated inputs. A failure reports the seed
+// and the input that broke it.
+function forAll(generate, property) {
+    const random = createRandom(SEED);
+
+    for (let run = 0; run < RUNS; run++) {
+        const input = generate(random);
+        try {
+            property(input);
+        } catch (error) {
+            error.message = `${error.message}\n  seed: ${SEED} (TEST_SEED=${SEED} to replay), run ${run}\n  input: ${JSON.stringify(input)}`;
+            throw error;
+        }
+    }
+}
+
+console.log(`# property tests: seed ${SEED}, ${RUNS} runs each`);
+
+module.exports = { createRandom, forAll, SEED, RUNS };
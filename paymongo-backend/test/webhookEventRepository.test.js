@@ -0,0 +1,110 @@
+// test/webhookEventRepository.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The dedupe log is kept under DATA_DIR; keep it out of the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-events-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const FileStore = require('../utils/fileStore');
+const webhookEventRepository = require('../repositories/webhookEventRepository');
+const webhookEventRegistry = require('../services/webhookEventRegistry');
+const paymentController = require('../controllers/paymentController');
+const { mockResponse } = require('./support/http');
+
+const MINUTE_MS = 60 * 1000;
+
+let stores = 0;
+const freshRepository = () => new webhookEventRepository.constructor(
+    new FileStore(`webhook-events-${++stores}`, { events: {}, payments: {} })
+);
+
+test('claimEvent: only the first of several deliveries claims the event', () => {
+    const repository = freshRepository();
+    const claims = Array.from({ length: 5 }, () => repository.claimEvent('evt_1', { type: 'payment.paid', paymentId: 'pay_1' }));
+
+    assert.deepEqual(claims.map(claim => claim.claimed), [true, false, false, false, false]);
+    assert.equal(claims[1].record.status, 'processing');
+    assert.equal(repository.getEvent('evt_1').attempts, 1);
+    assert.equal(repository.getEvent('evt_1').paymentId, 'pay_1');
+});
+
+test('claimEvent: the claim is written to the store before it returns', () => {
+    const name = `webhook-events-${++stores}`;
+    const repository = new webhookEventRepository.constructor(new FileStore(name, { events: {}, payments: {} }));
+    repository.claimEvent('evt_1', { type: 'payment.paid' });
+
+    // Another process reading the file sees the claim
+    const onDisk = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, `${name}.json`), 'utf8'));
+    assert.equal(onDisk.events.evt_1.status, 'processing');
+});
+
+test('claimEvent: a processed event is never claimed again', () => {
+    const repository = freshRepository();
+    repository.claimEvent('evt_1');
+    repository.completeEvent('evt_1');
+
+    const claim = repository.claimEvent('evt_1', {}, new Date(Date.now() + 60 * MINUTE_MS));
+    assert.equal(claim.claimed, false);
+    assert.equal(claim.record.status, 'processed');
+});
+
+test('claimEvent: a failed event, or a claim past WEBHOOK_PROCESSING_TIMEOUT_MS, can be claimed again', () => {
+    const repository = freshRepository();
+    const start = new Date();
+
+    repository.claimEvent('evt_failed', {}, start);
+    repository.failEvent('evt_failed', new Error('GHL timeout'));
+    const retry = repository.claimEvent('evt_failed', {}, start);
+    assert.equal(retry.claimed, true);
+    assert.equal(retry.record.attempts, 2);
+    assert.equal(retry.record.lastError, 'GHL timeout');
+
+    repository.claimEvent('evt_stuck', {}, start);
+    assert.equal(repository.claimEvent('evt_stuck', {}, new Date(start.getTime() + 4 * MINUTE_MS)).claimed, false);
+    assert.equal(repository.claimEvent('evt_stuck', {}, new Date(start.getTime() + 6 * MINUTE_MS)).claimed, true);
+});
+
+test('claimEvent: requires an event ID', () => {
+    assert.throws(() => freshRepository().claimEvent(undefined), /Webhook event ID required/);
+});
+
+// Deliver `event` to the webhook controller
+async function deliver(event) {
+    const res = mockResponse();
+    await paymentController.handleWebhook({ body: event, headers: {}, tenant: { id: 'default' } }, res);
+    return res;
+}
+
+const webhookEvent = (id, type) => ({ data: { id, type: 'event', attributes: { type, livemode: false, data: {} } } });
+
+test('handleWebhook: a duplicate delivery while the first is processing gets 409, then 200 once processed', async () => {
+    let finish;
+    const processing = new Promise(resolve => { finish = resolve; });
+    let calls = 0;
+    webhookEventRegistry.register(['test.slow'], async () => {
+        calls += 1;
+        await processing;
+    });
+
+    const first = deliver(webhookEvent('evt_slow', 'test.slow'));
+    const duplicate = await deliver(webhookEvent('evt_slow', 'test.slow'));
+    assert.equal(duplicate.statusCode, 409);
+    assert.deepEqual(duplicate.body, { received: false, inProgress: true });
+
+    finish();
+    assert.equal((await first).statusCode, 200);
+
+    const redelivery = await deliver(webhookEvent('evt_slow', 'test.slow'));
+    assert.equal(redelivery.statusCode, 200);
+    assert.deepEqual(redelivery.body, { received: true, duplicate: true });
+    assert.equal(calls, 1);
+});
+
+test('handleWebhook: an event without an ID is rejected with 400', async () => {
+    const res = await deliver({ data: { attributes: { type: 'payment.paid' } } });
+    assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,154 @@
+// test/webhookSetupService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The event handlers keep their stores under DATA_DIR; keep them out of the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-setup-test-'));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+delete process.env.PAYMONGO_WEBHOOK_EVENTS;
+process.env.PUBLIC_BASE_URL = 'https://api.example.com';
+
+const webhookSetupService = require('../services/webhookSetupService');
+const PayMongoService = require('../services/paymongoService');
+const { startPaymongoStub } = require('./support/paymongoStub');
+
+const URL_NOW = 'https://api.example.com/api/payments/webhook';
+const URL_OLD = 'https://old-tunnel.example.net/api/payments/webhook';
+const URL_OTHER = 'https://api.example.com/hooks/something-else';
+
+const tenantFor = stub => {
+    process.env.PAYMONGO_API_URL = stub.url;
+    return { id: 'default', paymongo: new PayMongoService({ tenantId: 'default', secretKey: 'sk_test_stub' }) };
+};
+
+// Start a stub with `webhooks`, run sync() against it and stop it again
+async function syncWith(webhooks, options = {}) {
+    const stub = await startPaymongoStub({ webhooks });
+    try {
+        const result = await webhookSetupService.sync({ tenant: tenantFor(stub), ...options });
+        return { result, stub };
+    } finally {
+        await stub.close();
+    }
+}
+
+const desired = () => webhookSetupService.desiredWebhook({ id: 'default' });
+const actionTypes = result => result.actions.map(a => a.reason ? `${a.type}:${a.reason}` : a.type);
+
+test('desiredWebhook: default tenant URL and every handled event', () => {
+    const { url, path: webhookPath, events } = desired();
+    assert.equal(url, URL_NOW);
+    assert.equal(webhookPath, '/api/payments/webhook');
+    assert.ok(events.includes('payment.paid'));
+    assert.deepEqual(events, [...events].sort());
+    assert.equal(webhookSetupService.desiredWebhook({ id: 'acme' }).url, `${URL_NOW}/acme`);
+});
+
+test('plan: nothing to do when the webhook matches', () => {
+    const existing = [{ id: 'hook_1', url: URL_NOW, events: desired().events, status: 'enabled', secretKey: 'whsk_1' }];
+    const { primary, actions } = webhookSetupService.plan(existing, desired());
+    assert.equal(primary.id, 'hook_1');
+    assert.deepEqual(actions, []);
+});
+
+test('sync: creates the webhook when there is none', async () => {
+    const { result, stub } = await syncWith([
+        { id: 'hook_other', url: URL_OTHER, events: ['payment.paid'], secretKey: 'whsk_other' }
+    ]);
+
+    assert.deepEqual(actionTypes(result), ['create']);
+    assert.equal(result.webhook.url, URL_NOW);
+    assert.deepEqual(result.webhook.events, desired().events);
+    assert.match(result.secretKey, /^whsk_new_/);
+
+    assert.deepEqual(stub.writes().map(r => `${r.method} ${r.path}`), ['POST /webhooks']);
+    // Webhooks for other paths are never touched
+    assert.equal(stub.state.webhooks.find(w => w.id === 'hook_other').status, 'enabled');
+});
+
+test('sync: enables a disabled webhook for the URL instead of creating one', async () => {
+    const { result, stub } = await syncWith([
+        { id: 'hook_1', url: URL_NOW, events: desired().events, status: 'disabled', secretKey: 'whsk_1' }
+    ]);
+
+    assert.deepEqual(actionTypes(result), ['enable']);
+    assert.equal(result.webhook.status, 'enabled');
+    assert.equal(result.secretKey, 'whsk_1');
+    assert.deepEqual(stub.writes().map(r => `${r.method} ${r.path}`), ['POST /webhooks/hook_1/enable']);
+    assert.equal(stub.state.webhooks.length, 1);
+});
+
+test('sync: updates the events and keeps the secret key', async () => {
+    const { result, stub } = await syncWith([
+        { id: 'hook_1', url: URL_NOW, events: ['payment.paid'], secretKey: 'whsk_1' }
+    ]);
+
+    assert.deepEqual(actionTypes(result), ['update']);
+    const [put] = stub.writes();
+    assert.equal(`${put.method} ${put.path}`, 'PUT /webhooks/hook_1');
+    assert.deepEqual(put.body.data.attributes.events, desired().events);
+    assert.equal(put.body.data.attributes.url, undefined);
+
+    // PayMongo doesn't return the secret on update; the existing one is kept
+    assert.equal(result.secretKey, 'whsk_1');
+    assert.deepEqual(stub.state.webhooks[0].events, desired().events);
+});
+
+test('sync: without replace, a stale URL gets a new webhook and the old one is disabled', async () => {
+    const { result, stub } = await syncWith([
+        { id: 'hook_old', url: URL_OLD, events: desired().events, secretKey: 'whsk_old' }
+    ]);
+
+    assert.deepEqual(actionTypes(result), ['create', 'disable:stale URL']);
+    // Create before disable, so deliveries never stop
+    assert.deepEqual(stub.writes().map(r => `${r.method} ${r.path}`), [
+        'POST /webhooks',
+        'POST /webhooks/hook_old/disable'
+    ]);
+    assert.notEqual(result.secretKey, 'whsk_old');
+    assert.equal(stub.state.webhooks.find(w => w.id === 'hook_old').status, 'disabled');
+});
+
+test('sync: --replace moves a stale webhook to the new URL and keeps its secret key', async () => {
+    const { result, stub } = await syncWith([
+        { id: 'hook_old', url: URL_OLD, events: ['payment.paid'], secretKey: 'whsk_old' },
+        { id: 'hook_older', url: 'https://older.example.org/api/payments/webhook', events: ['payment.paid'], secretKey: 'whsk_older' }
+    ], { replace: true });
+
+    assert.deepEqual(actionTypes(result), ['update', 'disable:stale URL']);
+    const [put, disable] = stub.writes();
+    assert.equal(`${put.method} ${put.path}`, 'PUT /webhooks/hook_old');
+    assert.deepEqual(put.body.data.attributes, { url: URL_NOW, events: desired().events });
+    assert.equal(`${disable.method} ${disable.path}`, 'POST /webhooks/hook_older/disable');
+
+    assert.equal(result.webhook.id, 'hook_old');
+    assert.equal(result.webhook.url, URL_NOW);
+    assert.equal(result.secretKey, 'whsk_old');
+    assert.equal(stub.state.webhooks.filter(w => w.status === 'enabled').length, 1);
+});
+
+test('sync: disables duplicate webhooks for the same URL', async () => {
+    const { result, stub } = await syncWith([
+        { id: 'hook_1', url: URL_NOW, events: desired().events, secretKey: 'whsk_1' },
+        { id: 'hook_2', url: `${URL_NOW}/`, events: desired().events, secretKey: 'whsk_2' },
+        { id: 'hook_3', url: URL_NOW, events: desired().events, status: 'disabled', secretKey: 'whsk_3' }
+    ]);
+
+    assert.deepEqual(actionTypes(result), ['disable:duplicate']);
+    assert.equal(result.secretKey, 'whsk_1');
+    assert.deepEqual(stub.writes().map(r => `${r.method} ${r.path}`), ['POST /webhooks/hook_2/disable']);
+});
+
+test('sync: dryRun plans without writing', async () => {
+    const { result, stub } = await syncWith([
+        { id: 'hook_old', url: URL_OLD, events: desired().events, secretKey: 'whsk_old' }
+    ], { dryRun: true });
+
+    assert.equal(result.applied, false);
+    assert.deepEqual(actionTypes(result), ['create', 'disable:stale URL']);
+    assert.deepEqual(stub.writes(), []);
+});
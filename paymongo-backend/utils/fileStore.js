@@ -0,0 +1,52 @@
+// utils/fileStore.js
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Small JSON file-backed store. Each store is one file under DATA_DIR that is
+// loaded lazily, kept in memory and written back atomically on every change.
+class FileStore {
+    constructor(name, defaults = {}) {
+        this.name = name;
+        this.defaults = defaults;
+        this.filePath = path.join(DATA_DIR, `${name}.json`);
+        this.data = null;
+    }
+
+    load() {
+        if (this.data) return this.data;
+
+        try {
+            const raw = fs.readFileSync(this.filePath, 'utf8');
+            this.data = { ...JSON.parse(JSON.stringify(this.defaults)), ...JSON.parse(raw) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read store ${this.name}:`, error.message);
+            }
+            this.data = JSON.parse(JSON.stringify(this.defaults));
+        }
+
+        return this.data;
+    }
+
+    save() {
+        if (!this.data) return;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    // Apply a mutation and persist it. The callback receives the live data
+    // object; whatever it returns is passed back to the caller.
+    update(mutator) {
+        const data = this.load();
+        const result = mutator(data);
+        this.save();
+        return result;
+    }
+}
+
+module.exports = FileStore;
@@ -1,5 +1,6 @@
 // utils/helpers.js
 const crypto = require('crypto');
+const money = require('./money');
 
 // Generate unique ID
 function generateId(prefix = '') {
@@ -41,24 +42,17 @@ function generatePaymentReference(product, name) {
     return `${productCode}${nameCode}${timestamp}`;
 }
 
+// Base + tax for a tax-exclusive amount, computed in integer centavos
 function calculateTaxedAmount(amount, taxRate = 0.10) {
     const rate = Number(taxRate);
     const safeRate = Number.isFinite(rate) ? rate : 0;
-    
-    // Keep decimal precision until final centavo conversion
-    const baseAmount = Number(Number(amount).toFixed(2));
-    const taxAmount = Number((baseAmount * safeRate).toFixed(2));
-    const totalAmount = Number((baseAmount + taxAmount).toFixed(2));
-    
-    // Convert to centavos at final step using floor
-    const baseCentavos = Math.floor(baseAmount * 100);
-    const taxCentavos = Math.floor(taxAmount * 100);
-    const totalCentavos = baseCentavos + taxCentavos;
+
+    const { baseCentavos, taxCentavos, totalCentavos } = money.addTax(money.toCentavos(amount), safeRate);
 
     return {
-        baseAmount,
-        taxAmount,
-        totalAmount,
+        baseAmount: money.fromCentavos(baseCentavos),
+        taxAmount: money.fromCentavos(taxCentavos),
+        totalAmount: money.fromCentavos(totalCentavos),
         baseCentavos,
         taxCentavos,
         totalCentavos,
@@ -66,17 +60,83 @@ function calculateTaxedAmount(amount, taxRate = 0.10) {
     };
 }
 
-// Calculate fees (if needed)
-function calculateFees(amount) {
-    const paymongoFee = amount * 0.035; // 3.5% + PHP 15
-    const fixedFee = 15;
+// Estimated PayMongo fees per payment method (PayMongo type): a percentage of
+// the amount plus a fixed fee in pesos. These are estimates; set
+// PAYMONGO_FEE_SCHEDULE (JSON, same shape) to your merchant rates.
+const DEFAULT_FEE_SCHEDULE = {
+    card: { percent: '3.5', fixed: '15' },
+    gcash: { percent: '2.5', fixed: '0' },
+    paymaya: { percent: '2', fixed: '0' },
+    grab_pay: { percent: '2.2', fixed: '0' },
+    shopee_pay: { percent: '2', fixed: '0' },
+    qrph: { percent: '1.5', fixed: '0' },
+    dob: { percent: '1', fixed: '0' },
+    default: { percent: '3.5', fixed: '15' }
+};
+
+let feeSchedule = null;
+
+function loadFeeSchedule() {
+    if (feeSchedule) return feeSchedule;
+
+    feeSchedule = DEFAULT_FEE_SCHEDULE;
+    if (process.env.PAYMONGO_FEE_SCHEDULE) {
+        try {
+            const parsed = JSON.parse(process.env.PAYMONGO_FEE_SCHEDULE);
+            const merged = { ...DEFAULT_FEE_SCHEDULE, ...parsed };
+            // Fail on anything money can't parse before it reaches a report
+            Object.values(merged).forEach(({ percent, fixed }) => {
+                money.applyPercent(100, percent);
+                money.toCentavos(fixed ?? 0);
+            });
+            feeSchedule = merged;
+        } catch (error) {
+            console.error('Invalid PAYMONGO_FEE_SCHEDULE, using default fees:', error.message);
+        }
+    }
+
+    return feeSchedule;
+}
+
+// Estimated PayMongo fees for an amount paid with `paymentMethod`
+function calculateFees(amount, paymentMethod) {
+    const schedule = loadFeeSchedule();
+    const method = schedule[paymentMethod] ? paymentMethod : 'default';
+    const { percent, fixed = 0 } = schedule[method];
+
+    const amountCentavos = money.toCentavos(amount);
+    const feeCentavos = money.applyPercent(amountCentavos, percent) + money.toCentavos(fixed);
     return {
-        total: amount,
-        fees: paymongoFee + fixedFee,
-        net: amount - (paymongoFee + fixedFee)
+        total: money.fromCentavos(amountCentavos),
+        fees: money.fromCentavos(feeCentavos),
+        net: money.fromCentavos(amountCentavos - feeCentavos),
+        feeCentavos,
+        method,
+        percent: Number(percent),
+        fixed: Number(fixed)
     };
 }
 
+// Parse an optional from/to date range (ISO timestamps or YYYY-MM-DD; a bare
+// `to` date covers that whole day). Returns { from, to } as Dates or null,
+// or { error } if either is invalid.
+function parseDateRange(from, to) {
+    const start = from ? new Date(from) : null;
+    const end = to
+        ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(to)) ? `${to}T23:59:59.999Z` : to)
+        : null;
+
+    if ((start && Number.isNaN(start.getTime())) || (end && Number.isNaN(end.getTime()))) {
+        return { error: 'from and to must be valid dates, e.g. 2024-05-01' };
+    }
+
+    if (start && end && start > end) {
+        return { error: 'from must be before to' };
+    }
+
+    return { from: start, to: end };
+}
+
 // Sanitize input
 function sanitizeInput(input) {
     if (typeof input !== 'string') return input;
@@ -116,6 +176,14 @@ function logSecurityEvent(event, details) {
     // In production, send to logging service
 }
 
+// Records saved before tenants were added have no `tenant` field; they
+// belong to the default tenant (the brand configured by the env vars)
+const DEFAULT_TENANT_ID = 'default';
+
+function tenantIdOf(record) {
+    return record?.tenant || DEFAULT_TENANT_ID;
+}
+
 module.exports = {
     generateId,
     validateEmail,
@@ -124,7 +192,10 @@ module.exports = {
     generatePaymentReference,
     calculateTaxedAmount,
     calculateFees,
+    parseDateRange,
     sanitizeInput,
     maskSensitive,
-    logSecurityEvent
+    logSecurityEvent,
+    DEFAULT_TENANT_ID,
+    tenantIdOf
 };
\ No newline at end of file
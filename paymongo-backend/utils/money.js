@@ -0,0 +1,199 @@
+// utils/money.js
+// Money as integer centavos. Pesos (numbers like 5500.5 or strings like
+// "5500.50") are only accepted or produced at the edges: API requests and
+// responses, PayMongo, GHL and LeadConnector payloads. Everything in between
+// (tax, discounts, fees, refunds) is integer arithmetic with an explicit
+// rounding mode wherever a division happens.
+
+const ROUNDING = Object.freeze({
+    HALF_UP: 'half_up',     // 0.5 away from zero
+    HALF_EVEN: 'half_even', // 0.5 to the nearest even centavo
+    FLOOR: 'floor',         // towards -Infinity
+    CEIL: 'ceil'            // towards +Infinity
+});
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+// Integer division with rounding. numerator/denominator must be safe integers.
+function divide(numerator, denominator, mode = ROUNDING.HALF_UP) {
+    if (!Number.isSafeInteger(numerator) || !Number.isSafeInteger(denominator) || denominator === 0) {
+        throw new Error(`Cannot divide ${numerator} by ${denominator} exactly`);
+    }
+
+    const sign = Math.sign(numerator) * Math.sign(denominator);
+    const n = Math.abs(numerator);
+    const d = Math.abs(denominator);
+    const quotient = Math.floor(n / d);
+    const remainder = n - quotient * d;
+
+    if (remainder === 0) return sign * quotient;
+
+    let roundAway;
+    switch (mode) {
+        case ROUNDING.FLOOR:
+            roundAway = sign < 0;
+            break;
+        case ROUNDING.CEIL:
+            roundAway = sign > 0;
+            break;
+        case ROUNDING.HALF_EVEN:
+            roundAway = remainder * 2 > d || (remainder * 2 === d && quotient % 2 === 1);
+            break;
+        case ROUNDING.HALF_UP:
+            roundAway = remainder * 2 >= d;
+            break;
+        default:
+            throw new Error(`Unknown rounding mode: ${mode}`);
+    }
+
+    return sign * (quotient + (roundAway ? 1 : 0));
+}
+
+// Parse a decimal (number or string) into an exact fraction
+// { numerator, denominator } with denominator a power of ten.
+function parseDecimal(value) {
+    const text = typeof value === 'number'
+        ? numberToDecimal(value)
+        : String(value ?? '').trim().replace(/,/g, '');
+
+    const match = DECIMAL_PATTERN.exec(text);
+    if (!match || (!match[2] && !match[3])) {
+        throw new Error(`Invalid decimal amount: ${value}`);
+    }
+
+    const [, sign, whole = '', fraction = ''] = match;
+    const denominator = Math.pow(10, fraction.length);
+    const numerator = Number(`${whole || '0'}${fraction}`) * (sign === '-' ? -1 : 1);
+
+    if (!Number.isSafeInteger(numerator) || !Number.isSafeInteger(denominator)) {
+        throw new Error(`Amount out of range: ${value}`);
+    }
+
+    return { numerator, denominator };
+}
+
+// Plain decimal text for a number. Float noise beyond 15 significant digits
+// (e.g. 0.1 + 0.2 = 0.30000000000000004) is dropped first.
+function numberToDecimal(value) {
+    if (!Number.isFinite(value)) return '';
+
+    const cleaned = Number(value.toPrecision(15));
+    const [mantissa, exponent] = String(cleaned).toLowerCase().split('e');
+    if (!exponent) return mantissa;
+
+    const places = Math.max(0, (mantissa.split('.')[1] || '').length - Number(exponent));
+    return cleaned.toFixed(Math.min(places, 100));
+}
+
+// Pesos -> centavos. Amounts with more than two decimals are rounded with `mode`.
+function toCentavos(amount, mode = ROUNDING.HALF_UP) {
+    const { numerator, denominator } = parseDecimal(amount);
+    return divide(numerator * 100, denominator, mode);
+}
+
+// Centavos -> pesos as a number (e.g. 550050 -> 5500.5)
+function fromCentavos(centavos) {
+    assertCentavos(centavos);
+    return centavos / 100;
+}
+
+// Centavos -> fixed two-decimal string (e.g. 550050 -> "5500.50")
+function format(centavos) {
+    assertCentavos(centavos);
+    const sign = centavos < 0 ? '-' : '';
+    const abs = Math.abs(centavos);
+    return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+}
+
+function assertCentavos(centavos) {
+    if (!Number.isSafeInteger(centavos)) {
+        throw new Error(`Centavo amounts must be integers, got ${centavos}`);
+    }
+}
+
+// centavos * rate, where rate is a decimal such as 0.12 or "0.035"
+function applyRate(centavos, rate, mode = ROUNDING.HALF_UP) {
+    assertCentavos(centavos);
+    const { numerator, denominator } = parseDecimal(rate);
+    return divide(centavos * numerator, denominator, mode);
+}
+
+// centavos * percent / 100
+function applyPercent(centavos, percent, mode = ROUNDING.HALF_UP) {
+    assertCentavos(centavos);
+    const { numerator, denominator } = parseDecimal(percent);
+    return divide(centavos * numerator, denominator * 100, mode);
+}
+
+// Tax on top of a base amount. total is always base + tax.
+function addTax(baseCentavos, rate, mode = ROUNDING.HALF_UP) {
+    const taxCentavos = applyRate(baseCentavos, rate, mode);
+    return { baseCentavos, taxCentavos, totalCentavos: baseCentavos + taxCentavos };
+}
+
+// Split a tax-inclusive total into base and tax. base + tax is always the total.
+function splitTax(totalCentavos, rate, mode = ROUNDING.HALF_UP) {
+    assertCentavos(totalCentavos);
+    const { numerator, denominator } = parseDecimal(rate);
+    const baseCentavos = divide(totalCentavos * denominator, denominator + numerator, mode);
+    return { baseCentavos, taxCentavos: totalCentavos - baseCentavos, totalCentavos };
+}
+
+// Split `centavos` in proportion to `weights` (largest remainder method).
+// The parts are integers and always add up to `centavos` exactly. The
+// products centavos * weight can pass Number.MAX_SAFE_INTEGER for large
+// carts, so shares are worked out with BigInt.
+function allocate(centavos, weights) {
+    assertCentavos(centavos);
+    weights.forEach(assertCentavos);
+
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    if (weights.length === 0) return [];
+    if (totalWeight === 0) {
+        return weights.map((w, i) => (i === weights.length - 1 ? centavos : 0));
+    }
+
+    const total = BigInt(totalWeight);
+    const shares = weights.map(w => {
+        const exact = BigInt(centavos) * BigInt(w);
+        let part = exact / total;
+        // BigInt division truncates towards zero; floor it
+        if (exact % total !== 0n && (exact < 0n) !== (total < 0n)) part -= 1n;
+        return { part, remainder: exact - part * total };
+    });
+
+    const parts = shares.map(share => Number(share.part));
+    let leftover = centavos - parts.reduce((sum, p) => sum + p, 0);
+
+    // Hand out the leftover centavos to the largest remainders first
+    const order = shares
+        .map((share, i) => ({ i, remainder: share.remainder }))
+        .sort((a, b) => (a.remainder < b.remainder) - (a.remainder > b.remainder) || a.i - b.i);
+
+    for (let k = 0; leftover > 0; k = (k + 1) % order.length, leftover--) {
+        parts[order[k].i] += 1;
+    }
+
+    return parts;
+}
+
+function sum(centavoAmounts) {
+    return centavoAmounts.reduce((total, c) => {
+        assertCentavos(c);
+        return total + c;
+    }, 0);
+}
+
+module.exports = {
+    ROUNDING,
+    divide,
+    toCentavos,
+    fromCentavos,
+    format,
+    applyRate,
+    applyPercent,
+    addTax,
+    splitTax,
+    allocate,
+    sum
+};
@@ -0,0 +1,97 @@
+// utils/pdfDocument.js
+// Minimal PDF writer for plain documents such as receipts: text in the
+// standard Helvetica fonts (no embedding), horizontal/vertical rules and
+// multiple pages. Coordinates are PDF points from the bottom-left corner.
+
+// Helvetica advance widths (1/1000 em) for the characters receipts are
+// mostly made of, so right-aligned amounts line up; others use an average.
+const HELVETICA_WIDTHS = {
+    ' ': 278, '.': 278, ',': 278, '-': 333, ':': 278, '/': 278, '(': 333, ')': 333, '%': 889, '#': 556,
+    '0': 556, '1': 556, '2': 556, '3': 556, '4': 556, '5': 556, '6': 556, '7': 556, '8': 556, '9': 556
+};
+const AVERAGE_WIDTH = 556;
+const BOLD_FACTOR = 1.04;
+
+// Text as a PDF literal string in WinAnsiEncoding. Characters outside
+// Latin-1 (e.g. the peso sign) become '?', so write "PHP" instead.
+function pdfString(text) {
+    const latin1 = String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+    return `(${latin1.replace(/([\\()])/g, '\\$1')})`;
+}
+
+function formatNumber(n) {
+    return Number(n.toFixed(2)).toString();
+}
+
+class PdfDocument {
+    constructor({ width = 595.28, height = 841.89 } = {}) { // A4
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+        this.addPage();
+    }
+
+    addPage() {
+        this.current = [];
+        this.pages.push(this.current);
+        return this;
+    }
+
+    textWidth(text, size = 10, { bold = false } = {}) {
+        const units = [...String(text)].reduce((sum, ch) => sum + (HELVETICA_WIDTHS[ch] || AVERAGE_WIDTH), 0);
+        return (units / 1000) * size * (bold ? BOLD_FACTOR : 1);
+    }
+
+    // align: 'left' (x is the start), 'right' (x is the end) or 'center'
+    text(text, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+        const width = this.textWidth(text, size, { bold });
+        const startX = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        this.current.push(`BT /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ${formatNumber(startX)} ${formatNumber(y)} Td ${pdfString(text)} Tj ET`);
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+        this.current.push(`${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(y1)} m ${formatNumber(x2)} ${formatNumber(y2)} l S`);
+        return this;
+    }
+
+    // Serialize: catalog, page tree, two fonts, then a page + content stream per page
+    toBuffer() {
+        const objects = [];
+        const add = body => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const pageIds = this.pages.map(ops => {
+            const content = ops.join('\n');
+            const contentId = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+            return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}] `
+                + `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = Buffer.byteLength(output, 'latin1');
+            output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xrefOffset = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    }
+}
+
+module.exports = PdfDocument;